@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, readSseEvents } from './harness.mjs';
+
+const ADMIN_TOKEN = 'test-admin-token';
+const AUTH = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+const TRACK_QUERY = '/v1/metadata/track?track=Fade%20Into%20You&artist=Mazzy%20Star';
+
+async function setupAdmin() {
+    return await setupWorker({ env: { ADMIN_TOKEN } });
+}
+
+test('admin routes are hidden without ADMIN_TOKEN', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/admin/cache?namespace=recco', { headers: AUTH });
+    assert.equal(response.status, 404);
+});
+
+test('admin routes reject missing or wrong bearer tokens', async (t) => {
+    const harness = await setupAdmin();
+    t.after(harness.restore);
+
+    const missing = await harness.request('/v1/admin/summaries');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('WWW-Authenticate'), 'Bearer');
+
+    const wrong = await harness.request('/v1/admin/summaries', { headers: { Authorization: 'Bearer nope' } });
+    assert.equal(wrong.status, 401);
+});
+
+test('unknown namespaces are rejected', async (t) => {
+    const harness = await setupAdmin();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/admin/cache?namespace=secrets', { headers: AUTH });
+    assert.equal(response.status, 400);
+    assert.ok((await response.json()).namespaces.includes('recco'));
+});
+
+test('cache entries can be listed, inspected and purged one at a time', async (t) => {
+    const harness = await setupAdmin();
+    t.after(harness.restore);
+    await (await harness.request(TRACK_QUERY)).json();
+
+    const listed = await (await harness.request('/v1/admin/cache?namespace=recco', { headers: AUTH })).json();
+    const matchEntry = listed.entries.find(entry => entry.key.startsWith('match/'));
+    assert.ok(matchEntry, 'expected the track match in the listing');
+    assert.equal(typeof matchEntry.cachedAt, 'number');
+
+    const keyParam = encodeURIComponent(matchEntry.key);
+    const inspected = await (await harness.request(
+        `/v1/admin/cache?namespace=recco&key=${keyParam}`,
+        { headers: AUTH }
+    )).json();
+    assert.equal(inspected.l3.value.match.spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+    assert.equal(inspected.l1.value.match.spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+
+    const purged = await harness.request(`/v1/admin/cache?namespace=recco&key=${keyParam}`, {
+        method: 'DELETE',
+        headers: AUTH,
+    });
+    assert.equal(purged.status, 200);
+    assert.equal(harness.kv.entries.has(matchEntry.path), false);
+
+    const after = await (await harness.request(
+        `/v1/admin/cache?namespace=recco&key=${keyParam}`,
+        { headers: AUTH }
+    )).json();
+    assert.equal(after.l1, null);
+    assert.equal(after.l2, null);
+    assert.equal(after.l3, null);
+});
+
+test('purging a namespace forces fresh lookups', async (t) => {
+    const harness = await setupAdmin();
+    t.after(harness.restore);
+    await (await harness.request(TRACK_QUERY)).json();
+    const reccoCalls = harness.fetch.callsTo('api.reccobeats.com').length;
+
+    for (const namespace of ['recco', 'oembed', 'spotify-proxy']) {
+        const response = await harness.request(`/v1/admin/cache?namespace=${namespace}`, {
+            method: 'DELETE',
+            headers: AUTH,
+        });
+        assert.equal(response.status, 200);
+    }
+    assert.ok(![...harness.kv.entries.keys()].some(key => key.startsWith('recco/')));
+    // Cache API copies can't be enumerated; the purge record hides them instead.
+    assert.ok(harness.cache.entries.size > 0);
+
+    await (await harness.request(TRACK_QUERY)).json();
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, reccoCalls * 2);
+});
+
+test('recent summaries are listed newest first', async (t) => {
+    const harness = await setupAdmin();
+    t.after(harness.restore);
+
+    for (const name of ['Halah', 'Into Dust']) {
+        const response = await harness.request('/v1/summary', {
+            method: 'POST',
+            body: { mode: 'session', tracks: [{ name, artist: 'Mazzy Star' }] },
+        });
+        await readSseEvents(response);
+        await response.ctx.drain();
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const response = await harness.request('/v1/admin/summaries?limit=5', { headers: AUTH });
+    assert.equal(response.headers.get('Cache-Control'), 'no-store');
+    const { summaries } = await response.json();
+
+    assert.equal(summaries.length, 2);
+    assert.ok(summaries[0].cachedAt >= summaries[1].cachedAt);
+    assert.ok(summaries.every(entry => entry.path.startsWith('summary-final/') && entry.summary));
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, jsonResponse } from './harness.mjs';
+
+const FADE_INTO_YOU_URL = 'https://open.spotify.com/track/1LzNfuep1bnAUR9skqdHCK';
+
+test('a Spotify URL returns the full feature vector with key and mood', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request(
+        `/v1/metadata/audio-features?spotifyUrl=${encodeURIComponent(FADE_INTO_YOU_URL)}`
+    );
+    assert.equal(response.status, 200);
+    const { tracks, mood } = await response.json();
+
+    assert.equal(tracks.length, 1);
+    assert.equal(tracks[0].spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+    assert.deepEqual(tracks[0].features, {
+        danceability: 0.351,
+        energy: 0.267,
+        valence: 0.104,
+        acousticness: 0.522,
+        tempo: 145.681,
+        key: 0,
+        mode: 1,
+        loudness: -11.871,
+        speechiness: 0.0278,
+        instrumentalness: 0.00141,
+        liveness: 0.112,
+        timeSignature: null,
+    });
+    assert.equal(tracks[0].keyName, 'C major');
+    assert.equal(tracks[0].mood.label, 'melancholic-calm');
+    assert.equal(mood.label, 'melancholic-calm');
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, 1);
+});
+
+test('name and artist are resolved before fetching features', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/metadata/audio-features?track=Fade%20Into%20You&artist=Mazzy%20Star');
+    const { tracks } = await response.json();
+
+    assert.equal(tracks[0].spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+    assert.equal(tracks[0].features.tempo, 145.681);
+});
+
+test('lists keep request order and report tracks without features', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/metadata/audio-features', {
+        method: 'POST',
+        body: {
+            tracks: [
+                { name: 'Halah', artist: 'Mazzy Star' },
+                { spotifyUrl: FADE_INTO_YOU_URL },
+                { name: 'Nothing Like It', artist: 'Nobody At All' },
+            ],
+        },
+    });
+    assert.equal(response.status, 200);
+    const { tracks } = await response.json();
+
+    assert.equal(tracks[0].spotifyId, '2Hx0XcLeTkZT6ubmCHTbxp');
+    assert.equal(tracks[0].features, null);
+    assert.equal(tracks[1].features.key, 0);
+    assert.equal(tracks[2].spotifyId, null);
+    assert.equal(tracks[2].mood, null);
+});
+
+test('requests without a track are rejected', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/metadata/audio-features?track=Halah');
+    assert.equal(response.status, 400);
+    assert.equal(harness.fetch.calls.length, 0);
+});
+
+test('an unavailable feature upstream answers 502 instead of empty features', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com' && url.pathname === '/v1/audio-features',
+        respond: () => jsonResponse({ error: 'down' }, 503),
+    });
+
+    const response = await harness.request(
+        `/v1/metadata/audio-features?spotifyUrl=${encodeURIComponent(FADE_INTO_YOU_URL)}`
+    );
+    assert.equal(response.status, 502);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, loadFixture } from './harness.mjs';
+
+const BATCH_BODY = {
+    tracks: [
+        { name: 'Fade Into You', artist: 'Mazzy Star' },
+        { name: 'Into Dust', artist: 'Mazzy Star', spotifyUrl: 'https://open.spotify.com/track/7tOK9DmZVEp0XajSprvsTM' },
+        { name: 'Halah', artist: 'Mazzy Star' },
+    ],
+};
+
+test('batch lookups resolve every track in request order', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/metadata/batch', { method: 'POST', body: BATCH_BODY });
+    assert.equal(response.status, 200);
+    const { tracks } = await response.json();
+
+    assert.deepEqual(tracks.map(track => track.name), ['Fade Into You', 'Into Dust', 'Halah']);
+    assert.equal(tracks[0].spotifyUrl, 'https://open.spotify.com/track/1LzNfuep1bnAUR9skqdHCK');
+    assert.equal(tracks[0].albumImage, loadFixture('spotify-oembed-track').thumbnail_url);
+    assert.equal(tracks[0].artistImage, loadFixture('spotify-oembed-artist').thumbnail_url);
+    assert.equal(tracks[0].year, 1993);
+    assert.equal(tracks[0].albumName, 'So Tonight That I Might See');
+    assert.equal(tracks[0].matchConfidence, 1);
+    assert.equal(tracks[1].spotifyUrl, 'https://open.spotify.com/track/7tOK9DmZVEp0XajSprvsTM');
+    assert.equal(tracks[1].matchConfidence, 1);
+    assert.equal(tracks[2].spotifyUrl, 'https://open.spotify.com/track/2Hx0XcLeTkZT6ubmCHTbxp');
+});
+
+test('a supplied Spotify URL skips the fuzzy search', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await harness.request('/v1/metadata/batch', {
+        method: 'POST',
+        body: { tracks: [BATCH_BODY.tracks[1]] },
+    });
+
+    const artistTrackCalls = harness.fetch.calls.filter(call => /\/v1\/artist\/[^/]+\/track$/.test(call.url.pathname));
+    assert.equal(artistTrackCalls.length, 0);
+});
+
+test('repeat batches are served from the worker cache', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await harness.request('/v1/metadata/batch', { method: 'POST', body: BATCH_BODY });
+    const upstreamCalls = harness.fetch.calls.length;
+    await harness.request('/v1/metadata/batch', { method: 'POST', body: BATCH_BODY });
+
+    assert.equal(harness.fetch.calls.length, upstreamCalls);
+});
+
+test('invalid items are reported without failing the batch', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/metadata/batch', {
+        method: 'POST',
+        body: { tracks: [{ name: 'Halah' }, BATCH_BODY.tracks[0]] },
+    });
+    const { tracks } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(tracks[0].error, 'Missing name or artist');
+    assert.equal(tracks[1].spotifyUrl, 'https://open.spotify.com/track/1LzNfuep1bnAUR9skqdHCK');
+});
+
+test('empty and oversized batches are rejected', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const empty = await harness.request('/v1/metadata/batch', { method: 'POST', body: { tracks: [] } });
+    assert.equal(empty.status, 400);
+
+    const oversized = await harness.request('/v1/metadata/batch', {
+        method: 'POST',
+        body: { tracks: Array.from({ length: 51 }, (_, index) => ({ name: `Track ${index}`, artist: 'Mazzy Star' })) },
+    });
+    assert.equal(oversized.status, 400);
+    assert.equal(harness.fetch.calls.length, 0);
+});
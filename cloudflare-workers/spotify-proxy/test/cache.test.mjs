@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, jsonResponse, readSseEvents, summaryText } from './harness.mjs';
+
+const TRACK_QUERY = '/v1/metadata/track?track=Fade%20Into%20You&artist=Mazzy%20Star';
+
+async function readStats(harness) {
+    const response = await harness.request('/v1/cache/stats');
+    return (await response.json()).stats;
+}
+
+test('repeat metadata lookups are served from the in-isolate layer', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await (await harness.request(TRACK_QUERY)).json();
+    const upstreamCalls = harness.fetch.calls.length;
+    await (await harness.request('/v1/metadata/artist?artist=Mazzy%20Star')).json();
+
+    // The artist search and its oEmbed were already resolved for the track lookup.
+    assert.equal(harness.fetch.calls.length, upstreamCalls);
+    const stats = await readStats(harness);
+    assert.ok(stats.recco.l1 > 0);
+    assert.ok(stats.oembed.l1 > 0);
+    assert.ok(stats['spotify-proxy'].miss >= 2);
+});
+
+test('metadata survives in KV when the faster layers are gone', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await (await harness.request(TRACK_QUERY)).json();
+    assert.ok([...harness.kv.entries.keys()].some(key => key.startsWith('recco/')));
+    assert.ok(![...harness.kv.entries.keys()].some(key => key.startsWith('spotify-proxy/')));
+
+    const second = await setupWorker({ env: { SUMMARY_CACHE_KV: harness.kv } });
+    t.after(second.restore);
+    await (await second.request(TRACK_QUERY)).json();
+
+    assert.equal(second.fetch.callsTo('api.reccobeats.com').length, 0);
+    assert.ok((await readStats(second)).recco.l3 > 0);
+});
+
+test('not-found lookups are negatively cached', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com' && url.pathname === '/v1/artist/search',
+        respond: () => jsonResponse({ error: 'not found' }, 404),
+    });
+
+    const track = await (await harness.request('/v1/metadata/track?track=Nothing&artist=Nobody')).json();
+    const artist = await (await harness.request('/v1/metadata/artist?artist=Nobody')).json();
+
+    assert.equal(track.albumImage, null);
+    assert.equal(artist.artistImage, null);
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, 1);
+    assert.ok((await readStats(harness)).recco.negative >= 1);
+});
+
+test('unreadable cache entries are treated as misses', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const body = { mode: 'session', tracks: [{ name: 'Halah', artist: 'Mazzy Star' }] };
+    const first = await harness.request('/v1/summary', { method: 'POST', body });
+    const expected = summaryText(await readSseEvents(first));
+    await first.ctx.drain();
+
+    for (const key of harness.kv.entries.keys()) {
+        if (key.startsWith('summary-')) harness.kv.entries.set(key, { value: '{not json', options: {} });
+    }
+    harness.cache.entries.clear();
+
+    const second = await harness.request('/v1/summary', { method: 'POST', body });
+    assert.equal(second.headers.get('X-Summary-Cache'), 'MISS');
+    assert.equal(summaryText(await readSseEvents(second)), expected);
+});
+
+test('lookups still cache in memory without the Cache API', async (t) => {
+    const harness = await setupWorker({ env: { SUMMARY_CACHE_KV: undefined } });
+    t.after(harness.restore);
+    delete globalThis.caches;
+
+    await (await harness.request(TRACK_QUERY)).json();
+    const reccoCalls = harness.fetch.callsTo('api.reccobeats.com').length;
+    await (await harness.request('/v1/metadata/artist?artist=Mazzy%20Star')).json();
+
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, reccoCalls);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, jsonResponse, loadFixture } from './harness.mjs';
+
+function failRecco(harness, status = 500) {
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com',
+        respond: () => jsonResponse({ error: 'upstream down' }, status),
+    });
+}
+
+function matchEntries(harness) {
+    return [...harness.kv.entries.entries()].filter(([key]) => key.startsWith('recco/match/'));
+}
+
+test('repeated ReccoBeats failures open the circuit', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    failRecco(harness);
+
+    for (let i = 0; i < 8; i += 1) {
+        const response = await harness.request(`/v1/metadata/artist?artist=Artist%20${i}`);
+        const data = await response.json();
+        assert.equal(data.artistImage, null);
+        assert.equal(data.degraded, true);
+        assert.equal(response.headers.get('Cache-Control'), 'no-store');
+    }
+
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, 5);
+});
+
+test('after the cooldown a single trial request probes the upstream', async (t) => {
+    const realNow = Date.now;
+    let now = realNow();
+    Date.now = () => now;
+    t.after(() => { Date.now = realNow; });
+
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    failRecco(harness);
+    for (let i = 0; i < 5; i += 1) {
+        await (await harness.request(`/v1/metadata/artist?artist=Artist%20${i}`)).json();
+    }
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, 5);
+
+    now += 61000;
+    let releaseProbe = null;
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com',
+        respond: () => releaseProbe
+            ? jsonResponse(loadFixture('reccobeats-artist-search'))
+            : new Promise(resolve => {
+                releaseProbe = () => resolve(jsonResponse(loadFixture('reccobeats-artist-search')));
+            }),
+    });
+
+    const probe = harness.request('/v1/metadata/artist?artist=Mazzy%20Star');
+    for (let i = 0; i < 100 && !releaseProbe; i += 1) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.ok(releaseProbe, 'the trial request reached ReccoBeats');
+
+    const waiting = await Promise.all([0, 1, 2].map(async (i) => (
+        (await harness.request(`/v1/metadata/artist?artist=Waiting%20${i}`)).json()
+    )));
+    assert.ok(waiting.every(data => data.degraded === true));
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, 6);
+
+    releaseProbe();
+    const probed = await (await probe).json();
+    assert.notEqual(probed.degraded, true);
+
+    await (await harness.request('/v1/metadata/artist?artist=Slowdive')).json();
+    assert.ok(harness.fetch.callsTo('api.reccobeats.com').length > 6);
+});
+
+test('cached lookups keep working while the circuit is open', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const before = await (await harness.request('/v1/metadata/artist?artist=Mazzy%20Star')).json();
+    failRecco(harness);
+    for (let i = 0; i < 5; i += 1) {
+        await (await harness.request(`/v1/metadata/artist?artist=Artist%20${i}`)).json();
+    }
+    const reccoCalls = harness.fetch.callsTo('api.reccobeats.com').length;
+
+    const track = await (await harness.request(
+        '/v1/metadata/track?track=Fade%20Into%20You&artist=Mazzy%20Star'
+    )).json();
+
+    // The artist search is cached, the track listing is not and the open circuit skips it.
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, reccoCalls);
+    assert.equal(track.degraded, true);
+    assert.equal(track.artistImage, before.artistImage);
+});
+
+test('confirmed no-match results are cached for a shorter TTL', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com' && url.pathname === '/v1/artist/search',
+        respond: () => jsonResponse({ content: [] }),
+    });
+
+    await (await harness.request('/v1/metadata/track?track=Unknown&artist=Nobody')).json();
+
+    const [[, entry]] = matchEntries(harness);
+    assert.equal(JSON.parse(entry.value).value.match, null);
+    assert.equal(entry.options.expirationTtl, 1800);
+});
+
+test('failed lookups are never cached as no-match', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    failRecco(harness, 503);
+
+    const data = await (await harness.request('/v1/metadata/track?track=Unknown&artist=Nobody')).json();
+    assert.equal(data.degraded, true);
+    assert.deepEqual(matchEntries(harness), []);
+    assert.equal([...harness.kv.entries.keys()].filter(key => key.startsWith('recco/')).length, 0);
+});
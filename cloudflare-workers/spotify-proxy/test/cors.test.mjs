@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker } from './harness.mjs';
+
+const ARTIST_PATH = '/v1/metadata/artist?artist=Mazzy%20Star';
+
+test('default allowlist reflects the site origin and varies on Origin', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request(ARTIST_PATH, { headers: { Origin: 'https://glenmuthoka.com' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), 'https://glenmuthoka.com');
+    assert.equal(response.headers.get('Vary'), 'Origin');
+});
+
+test('default allowlist accepts subdomains and local development ports', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    for (const origin of ['https://music.glenmuthoka.com', 'http://localhost:4000', 'http://127.0.0.1:8787']) {
+        const response = await harness.request(ARTIST_PATH, { headers: { Origin: origin } });
+        assert.equal(response.headers.get('Access-Control-Allow-Origin'), origin, origin);
+    }
+});
+
+test('substring lookalikes are rejected with 403', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    for (const origin of [
+        'https://localhost.evil.example',
+        'https://evilglenmuthoka.com',
+        'https://glenmuthoka.com.evil.example',
+        'http://glenmuthoka.com',
+        'null',
+    ]) {
+        const response = await harness.request(ARTIST_PATH, { headers: { Origin: origin } });
+        assert.equal(response.status, 403, origin);
+        assert.equal(response.headers.get('Access-Control-Allow-Origin'), null, origin);
+    }
+    assert.equal(harness.fetch.calls.length, 0);
+});
+
+test('disallowed preflights are rejected too', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', {
+        method: 'OPTIONS',
+        headers: { Origin: 'https://evil.example' },
+    });
+    assert.equal(response.status, 403);
+});
+
+test('preflights grant the methods and headers of the route they target', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const admin = await harness.request('/v1/admin/overrides', {
+        method: 'OPTIONS',
+        headers: { Origin: 'https://glenmuthoka.com' },
+    });
+    assert.equal(admin.status, 200);
+    assert.equal(admin.headers.get('Access-Control-Allow-Methods'), 'GET, PUT, DELETE, HEAD, OPTIONS');
+    assert.equal(admin.headers.get('Access-Control-Allow-Headers'), 'Content-Type, Authorization');
+
+    const summary = await harness.request('/v1/summary', {
+        method: 'OPTIONS',
+        headers: { Origin: 'https://glenmuthoka.com' },
+    });
+    assert.equal(summary.headers.get('Access-Control-Allow-Methods'), 'POST, OPTIONS');
+    assert.equal(summary.headers.get('Access-Control-Allow-Headers'), 'Content-Type');
+});
+
+test('ALLOWED_ORIGINS replaces the default allowlist', async (t) => {
+    const harness = await setupWorker({
+        env: { ALLOWED_ORIGINS: 'https://music.example.org, https://*.fork.example' },
+    });
+    t.after(harness.restore);
+
+    const allowed = await harness.request(ARTIST_PATH, { headers: { Origin: 'https://music.example.org' } });
+    assert.equal(allowed.headers.get('Access-Control-Allow-Origin'), 'https://music.example.org');
+
+    const wildcard = await harness.request(ARTIST_PATH, { headers: { Origin: 'https://a.b.fork.example' } });
+    assert.equal(wildcard.status, 200);
+
+    const bareWildcardHost = await harness.request(ARTIST_PATH, { headers: { Origin: 'https://fork.example' } });
+    assert.equal(bareWildcardHost.status, 403);
+
+    const formerDefault = await harness.request(ARTIST_PATH, { headers: { Origin: 'https://glenmuthoka.com' } });
+    assert.equal(formerDefault.status, 403);
+});
+
+test('requests without an Origin header are served without CORS grants', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request(ARTIST_PATH);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), null);
+});
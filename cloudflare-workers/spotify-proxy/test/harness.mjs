@@ -0,0 +1,315 @@
+/**
+ * Offline test harness for the unified worker.
+ *
+ * Stubs the pieces of the Workers runtime the worker touches (`fetch`,
+ * `caches.default`, KV bindings) and serves recorded upstream responses from
+ * ./fixtures so every route can be exercised without network access.
+ *
+ * Run from the repo root:
+ *   node --test cloudflare-workers/spotify-proxy/test/*.test.mjs
+ */
+
+import { readFileSync } from 'node:fs';
+
+const FIXTURE_DIR = new URL('./fixtures/', import.meta.url);
+const WORKER_URL = new URL('../worker.js', import.meta.url);
+
+let workerInstance = 0;
+
+export function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`${name}.json`, FIXTURE_DIR), 'utf8'));
+}
+
+/**
+ * Imports a fresh copy of worker.js so module-level state (in-flight maps,
+ * in-memory caches) never leaks between tests.
+ */
+export async function loadWorker() {
+    return (await loadWorkerModule()).default;
+}
+
+export async function loadWorkerModule() {
+    workerInstance += 1;
+    return await import(`${WORKER_URL.href}?instance=${workerInstance}`);
+}
+
+/**
+ * A Durable Object namespace binding that keeps one instance of `ObjectClass`
+ * per name, the way `idFromName` routes in production.
+ */
+export function createDurableObjectNamespaceStub(ObjectClass, env) {
+    const instances = new Map();
+    return {
+        instances,
+        idFromName: name => String(name),
+        get(id) {
+            if (!instances.has(id)) instances.set(id, new ObjectClass({ id }, env));
+            const instance = instances.get(id);
+            return { fetch: (input, init) => instance.fetch(new Request(input, init)) };
+        },
+    };
+}
+
+export function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+    });
+}
+
+export function sseResponse(chunks, status = 200) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) {
+                const event = { choices: [{ delta: { content: chunk } }] };
+                controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+            }
+            controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+            controller.close();
+        }
+    });
+    return new Response(body, { status, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * Routes stubbed `fetch` calls through an ordered list of
+ * `{ match(url, init), respond(url, init) }` handlers. Unmatched requests
+ * fail loudly so a test never silently reaches the real network.
+ */
+export function createFetchStub(handlers = []) {
+    const calls = [];
+    const routes = [...handlers];
+
+    async function stubFetch(input, init = {}) {
+        const url = new URL(typeof input === 'string' ? input : input.url ?? String(input));
+        const call = {
+            url,
+            method: init.method || 'GET',
+            headers: new Headers(init.headers || {}),
+            body: init.body ?? null,
+        };
+        calls.push(call);
+
+        const route = routes.find(candidate => candidate.match(url, call));
+        if (!route) {
+            throw new Error(`Unexpected upstream request: ${call.method} ${url.href}`);
+        }
+        return await route.respond(url, call);
+    }
+
+    stubFetch.calls = calls;
+    stubFetch.prepend = (handler) => routes.unshift(handler);
+    stubFetch.callsTo = (host) => calls.filter(call => call.url.host === host);
+    return stubFetch;
+}
+
+export function createCacheStub() {
+    const entries = new Map();
+    return {
+        entries,
+        async match(request) {
+            const key = typeof request === 'string' ? request : request.url ?? String(request);
+            const stored = entries.get(String(key));
+            if (!stored) return undefined;
+            return new Response(stored.body, { status: stored.status, headers: stored.headers });
+        },
+        async put(request, response) {
+            const key = typeof request === 'string' ? request : request.url ?? String(request);
+            entries.set(String(key), {
+                body: await response.text(),
+                status: response.status,
+                headers: Object.fromEntries(response.headers),
+            });
+        },
+        async delete(request) {
+            const key = typeof request === 'string' ? request : request.url ?? String(request);
+            return entries.delete(String(key));
+        },
+    };
+}
+
+export function createKvStub(initial = {}) {
+    const entries = new Map(Object.entries(initial).map(([key, value]) => [key, { value, options: {} }]));
+    return {
+        entries,
+        async get(key, type) {
+            const stored = entries.get(key);
+            if (!stored) return null;
+            return type === 'json' ? JSON.parse(stored.value) : stored.value;
+        },
+        async put(key, value, options = {}) {
+            entries.set(key, { value: String(value), options });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async list({ prefix = '', limit = 1000 } = {}) {
+            const keys = [...entries.keys()]
+                .filter(key => key.startsWith(prefix))
+                .slice(0, limit)
+                .map(name => {
+                    const { metadata } = entries.get(name).options;
+                    return metadata ? { name, metadata } : { name };
+                });
+            return { keys, list_complete: true, cursor: '' };
+        },
+    };
+}
+
+export function createExecutionContext() {
+    const pending = [];
+    return {
+        pending,
+        waitUntil(promise) {
+            pending.push(Promise.resolve(promise).catch(() => {}));
+        },
+        passThroughOnException() {},
+        async drain() {
+            while (pending.length) {
+                await pending.shift();
+            }
+        },
+    };
+}
+
+/**
+ * Default upstream handlers backed by the recorded fixtures. Tests prepend
+ * their own handlers to simulate failures or alternative payloads.
+ */
+export function fixtureUpstreams() {
+    return [
+        {
+            match: url => url.host === 'api.groq.com',
+            respond: () => sseResponse(loadFixture('groq-summary-stream').chunks),
+        },
+        {
+            match: url => url.host === 'api.reccobeats.com' && url.pathname === '/v1/artist/search',
+            respond: () => jsonResponse(loadFixture('reccobeats-artist-search')),
+        },
+        {
+            match: url => url.host === 'api.reccobeats.com' && /^\/v1\/artist\/[^/]+\/track$/.test(url.pathname),
+            respond: url => jsonResponse(
+                url.searchParams.get('page') === '0'
+                    ? loadFixture('reccobeats-artist-tracks')
+                    : { content: [] }
+            ),
+        },
+        {
+            match: url => url.host === 'api.reccobeats.com' && /^\/v1\/track\/[^/]+\/album$/.test(url.pathname),
+            respond: () => jsonResponse(loadFixture('reccobeats-track-album')),
+        },
+        {
+            match: url => url.host === 'api.reccobeats.com' && url.pathname === '/v1/track',
+            respond: () => jsonResponse(loadFixture('reccobeats-track')),
+        },
+        {
+            match: url => url.host === 'api.reccobeats.com' && url.pathname === '/v1/audio-features',
+            respond: () => jsonResponse(loadFixture('reccobeats-audio-features')),
+        },
+        {
+            match: url => url.host === 'open.spotify.com' && url.pathname === '/oembed',
+            respond: url => jsonResponse(
+                url.searchParams.get('url')?.includes('/artist/')
+                    ? loadFixture('spotify-oembed-artist')
+                    : loadFixture('spotify-oembed-track')
+            ),
+        },
+        {
+            match: url => url.host === 'ws.audioscrobbler.com',
+            respond: () => jsonResponse(loadFixture('lastfm-recenttracks')),
+        },
+    ];
+}
+
+/**
+ * Installs the stubbed runtime globals and returns everything a test needs:
+ * the worker, its env, the stubs and a `request()` helper.
+ */
+export async function setupWorker({ env = {}, upstreams = fixtureUpstreams() } = {}) {
+    const originalFetch = globalThis.fetch;
+    const hadCaches = Object.prototype.hasOwnProperty.call(globalThis, 'caches');
+    const originalCaches = globalThis.caches;
+
+    const fetchStub = createFetchStub(upstreams);
+    const cache = createCacheStub();
+    const kv = createKvStub();
+
+    globalThis.fetch = fetchStub;
+    globalThis.caches = { default: cache };
+
+    const module = await loadWorkerModule();
+    const worker = module.default;
+    const workerEnv = {
+        GROQ_API_KEY: 'test-groq-key',
+        LASTFM_API_KEY: 'test-lastfm-key',
+        SUMMARY_CACHE_KV: kv,
+        ...env,
+    };
+
+    const contexts = [];
+
+    async function request(path, init = {}) {
+        const ctx = createExecutionContext();
+        contexts.push(ctx);
+        const headers = new Headers(init.headers || {});
+        let body = init.body;
+        if (body && typeof body !== 'string') {
+            body = JSON.stringify(body);
+            headers.set('Content-Type', 'application/json');
+        }
+        const response = await worker.fetch(
+            new Request(new URL(path, 'https://worker.test'), { ...init, headers, body }),
+            workerEnv,
+            ctx
+        );
+        response.ctx = ctx;
+        return response;
+    }
+
+    // Background work (`ctx.waitUntil`) finishes against this test's stubs, never the next test's.
+    async function restore() {
+        await Promise.all(contexts.map(ctx => ctx.drain()));
+        globalThis.fetch = originalFetch;
+        if (hadCaches) {
+            globalThis.caches = originalCaches;
+        } else {
+            delete globalThis.caches;
+        }
+    }
+
+    return { worker, module, env: workerEnv, fetch: fetchStub, cache, kv, request, restore };
+}
+
+/**
+ * Parses an SSE body into its `data:` payloads, decoding JSON where possible.
+ */
+export async function readSseEvents(response) {
+    const text = await response.text();
+    return text
+        .split(/\r?\n\r?\n/)
+        .map(block => block.trim())
+        .filter(Boolean)
+        .map(block => {
+            const lines = block.split(/\r?\n/);
+            const event = lines.find(line => line.startsWith('event:'))?.replace(/^event:\s*/, '') || 'message';
+            const data = lines
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.replace(/^data:\s?/, ''))
+                .join('\n');
+            let parsed = data;
+            try {
+                parsed = JSON.parse(data);
+            } catch {
+                // Non-JSON payloads such as [DONE] stay as strings.
+            }
+            return { event, data: parsed };
+        });
+}
+
+export function summaryText(events) {
+    return events
+        .filter(event => event.event === 'message' && typeof event.data === 'object')
+        .map(event => event.data.choices?.[0]?.delta?.content || '')
+        .join('');
+}
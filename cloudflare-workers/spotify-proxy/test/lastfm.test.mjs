@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, loadFixture, jsonResponse } from './harness.mjs';
+
+test('recent tracks are proxied with the worker key', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/lastfm/recent?user=glenfire&limit=5');
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), loadFixture('lastfm-recenttracks'));
+
+    const [call] = harness.fetch.callsTo('ws.audioscrobbler.com');
+    assert.equal(call.url.searchParams.get('method'), 'user.getrecenttracks');
+    assert.equal(call.url.searchParams.get('api_key'), 'test-lastfm-key');
+    assert.equal(call.url.searchParams.get('user'), 'glenfire');
+});
+
+test('identical Last.fm requests hit the cache', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await harness.request('/?type=lastfm&user=glenfire&method=user.getrecenttracks&limit=5');
+    await harness.request('/?type=lastfm&user=glenfire&method=user.getrecenttracks&limit=5');
+
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 1);
+});
+
+test('missing user is rejected', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/lastfm/recent');
+    assert.equal(response.status, 400);
+});
+
+test('missing API key reports a configuration error', async (t) => {
+    const harness = await setupWorker({ env: { LASTFM_API_KEY: '' } });
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/lastfm/recent?user=glenfire');
+    assert.equal(response.status, 503);
+});
+
+test('upstream failures surface as 502', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'ws.audioscrobbler.com',
+        respond: () => jsonResponse({ message: 'down' }, 500),
+    });
+
+    const response = await harness.request('/v1/lastfm/recent?user=glenfire');
+    assert.equal(response.status, 502);
+});
+
+test('unknown Last.fm methods are rejected before reaching Last.fm', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/lastfm?user=glenfire&method=auth.getMobileSession');
+    assert.equal(response.status, 400);
+    assert.ok((await response.json()).methods.includes('user.gettopartists'));
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 0);
+});
+
+test('chart params are validated, forwarded and cached with the method TTL', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/lastfm?user=glenfire&method=user.getTopArtists&period=7day&limit=5&page=2');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Cache-Control'), /max-age=3600/);
+
+    const [call] = harness.fetch.callsTo('ws.audioscrobbler.com');
+    assert.equal(call.url.searchParams.get('method'), 'user.gettopartists');
+    assert.equal(call.url.searchParams.get('period'), '7day');
+    assert.equal(call.url.searchParams.get('limit'), '5');
+    assert.equal(call.url.searchParams.get('page'), '2');
+});
+
+test('badly typed params answer 400', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    for (const query of [
+        'method=user.gettoptracks&user=glenfire&period=fortnight',
+        'method=user.gettoptracks&user=glenfire&limit=abc',
+        'method=user.getrecenttracks&user=glenfire&limit=5000',
+        'method=user.getrecenttracks&user=glenfire&from=200&to=100',
+        'method=user.getrecenttracks&user=glenfire&extended=yes',
+        'method=track.getInfo&track=Halah',
+    ]) {
+        const response = await harness.request(`/v1/lastfm?${query}`);
+        assert.equal(response.status, 400, query);
+    }
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 0);
+});
+
+test('values are encoded and params outside the schema are dropped', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await harness.request(
+        '/v1/lastfm?method=track.getInfo&artist=Simon%20%26%20Garfunkel&track=Cecilia%3F&api_key=stolen&format=xml&foo=bar'
+    );
+
+    const [call] = harness.fetch.callsTo('ws.audioscrobbler.com');
+    assert.equal(call.url.searchParams.get('artist'), 'Simon & Garfunkel');
+    assert.equal(call.url.searchParams.get('track'), 'Cecilia?');
+    assert.equal(call.url.searchParams.get('api_key'), 'test-lastfm-key');
+    assert.equal(call.url.searchParams.get('format'), 'json');
+    assert.equal(call.url.searchParams.has('foo'), false);
+    assert.equal(call.url.searchParams.has('user'), false);
+});
+
+test('closed recent-track windows are cached longer than live ones', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const live = await harness.request('/v1/lastfm/recent?user=glenfire');
+    assert.match(live.headers.get('Cache-Control'), /max-age=5\b/);
+
+    const closed = await harness.request('/v1/lastfm/recent?user=glenfire&from=1700000000&to=1700600000');
+    assert.match(closed.headers.get('Cache-Control'), /max-age=3600/);
+});
+
+test('normalized=1 returns a stable recent-tracks schema', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/lastfm/recent?user=glenfire&normalized=1');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+
+    assert.equal(body.user, 'glenfire');
+    assert.deepEqual(body.nowPlaying, {
+        name: 'Fade Into You',
+        artist: 'Mazzy Star',
+        album: 'So Tonight That I Might See',
+        images: {
+            small: 'https://lastfm.freetls.fastly.net/i/u/34s/fadeintoyou.png',
+            medium: 'https://lastfm.freetls.fastly.net/i/u/64s/fadeintoyou.png',
+            large: 'https://lastfm.freetls.fastly.net/i/u/174s/fadeintoyou.png',
+            extralarge: 'https://lastfm.freetls.fastly.net/i/u/300x300/fadeintoyou.png',
+            mega: null,
+        },
+        playedAt: null,
+        url: 'https://www.last.fm/music/Mazzy+Star/_/Fade+Into+You',
+        mbid: null,
+    });
+    assert.equal(body.tracks[0].name, 'Into Dust');
+    assert.equal(body.tracks[0].playedAt, new Date(1760870000 * 1000).toISOString());
+    assert.ok(body.tracks.every(track => track.playedAt));
+});
+
+test('normalized=1 copes with a single track object and extended artists', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'ws.audioscrobbler.com',
+        respond: () => jsonResponse({
+            recenttracks: {
+                track: {
+                    artist: { name: 'Lithe', mbid: 'c0b2500e-0cef-4130-869d-732b23ed9df5' },
+                    image: { size: 'large', '#text': 'https://example.com/large.png' },
+                    album: { '#text': '' },
+                    name: 'Only One',
+                    url: 'https://www.last.fm/music/Lithe/_/Only+One',
+                    date: { uts: '1760860000' },
+                },
+                '@attr': { user: 'glenfire' },
+            },
+        }),
+    });
+
+    const body = await (await harness.request('/v1/lastfm/recent?user=glenfire&extended=1&normalized=1')).json();
+    assert.equal(body.nowPlaying, null);
+    assert.equal(body.tracks.length, 1);
+    assert.equal(body.tracks[0].artist, 'Lithe');
+    assert.equal(body.tracks[0].album, null);
+    assert.equal(body.tracks[0].images.large, 'https://example.com/large.png');
+    assert.equal(body.tracks[0].images.small, null);
+});
+
+test('normalized=1 is refused for methods without a normalized schema', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/lastfm?method=user.getinfo&user=glenfire&normalized=1');
+    assert.equal(response.status, 400);
+});
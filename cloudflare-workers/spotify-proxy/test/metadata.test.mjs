@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, loadFixture, jsonResponse } from './harness.mjs';
+
+const TRACK_QUERY = '/v1/metadata/track?track=Fade%20Into%20You&artist=Mazzy%20Star';
+
+test('track lookup picks the exact title over a more popular neighbour', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request(TRACK_QUERY);
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+    assert.equal(data.trackName, 'Fade Into You');
+    assert.equal(data.artistName, 'Mazzy Star');
+    assert.equal(data.albumImage, loadFixture('spotify-oembed-track').thumbnail_url);
+    assert.equal(data.artistImage, loadFixture('spotify-oembed-artist').thumbnail_url);
+});
+
+test('remaster suffixes still resolve to the original track', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request(
+        '/v1/metadata/track?track=Fade%20Into%20You%20-%202017%20Remaster&artist=Mazzy%20Star'
+    );
+    const data = await response.json();
+    assert.equal(data.spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+});
+
+test('artist lookup prefers the exact name match', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/metadata/artist?artist=Mazzy%20Star');
+    const data = await response.json();
+
+    assert.equal(data.spotifyUrl, 'https://open.spotify.com/artist/37w38cCSGgKLdayTRjna4W');
+    assert.equal(data.artistImage, loadFixture('spotify-oembed-artist').thumbnail_url);
+});
+
+test('repeat lookups are served from the worker cache', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await harness.request(TRACK_QUERY);
+    const upstreamCalls = harness.fetch.calls.length;
+    await harness.request(TRACK_QUERY);
+
+    assert.ok(upstreamCalls > 0);
+    assert.equal(harness.fetch.calls.length, upstreamCalls);
+});
+
+test('ReccoBeats failures degrade to empty artwork instead of erroring', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com',
+        respond: () => jsonResponse({ error: 'unavailable' }, 503),
+    });
+
+    const response = await harness.request(TRACK_QUERY);
+    assert.equal(response.status, 200);
+    const data = await response.json();
+    assert.equal(data.albumImage, null);
+    assert.equal(data.artistImage, null);
+});
+
+test('matches carry a confidence score', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const exact = await (await harness.request(TRACK_QUERY)).json();
+    assert.equal(exact.matchConfidence, 1);
+
+    const typo = await (await harness.request('/v1/metadata/track?track=Fade%20Into%20Yu&artist=Mazy%20Star')).json();
+    assert.equal(typo.spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+    assert.ok(typo.matchConfidence > 0.8 && typo.matchConfidence < 1, `confidence ${typo.matchConfidence}`);
+});
+
+test('a track with no match reports no track confidence, only the artist\'s', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const data = await (await harness.request(
+        '/v1/metadata/track?track=Zzyzx%20Road%20Interlude&artist=Mazzy%20Star'
+    )).json();
+    assert.equal(data.albumImage, null);
+    assert.equal(data.artistImage, loadFixture('spotify-oembed-artist').thumbnail_url);
+    assert.equal(data.matchConfidence, null);
+    assert.equal(data.artistMatchConfidence, 1);
+});
+
+test('live and remix suffixes prefer the matching recording', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const tracks = loadFixture('reccobeats-artist-tracks');
+    const liveHalah = {
+        ...tracks.content[2],
+        id: 'd6e5f4a3-4e5f-4a71-9c23-4d5e6f7a8b04',
+        trackTitle: 'Halah - Live at Royal Festival Hall',
+        href: 'https://open.spotify.com/track/3LiveHalah0000000000000',
+        popularity: 20,
+    };
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com' && /^\/v1\/artist\/[^/]+\/track$/.test(url.pathname),
+        respond: url => jsonResponse(url.searchParams.get('page') === '0'
+            ? { ...tracks, content: [...tracks.content, liveHalah] }
+            : { ...tracks, content: [] }),
+    });
+
+    const live = await (await harness.request('/v1/metadata/track?track=Halah%20(Live)&artist=Mazzy%20Star')).json();
+    assert.equal(live.spotifyId, '3LiveHalah0000000000000');
+
+    const studio = await (await harness.request('/v1/metadata/track?track=Halah&artist=Mazzy%20Star')).json();
+    assert.equal(studio.spotifyId, '2Hx0XcLeTkZT6ubmCHTbxp');
+});
+
+test('multi-artist credits resolve to the credited artist', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    for (const credit of ['Mazzy Star & Hope Sandoval', 'Mazzy Star x Hope Sandoval', 'Hope Sandoval feat. Mazzy Star']) {
+        const response = await harness.request(`/v1/metadata/artist?artist=${encodeURIComponent(credit)}`);
+        const data = await response.json();
+        assert.equal(data.spotifyUrl, 'https://open.spotify.com/artist/37w38cCSGgKLdayTRjna4W', credit);
+        assert.ok(data.matchConfidence < 1, credit);
+    }
+});
+
+test('diacritics and Cyrillic names match their Latin spelling', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com'
+            && url.pathname === '/v1/artist/search'
+            && url.searchParams.get('searchText') === 'Кино',
+        respond: () => jsonResponse({
+            content: [{ id: 'kino-id', name: 'Kino', href: 'https://open.spotify.com/artist/0KinoArtist00000000000', popularity: 60 }],
+        }),
+    });
+
+    const accented = await (await harness.request('/v1/metadata/artist?artist=Mázzy%20Stär')).json();
+    assert.equal(accented.spotifyUrl, 'https://open.spotify.com/artist/37w38cCSGgKLdayTRjna4W');
+    assert.equal(accented.matchConfidence, 1);
+
+    const cyrillic = await (await harness.request(`/v1/metadata/artist?artist=${encodeURIComponent('Кино')}`)).json();
+    assert.equal(cyrillic.spotifyUrl, 'https://open.spotify.com/artist/0KinoArtist00000000000');
+});
+
+test('lookalike artists below the confidence threshold are not used', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const search = loadFixture('reccobeats-artist-search');
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com' && url.pathname === '/v1/artist/search',
+        respond: () => jsonResponse({ ...search, content: [search.content[0]] }),
+    });
+
+    const data = await (await harness.request('/v1/metadata/artist?artist=Mazzy%20Star')).json();
+    assert.equal(data.artistImage, null);
+    assert.equal(data.spotifyUrl, undefined);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, jsonResponse } from './harness.mjs';
+
+const DANCE = { valence: 0.7, energy: 0.85, danceability: 0.85, acousticness: 0.05, tempo: 124 };
+const ACOUSTIC = { valence: 0.5, energy: 0.25, danceability: 0.4, acousticness: 0.9, tempo: 92 };
+
+function spotifyId(index) {
+    return `MoodTrack${String(index).padStart(13, '0')}`;
+}
+
+// Most recent first, like the music page sends them: the session started on the dance floor.
+const SESSION = [ACOUSTIC, ACOUSTIC, ACOUSTIC, DANCE, DANCE, DANCE].map((features, index) => ({
+    name: `Track ${index + 1}`,
+    artist: 'Mazzy Star',
+    spotifyUrl: `https://open.spotify.com/track/${spotifyId(index)}`,
+    features,
+}));
+
+function stubSessionFeatures(harness) {
+    const byId = new Map(SESSION.map((track, index) => [spotifyId(index), track.features]));
+    harness.fetch.prepend({
+        match: url => url.host === 'api.reccobeats.com' && url.pathname === '/v1/audio-features',
+        respond: url => jsonResponse({
+            content: url.searchParams.get('ids').split(',').map(id => ({
+                href: `https://open.spotify.com/track/${id}`,
+                ...byId.get(id),
+            })),
+        }),
+    });
+}
+
+function sessionTracks() {
+    return SESSION.map(({ name, artist, spotifyUrl }) => ({ name, artist, spotifyUrl }));
+}
+
+test('a mixed session reports dominant and secondary moods instead of collapsing', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    stubSessionFeatures(harness);
+
+    const response = await harness.request('/v1/metadata/audio-features', {
+        method: 'POST',
+        body: { tracks: sessionTracks() },
+    });
+    const { mood, tracks } = await response.json();
+
+    // Equal-sized clusters go to the one holding the most recent track.
+    assert.equal(mood.label, 'acoustic-chill');
+    assert.deepEqual(mood.dominant, { label: 'acoustic-chill', description: 'mellow and organic', share: 0.5 });
+    assert.deepEqual(mood.secondary.map(entry => entry.label), ['high-energy-dance']);
+    assert.equal(mood.clusters.length, 2);
+    assert.equal(mood.spread.label, 'scattered');
+    assert.equal(tracks[0].mood.label, 'acoustic-chill');
+    assert.equal(tracks[5].mood.label, 'high-energy-dance');
+});
+
+test('transitions are described from the start of the session to its end', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    stubSessionFeatures(harness);
+
+    const response = await harness.request('/v1/metadata/audio-features', {
+        method: 'POST',
+        body: { tracks: sessionTracks() },
+    });
+    const { mood } = await response.json();
+
+    assert.deepEqual(mood.transition, {
+        from: 'high-energy-dance',
+        to: 'acoustic-chill',
+        direction: 'wound down',
+        description: 'wound down from dance to acoustic',
+    });
+});
+
+test('a steady session is focused and has no transition', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    stubSessionFeatures(harness);
+
+    const response = await harness.request('/v1/metadata/audio-features', {
+        method: 'POST',
+        body: { tracks: sessionTracks().slice(0, 3) },
+    });
+    const { mood } = await response.json();
+
+    assert.equal(mood.label, 'acoustic-chill');
+    assert.deepEqual(mood.secondary, []);
+    assert.equal(mood.spread.label, 'focused');
+    assert.equal(mood.transition, null);
+});
+
+test('the summary prompt and JSON signals carry the mood analysis', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    stubSessionFeatures(harness);
+
+    const response = await harness.request('/v1/summary?format=json', {
+        method: 'POST',
+        body: { mode: 'session', tracks: sessionTracks() },
+    });
+    const body = await response.json();
+
+    assert.equal(body.moodClass.label, 'acoustic-chill');
+    assert.equal(body.mood.transition.description, 'wound down from dance to acoustic');
+    assert.equal(body.tracks[5].mood, 'high-energy-dance');
+
+    const [groqCall] = harness.fetch.callsTo('api.groq.com');
+    const userMessage = JSON.parse(groqCall.body).messages.find(message => message.role === 'user').content;
+    assert.match(
+        userMessage,
+        /mood: acoustic-chill \(mellow and organic\), with some dance floor vibes, scattered; wound down from dance to acoustic/
+    );
+});
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, createKvStub } from './harness.mjs';
+
+const ADMIN_TOKEN = 'test-admin-token';
+const AUTH = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+const PINNED_TRACK_ID = '0AbCdEfGhIjKlMnOpQrStU';
+const PINNED_ARTIST_URL = 'https://open.spotify.com/artist/5XyZaBcDeFgHiJkLmNoPqR';
+
+async function setupOverrides(entries = {}) {
+    const overrides = createKvStub(entries);
+    const harness = await setupWorker({ env: { ADMIN_TOKEN, MATCH_OVERRIDES_KV: overrides } });
+    return { harness, overrides };
+}
+
+test('track overrides skip the fuzzy search', async (t) => {
+    const { harness } = await setupOverrides({
+        'match-override/track/fade into you|mazzy star': JSON.stringify({ spotifyId: PINNED_TRACK_ID }),
+    });
+    t.after(harness.restore);
+
+    // Remaster suffixes, casing and accents normalize onto the same key.
+    const response = await harness.request(
+        '/v1/metadata/track?track=Fade%20Into%20You%20-%202017%20Remaster&artist=MAZZY%20ST%C3%A1R'
+    );
+    const data = await response.json();
+
+    assert.equal(data.spotifyId, PINNED_TRACK_ID);
+    assert.equal(data.spotifyUrl, `https://open.spotify.com/track/${PINNED_TRACK_ID}`);
+    assert.equal(data.override, true);
+    assert.equal(
+        harness.fetch.calls.filter(call => /\/v1\/artist\/[^/]+\/track$/.test(call.url.pathname)).length,
+        0
+    );
+    assert.ok(harness.fetch.callsTo('open.spotify.com')
+        .some(call => call.url.searchParams.get('url').endsWith(PINNED_TRACK_ID)));
+});
+
+test('artist overrides replace the artist search', async (t) => {
+    const { harness } = await setupOverrides({
+        'match-override/artist/mazzy star': JSON.stringify({ spotifyUrl: PINNED_ARTIST_URL }),
+    });
+    t.after(harness.restore);
+
+    const data = await (await harness.request('/v1/metadata/artist?artist=Mazzy%20Star')).json();
+
+    assert.equal(data.spotifyUrl, PINNED_ARTIST_URL);
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, 0);
+});
+
+test('summaries resolve overridden tracks to the pinned id', async (t) => {
+    const { harness } = await setupOverrides({
+        'match-override/track/halah|mazzy star': JSON.stringify({ spotifyId: PINNED_TRACK_ID }),
+    });
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary?format=json', {
+        method: 'POST',
+        body: { mode: 'session', tracks: [{ name: 'Halah', artist: 'Mazzy Star' }] },
+    });
+    const body = await response.json();
+
+    assert.equal(body.tracks[0].spotifyId, PINNED_TRACK_ID);
+    assert.ok(harness.fetch.callsTo('api.reccobeats.com')
+        .some(call => call.url.pathname === '/v1/track' && call.url.searchParams.get('ids') === PINNED_TRACK_ID));
+});
+
+test('admin routes add, list and remove overrides', async (t) => {
+    const { harness, overrides } = await setupOverrides();
+    t.after(harness.restore);
+
+    const before = await (await harness.request(
+        '/v1/metadata/track?track=Fade%20Into%20You&artist=Mazzy%20Star'
+    )).json();
+    assert.equal(before.spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+
+    const put = await harness.request('/v1/admin/overrides', {
+        method: 'PUT',
+        headers: AUTH,
+        body: {
+            type: 'track',
+            track: 'Fade Into You',
+            artist: 'Mazzy Star',
+            spotifyUrl: `https://open.spotify.com/intl-de/track/${PINNED_TRACK_ID}?si=abc`,
+            artistSpotifyUrl: PINNED_ARTIST_URL,
+        },
+    });
+    assert.equal(put.status, 200);
+    assert.equal((await put.json()).key, 'fade into you|mazzy star');
+    assert.ok(overrides.entries.has('match-override/track/fade into you|mazzy star'));
+
+    // The cached lookup was purged, so the pin applies straight away.
+    const pinned = await (await harness.request(
+        '/v1/metadata/track?track=Fade%20Into%20You&artist=Mazzy%20Star'
+    )).json();
+    assert.equal(pinned.spotifyId, PINNED_TRACK_ID);
+
+    const listed = await (await harness.request('/v1/admin/overrides', { headers: AUTH })).json();
+    assert.deepEqual(listed.overrides.filter(entry => entry.source === 'kv'), [{
+        type: 'track',
+        key: 'fade into you|mazzy star',
+        source: 'kv',
+        override: {
+            spotifyId: PINNED_TRACK_ID,
+            spotifyUrl: `https://open.spotify.com/track/${PINNED_TRACK_ID}`,
+            artistSpotifyUrl: PINNED_ARTIST_URL,
+        },
+    }]);
+
+    const removed = await harness.request(
+        '/v1/admin/overrides?type=track&track=Fade%20Into%20You&artist=Mazzy%20Star',
+        { method: 'DELETE', headers: AUTH }
+    );
+    assert.equal(removed.status, 200);
+    assert.equal(overrides.entries.size, 0);
+
+    const after = await (await harness.request(
+        '/v1/metadata/track?track=Fade%20Into%20You&artist=Mazzy%20Star'
+    )).json();
+    assert.equal(after.spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+});
+
+test('override edits are validated', async (t) => {
+    const { harness } = await setupOverrides();
+    t.after(harness.restore);
+
+    const badId = await harness.request('/v1/admin/overrides', {
+        method: 'PUT',
+        headers: AUTH,
+        body: { type: 'artist', artist: 'Mazzy Star', spotifyUrl: 'https://open.spotify.com/track/x' },
+    });
+    assert.equal(badId.status, 400);
+
+    const missingTrack = await harness.request('/v1/admin/overrides', {
+        method: 'PUT',
+        headers: AUTH,
+        body: { type: 'track', artist: 'Mazzy Star', spotifyId: PINNED_TRACK_ID },
+    });
+    assert.equal(missingTrack.status, 400);
+});
+
+test('override edits need the KV binding', async (t) => {
+    const harness = await setupWorker({ env: { ADMIN_TOKEN } });
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/admin/overrides', {
+        method: 'PUT',
+        headers: AUTH,
+        body: { type: 'artist', artist: 'Mazzy Star', spotifyUrl: PINNED_ARTIST_URL },
+    });
+    assert.equal(response.status, 503);
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, createKvStub, sseResponse, readSseEvents, summaryText } from './harness.mjs';
+
+const TRACKS = [{ name: 'Fade Into You', artist: 'Mazzy Star' }];
+
+function groqMessages(harness) {
+    const [call] = harness.fetch.callsTo('api.groq.com');
+    return JSON.parse(call.body).messages;
+}
+
+test('the bundled default template renders the glen persona', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: { mode: 'active', tracks: TRACKS } });
+    await response.text();
+
+    const [system, user] = groqMessages(harness);
+    assert.match(system.content, /entity named "glen"/);
+    assert.doesNotMatch(system.content + user.content, /\{\{/);
+    assert.match(user.content, /^mode: active\nera: 90s Kid\nmood: melancholic-calm \(sad and slow\)\n/);
+    assert.match(user.content, /\n\nroast\/summarize glen:$/);
+});
+
+test('requests can pick another bundled template with its own validation rules', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    harness.fetch.prepend({
+        match: url => url.host === 'api.groq.com',
+        respond: () => sseResponse(['The Listener Is Deep In A Hazy Mazzy Star Evening. Second sentence.']),
+    });
+
+    const response = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS, template: 'plain' },
+    });
+    await readSseEvents(response);
+
+    const [system] = groqMessages(harness);
+    assert.match(system.content, /Refer to glen in the third person/);
+
+    // The plain template keeps casing; its cached copy shows the normalized text.
+    const again = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS, template: 'plain' },
+    });
+    assert.equal(again.headers.get('X-Cache'), 'HIT');
+    assert.equal(summaryText(await readSseEvents(again)), 'The Listener Is Deep In A Hazy Mazzy Star Evening.');
+});
+
+test('templates do not share cached summaries', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await readSseEvents(await harness.request('/v1/summary', { method: 'POST', body: { mode: 'active', tracks: TRACKS } }));
+    const other = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS, template: 'plain' },
+    });
+    assert.equal(other.headers.get('X-Cache'), 'MISS');
+});
+
+test('KV templates override bundled ones and can become the default', async (t) => {
+    const templatesKv = createKvStub({
+        'prompt-template/radio': JSON.stringify({
+            system: 'You are a late-night {{station}} host talking about {{subject}}.',
+            user: 'tracks:\n{{tracks}}\nmood: {{mood}}',
+            variables: { station: 'college radio' },
+            validation: { minWords: 3 },
+        }),
+    });
+    const harness = await setupWorker({
+        env: { PROMPT_TEMPLATES_KV: templatesKv, PROMPT_TEMPLATE_DEFAULT: 'radio' },
+    });
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: { mode: 'active', tracks: TRACKS } });
+    await response.text();
+
+    const [system, user] = groqMessages(harness);
+    assert.equal(system.content, 'You are a late-night college radio host talking about glen.');
+    assert.match(user.content, /^tracks:\n1\. Fade Into You - Mazzy Star \(1993\)/);
+});
+
+test('unknown or malformed template ids are rejected', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    for (const template of ['does-not-exist', '../../etc', 'constructor']) {
+        const response = await harness.request('/v1/summary', {
+            method: 'POST',
+            body: { mode: 'active', tracks: TRACKS, template },
+        });
+        assert.equal(response.status, 400, template);
+    }
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 0);
+});
+
+test('templates written for other endpoints cannot be picked for summaries', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS, template: 'recap' },
+    });
+    assert.equal(response.status, 400);
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 0);
+});
+
+test('ids that exist nowhere never reach PROMPT_TEMPLATES_KV', async (t) => {
+    const templatesKv = createKvStub({
+        'prompt-template/radio': JSON.stringify({ system: 'You are a radio host.', user: '{{tracks}}' }),
+    });
+    const reads = [];
+    const get = templatesKv.get;
+    templatesKv.get = (key, ...rest) => {
+        reads.push(key);
+        return get(key, ...rest);
+    };
+    const harness = await setupWorker({ env: { PROMPT_TEMPLATES_KV: templatesKv } });
+    t.after(harness.restore);
+
+    for (const template of ['random-1', 'random-2', 'random-3']) {
+        const response = await harness.request('/v1/summary', {
+            method: 'POST',
+            body: { mode: 'active', tracks: TRACKS, template },
+        });
+        assert.equal(response.status, 400, template);
+    }
+    assert.deepEqual(reads, []);
+
+    const radio = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS, template: 'radio' },
+    });
+    await radio.text();
+    assert.deepEqual(reads, ['prompt-template/radio']);
+});
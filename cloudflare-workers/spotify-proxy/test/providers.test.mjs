@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, loadFixture, jsonResponse, sseResponse, readSseEvents, summaryText } from './harness.mjs';
+
+const SUMMARY_BODY = {
+    mode: 'active',
+    tracks: [{ name: 'Fade Into You', artist: 'Mazzy Star' }],
+};
+
+function localProviderUpstream(respond) {
+    return {
+        match: url => url.host === 'llama.test',
+        respond,
+    };
+}
+
+test('providers from env are tried in order against their own base URL', async (t) => {
+    const harness = await setupWorker({
+        env: {
+            LLM_PROVIDERS: 'local,groq',
+            LLM_LOCAL_BASE_URL: 'http://llama.test/v1/',
+            LLM_LOCAL_MODELS: 'qwen2.5-7b-instruct',
+        },
+    });
+    t.after(harness.restore);
+    harness.fetch.prepend(localProviderUpstream(() => sseResponse(loadFixture('groq-summary-stream').chunks)));
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.headers.get('X-Model-Used'), 'qwen2.5-7b-instruct');
+    assert.ok(summaryText(await readSseEvents(response)).length > 0);
+
+    const [call] = harness.fetch.callsTo('llama.test');
+    assert.equal(call.url.pathname, '/v1/chat/completions');
+    assert.equal(call.headers.get('Authorization'), null);
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 0);
+});
+
+test('an unreachable provider falls through to the next one', async (t) => {
+    const harness = await setupWorker({
+        env: {
+            LLM_PROVIDERS: 'local,groq',
+            LLM_LOCAL_BASE_URL: 'http://llama.test/v1',
+            LLM_LOCAL_MODELS: 'a,b',
+        },
+    });
+    t.after(harness.restore);
+    harness.fetch.prepend(localProviderUpstream(() => {
+        throw new TypeError('fetch failed');
+    }));
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Model-Used'), 'groq/compound');
+    // One connection failure is enough to skip the provider's remaining models.
+    assert.equal(harness.fetch.callsTo('llama.test').length, 1);
+});
+
+test('a repeatedly failing provider is skipped during its cooldown', async (t) => {
+    const harness = await setupWorker({
+        env: {
+            LLM_PROVIDERS: 'local,groq',
+            LLM_LOCAL_BASE_URL: 'http://llama.test/v1',
+            LLM_LOCAL_MODELS: 'only-model',
+        },
+    });
+    t.after(harness.restore);
+    harness.fetch.prepend(localProviderUpstream(() => jsonResponse({ error: 'bad request' }, 400)));
+
+    const tracks = ['Into Dust', 'Halah', 'Blue Flower', 'Ride It On'];
+    for (const name of tracks) {
+        await harness.request('/v1/summary', {
+            method: 'POST',
+            body: { mode: 'active', tracks: [{ name, artist: 'Mazzy Star' }] },
+        });
+    }
+
+    // Threshold is three consecutive failures; the fourth summary goes straight to Groq.
+    assert.equal(harness.fetch.callsTo('llama.test').length, 3);
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 4);
+});
+
+test('no usable provider reports a configuration error', async (t) => {
+    const harness = await setupWorker({ env: { GROQ_API_KEY: '' } });
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.status, 503);
+    assert.equal(harness.fetch.calls.length, 0);
+});
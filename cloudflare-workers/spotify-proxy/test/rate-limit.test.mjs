@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, createKvStub } from './harness.mjs';
+
+const RECENT_PATH = '/v1/lastfm/recent?user=glenfire&limit=5';
+
+test('allowed requests report their remaining budget', async (t) => {
+    const harness = await setupWorker({ env: { RATE_LIMIT_LASTFM_BURST: '3' } });
+    t.after(harness.restore);
+
+    const response = await harness.request(RECENT_PATH);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-RateLimit-Limit'), '3');
+    assert.equal(response.headers.get('X-RateLimit-Remaining'), '2');
+});
+
+test('exhausted buckets answer 429 with Retry-After', async (t) => {
+    const harness = await setupWorker({
+        env: { RATE_LIMIT_LASTFM_BURST: '2', RATE_LIMIT_LASTFM_PER_MINUTE: '6' },
+    });
+    t.after(harness.restore);
+
+    await harness.request(RECENT_PATH);
+    await harness.request(RECENT_PATH);
+    const limited = await harness.request(RECENT_PATH);
+
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('X-RateLimit-Remaining'), '0');
+    const retryAfter = Number(limited.headers.get('Retry-After'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 10, `Retry-After was ${retryAfter}`);
+});
+
+test('clients and route groups have independent buckets', async (t) => {
+    const harness = await setupWorker({ env: { RATE_LIMIT_LASTFM_BURST: '1' } });
+    t.after(harness.restore);
+
+    const first = await harness.request(RECENT_PATH, { headers: { 'CF-Connecting-IP': '203.0.113.1' } });
+    const sameClient = await harness.request(RECENT_PATH, { headers: { 'CF-Connecting-IP': '203.0.113.1' } });
+    const otherClient = await harness.request(RECENT_PATH, { headers: { 'CF-Connecting-IP': '203.0.113.2' } });
+    const metadata = await harness.request('/v1/metadata/artist?artist=Mazzy%20Star', {
+        headers: { 'CF-Connecting-IP': '203.0.113.1' },
+    });
+
+    assert.equal(first.status, 200);
+    assert.equal(sameClient.status, 429);
+    assert.equal(otherClient.status, 200);
+    assert.equal(metadata.status, 200);
+});
+
+test('buckets are persisted to RATE_LIMIT_KV when bound', async (t) => {
+    const rateLimitKv = createKvStub();
+    const harness = await setupWorker({ env: { RATE_LIMIT_KV: rateLimitKv } });
+    t.after(harness.restore);
+
+    await harness.request(RECENT_PATH, { headers: { 'CF-Connecting-IP': '203.0.113.9' } });
+
+    const keys = [...rateLimitKv.entries.keys()];
+    assert.equal(keys.length, 1);
+    assert.match(keys[0], /^ratelimit\/lastfm\//);
+    assert.ok(rateLimitKv.entries.get(keys[0]).options.expirationTtl >= 60);
+});
+
+test('origins matching the same allowlist entry share a bucket', async (t) => {
+    const harness = await setupWorker({ env: { RATE_LIMIT_LASTFM_BURST: '2' } });
+    t.after(harness.restore);
+
+    const statuses = [];
+    for (const port of [4000, 4001, 4002]) {
+        const response = await harness.request(RECENT_PATH, {
+            headers: { 'CF-Connecting-IP': '203.0.113.4', Origin: `http://localhost:${port}` },
+        });
+        statuses.push(response.status);
+    }
+    assert.deepEqual(statuses, [200, 200, 429]);
+});
+
+test('X-Forwarded-For does not pick the bucket', async (t) => {
+    const harness = await setupWorker({ env: { RATE_LIMIT_LASTFM_BURST: '1' } });
+    t.after(harness.restore);
+
+    const first = await harness.request(RECENT_PATH, { headers: { 'X-Forwarded-For': '198.51.100.1' } });
+    const spoofed = await harness.request(RECENT_PATH, { headers: { 'X-Forwarded-For': '198.51.100.2' } });
+
+    assert.equal(first.status, 200);
+    assert.equal(spoofed.status, 429);
+});
+
+test('buckets are synced to RATE_LIMIT_KV periodically rather than on every request', async (t) => {
+    const rateLimitKv = createKvStub();
+    let writes = 0;
+    const put = rateLimitKv.put;
+    rateLimitKv.put = (...args) => {
+        writes += 1;
+        return put(...args);
+    };
+    const harness = await setupWorker({ env: { RATE_LIMIT_KV: rateLimitKv } });
+    t.after(harness.restore);
+
+    for (let i = 0; i < 5; i++) {
+        await harness.request(RECENT_PATH, { headers: { 'CF-Connecting-IP': '203.0.113.9' } });
+    }
+    assert.equal(writes, 1);
+});
+
+test('a burst of refused requests does not turn into KV writes', async (t) => {
+    const rateLimitKv = createKvStub();
+    let writes = 0;
+    const put = rateLimitKv.put;
+    rateLimitKv.put = (...args) => {
+        writes += 1;
+        return put(...args);
+    };
+    const harness = await setupWorker({ env: { RATE_LIMIT_KV: rateLimitKv, RATE_LIMIT_LASTFM_BURST: '5' } });
+    t.after(harness.restore);
+
+    const statuses = [];
+    for (let i = 0; i < 50; i++) {
+        const response = await harness.request(RECENT_PATH, { headers: { 'CF-Connecting-IP': '203.0.113.10' } });
+        statuses.push(response.status);
+    }
+    assert.equal(statuses.filter(status => status === 429).length, 45);
+    assert.equal(writes, 1);
+});
@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, jsonResponse, sseResponse } from './harness.mjs';
+
+// Wednesday: the latest finished ISO week is 2026-W10 (2-8 March), compared with 2026-W09.
+const NOW = '2026-03-11T10:00:00Z';
+const CURRENT_FROM = String(Date.parse('2026-03-02T00:00:00Z') / 1000);
+const PREVIOUS_FROM = String(Date.parse('2026-02-23T00:00:00Z') / 1000);
+
+const NARRATIVE = 'glen spent the week orbiting mazzy star like a moth with a grudge, '
+    + 'let slowdive in through the back door, and quietly demoted cocteau twins to background weather '
+    + 'while the minutes crept up again.';
+
+function chart(root, itemKey, items) {
+    return { [root]: { [itemKey]: items, '@attr': { user: 'glenfire' } } };
+}
+
+function entry(rank, name, playcount, artist) {
+    const item = { name, playcount: String(playcount), mbid: '', url: '', '@attr': { rank: String(rank) } };
+    if (artist) item.artist = { '#text': artist, mbid: '' };
+    return item;
+}
+
+const WEEKLY_CHARTS = {
+    [CURRENT_FROM]: {
+        'user.getweeklyartistchart': chart('weeklyartistchart', 'artist', [
+            entry(1, 'Mazzy Star', 20),
+            entry(2, 'Cocteau Twins', 12),
+            entry(3, 'Slowdive', 8),
+        ]),
+        'user.getweeklytrackchart': chart('weeklytrackchart', 'track', [
+            entry(1, 'Fade Into You', 20, 'Mazzy Star'),
+            entry(2, 'Heaven or Las Vegas', 12, 'Cocteau Twins'),
+            entry(3, 'Alison', 8, 'Slowdive'),
+        ]),
+        'user.getweeklyalbumchart': chart('weeklyalbumchart', 'album', []),
+    },
+    [PREVIOUS_FROM]: {
+        'user.getweeklyartistchart': chart('weeklyartistchart', 'artist', [
+            entry(1, 'Cocteau Twins', 25),
+            entry(2, 'Mazzy Star', 10),
+        ]),
+        'user.getweeklytrackchart': chart('weeklytrackchart', 'track', [
+            entry(1, 'Heaven or Las Vegas', 25, 'Cocteau Twins'),
+            entry(2, 'Fade Into You', 10, 'Mazzy Star'),
+        ]),
+        'user.getweeklyalbumchart': chart('weeklyalbumchart', 'album', []),
+    },
+};
+
+function freezeNow(t, iso) {
+    const realNow = Date.now;
+    Date.now = () => Date.parse(iso);
+    t.after(() => { Date.now = realNow; });
+}
+
+async function setupRecapWorker(t, { narrative = NARRATIVE } = {}) {
+    freezeNow(t, NOW);
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'ws.audioscrobbler.com',
+        respond: url => {
+            const method = url.searchParams.get('method');
+            if (method === 'track.getinfo') {
+                // Only one duration is known; the rest fall back to it.
+                const duration = url.searchParams.get('track') === 'Fade Into You' ? '300000' : '0';
+                return jsonResponse({ track: { name: url.searchParams.get('track'), duration } });
+            }
+            return jsonResponse(WEEKLY_CHARTS[url.searchParams.get('from')][method]);
+        },
+    });
+    harness.fetch.prepend({
+        match: url => url.host === 'api.groq.com',
+        respond: () => narrative
+            ? sseResponse([narrative])
+            : jsonResponse({ error: { message: 'down' } }, 500),
+    });
+    return harness;
+}
+
+test('recaps compare the period with the previous one and are narrated by the recap persona', async (t) => {
+    const harness = await setupRecapWorker(t);
+
+    const response = await harness.request('/v1/recap?user=glenfire&period=week');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Cache'), 'MISS');
+    const recap = await response.json();
+
+    assert.equal(recap.id, '2026-W10');
+    assert.equal(recap.label, 'Mar 2 – Mar 8, 2026');
+    assert.deepEqual(recap.previous, { id: '2026-W09', label: 'Feb 23 – Mar 1, 2026' });
+    assert.deepEqual(recap.totals, { scrobbles: 40, minutes: 200, artists: 3, tracks: 3, albums: 0 });
+    assert.deepEqual(recap.changes, { scrobbles: 5, minutes: 25, minutesPercent: 14 });
+    assert.deepEqual(recap.newArtists, [{ rank: 3, name: 'Slowdive', playcount: 8 }]);
+    assert.deepEqual(recap.climbers.artists, [
+        { rank: 1, name: 'Mazzy Star', playcount: 20, previousRank: 2, climb: 1 },
+    ]);
+    assert.equal(recap.climbers.tracks[0].name, 'Fade Into You');
+    assert.equal(recap.narrative, NARRATIVE);
+
+    const chartCalls = harness.fetch.callsTo('ws.audioscrobbler.com')
+        .filter(call => call.url.searchParams.get('method') === 'user.getweeklyartistchart');
+    assert.deepEqual(chartCalls.map(call => call.url.searchParams.get('from')).sort(), [PREVIOUS_FROM, CURRENT_FROM].sort());
+
+    const [groqCall] = harness.fetch.callsTo('api.groq.com');
+    const body = JSON.parse(groqCall.body);
+    const prompt = body.messages.find(message => message.role === 'user').content;
+    assert.match(prompt, /new artists this week: Slowdive/);
+    assert.match(prompt, /biggest climbers: Mazzy Star \(#2 → #1\)/);
+    assert.ok(body.max_tokens > 60);
+});
+
+test('narrated recaps are stored in KV by period and replayed', async (t) => {
+    const harness = await setupRecapWorker(t);
+
+    await (await harness.request('/v1/recap?user=glenfire&period=week&id=2026-W10')).json();
+    assert.ok(harness.kv.entries.has('recap/glenfire/week/2026-W10'));
+
+    const upstreamCalls = harness.fetch.calls.length;
+    const replay = await harness.request('/v1/recap?user=glenfire&period=week&id=2026-W10');
+    assert.equal(replay.headers.get('X-Cache'), 'HIT');
+    assert.equal((await replay.json()).narrative, NARRATIVE);
+    assert.equal(harness.fetch.calls.length, upstreamCalls);
+});
+
+test('recaps without a narrative are served but not stored', async (t) => {
+    const harness = await setupRecapWorker(t, { narrative: null });
+
+    const response = await harness.request('/v1/recap?user=glenfire&period=week');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Cache-Control'), 'no-store');
+    assert.equal((await response.json()).narrative, null);
+    assert.equal(harness.kv.entries.has('recap/glenfire/week/2026-W10'), false);
+});
+
+test('unfinished and malformed periods are rejected', async (t) => {
+    const harness = await setupRecapWorker(t);
+
+    const unfinished = await harness.request('/v1/recap?user=glenfire&period=week&id=2026-W11');
+    assert.equal(unfinished.status, 400);
+    const currentMonth = await harness.request('/v1/recap?user=glenfire&period=month&id=2026-03');
+    assert.equal(currentMonth.status, 400);
+    const malformed = await harness.request('/v1/recap?user=glenfire&period=week&id=2025-W53');
+    assert.equal(malformed.status, 400);
+    const period = await harness.request('/v1/recap?user=glenfire&period=year');
+    assert.equal(period.status, 400);
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 0);
+});
+
+test('recaps render as a shareable image and on the archive page', async (t) => {
+    const harness = await setupRecapWorker(t);
+
+    const image = await harness.request('/v1/recap/image?user=glenfire&period=week&id=2026-W10');
+    assert.equal(image.status, 200);
+    assert.match(image.headers.get('Content-Type'), /image\/svg\+xml/);
+    const svg = await image.text();
+    assert.match(svg, /^<svg /);
+    assert.match(svg, /Mar 2 – Mar 8, 2026/);
+    assert.match(svg, /GLEN&#39;S WEEKLY RECAP/);
+
+    const archive = await harness.request('/v1/recap/archive?user=glenfire');
+    assert.equal(archive.status, 200);
+    assert.match(archive.headers.get('Content-Type'), /text\/html/);
+    const html = await archive.text();
+    assert.match(html, /id="week-2026-W10"/);
+    assert.match(html, /glen spent the week orbiting mazzy star/);
+    assert.match(html, /\/v1\/recap\/image\?user=glenfire&amp;period=week&amp;id=2026-W10/);
+    assert.doesNotMatch(html, /og:image/);
+});
+
+test('the archive reads only the newest recaps it renders', async (t) => {
+    const harness = await setupRecapWorker(t);
+    await (await harness.request('/v1/recap?user=glenfire&period=week&id=2026-W10')).json();
+
+    // Copies of the stored recap under 60 older week ids.
+    const stored = harness.kv.entries.get('recap/glenfire/week/2026-W10');
+    for (let week = 1; week <= 52; week += 1) {
+        harness.kv.entries.set(`recap/glenfire/week/2025-W${String(week).padStart(2, '0')}`, stored);
+    }
+    for (let week = 1; week <= 8; week += 1) {
+        harness.kv.entries.set(`recap/glenfire/week/2024-W${String(week).padStart(2, '0')}`, stored);
+    }
+
+    const reads = [];
+    const get = harness.kv.get;
+    harness.kv.get = (key, ...rest) => {
+        reads.push(key);
+        return get(key, ...rest);
+    };
+
+    const html = await (await harness.request('/v1/recap/archive?user=glenfire')).text();
+    const recapReads = reads.filter(key => key.startsWith('recap/'));
+    assert.ok(recapReads.length <= 52, `read ${recapReads.length} recaps`);
+    assert.ok(!recapReads.some(key => key.startsWith('recap/glenfire/week/2024-')));
+    assert.match(html, /id="week-2026-W10"/);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker } from './harness.mjs';
+
+test('unknown legacy type returns 404 without touching upstreams', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/?type=bogus&artist=Mazzy%20Star');
+    assert.equal(response.status, 404);
+    assert.equal(harness.fetch.calls.length, 0);
+});
+
+test('unknown versioned path returns 404', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/nothing-here');
+    assert.equal(response.status, 404);
+});
+
+test('wrong method returns 405 with an Allow header', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary');
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('Allow'), 'POST, OPTIONS');
+});
+
+test('the Allow header lists HEAD on GET routes', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/lastfm/stats', { method: 'POST' });
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('Allow'), 'GET, HEAD, OPTIONS');
+});
+
+test('legacy ?type=spotify and /v1/metadata/track return the same payload', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const legacy = await harness.request('/?type=spotify&track=Fade%20Into%20You&artist=Mazzy%20Star');
+    const versioned = await harness.request('/v1/metadata/track?track=Fade%20Into%20You&artist=Mazzy%20Star');
+
+    assert.equal(legacy.status, 200);
+    assert.deepEqual(await legacy.json(), await versioned.json());
+});
+
+test('requests without a type keep defaulting to metadata lookups', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/?artist=Mazzy%20Star');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).artistName, 'Mazzy Star');
+});
+
+test('OPTIONS preflight is answered before routing', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', { method: 'OPTIONS' });
+    assert.equal(response.status, 200);
+    assert.ok(response.headers.get('Access-Control-Allow-Methods').includes('POST'));
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    setupWorker,
+    loadWorker,
+    createExecutionContext,
+    readSseEvents,
+    summaryText,
+    loadFixture,
+} from './harness.mjs';
+
+const SUMMARY_BODY = {
+    mode: 'session',
+    tracks: [
+        { name: 'Fade Into You', artist: 'Mazzy Star' },
+        { name: 'Halah', artist: 'Mazzy Star' },
+    ],
+};
+
+function expectedSummary() {
+    return loadFixture('groq-summary-stream').chunks.join('').toLowerCase();
+}
+
+// A second module instance stands in for another isolate sharing the same KV namespace.
+async function requestFromOtherIsolate(worker, env) {
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(
+        new Request('https://worker.test/v1/summary', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(SUMMARY_BODY),
+        }),
+        env,
+        ctx
+    );
+    response.ctx = ctx;
+    return response;
+}
+
+function leaseKeys(kv) {
+    return [...kv.entries.keys()].filter(key => key.startsWith('summary-lock/'));
+}
+
+test('isolates sharing KV run one generation per cache key', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    const otherIsolate = await loadWorker();
+
+    const [first, second] = await Promise.all([
+        harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY }),
+        requestFromOtherIsolate(otherIsolate, harness.env),
+    ]);
+
+    assert.equal(summaryText(await readSseEvents(first)), expectedSummary());
+    assert.equal(summaryText(await readSseEvents(second)), expectedSummary());
+    await first.ctx.drain();
+    await second.ctx.drain();
+
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 1);
+    assert.deepEqual(
+        [first.headers.get('X-Summary-Cache'), second.headers.get('X-Summary-Cache')].sort(),
+        ['HIT', 'MISS']
+    );
+    assert.deepEqual(leaseKeys(harness.kv), []);
+});
+
+test('waiters pick up the summary published by the lease holder', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    // Seed the cache once to learn the key, then pretend another isolate holds its lease.
+    const seeded = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    await seeded.text();
+    await seeded.ctx.drain();
+    const finalKey = [...harness.kv.entries.keys()].find(key => key.startsWith('summary-final/'));
+    const cacheKey = finalKey.slice('summary-final/'.length);
+    const published = harness.kv.entries.get(finalKey).value;
+    harness.kv.entries.clear();
+    harness.cache.entries.clear();
+
+    await harness.kv.put(`summary-lock/${cacheKey}`, JSON.stringify({
+        owner: 'other-isolate',
+        expiresAt: Date.now() + 30000,
+    }));
+    setTimeout(() => harness.kv.put(finalKey, published), 300);
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.headers.get('X-Summary-Cache'), 'HIT');
+    assert.equal(summaryText(await readSseEvents(response)), expectedSummary());
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 1);
+    // Someone else's lease is never released by a waiter.
+    assert.equal(JSON.parse(harness.kv.entries.get(`summary-lock/${cacheKey}`).value).owner, 'other-isolate');
+});
+
+test('a lapsed lease is taken over instead of stranding the waiter', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const seeded = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    await seeded.text();
+    await seeded.ctx.drain();
+    const finalKey = [...harness.kv.entries.keys()].find(key => key.startsWith('summary-final/'));
+    const cacheKey = finalKey.slice('summary-final/'.length);
+    harness.kv.entries.clear();
+    harness.cache.entries.clear();
+
+    // The holder died mid-generation: its lease runs out and no summary is ever published.
+    await harness.kv.put(`summary-lock/${cacheKey}`, JSON.stringify({
+        owner: 'crashed-isolate',
+        expiresAt: Date.now() + 300,
+    }));
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.headers.get('X-Summary-Cache'), 'MISS');
+    assert.equal(summaryText(await readSseEvents(response)), expectedSummary());
+    await response.ctx.drain();
+
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 2);
+    assert.deepEqual(leaseKeys(harness.kv), []);
+});
+
+test('waiters poll the lease at a bounded rate until they give up and generate', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const seeded = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    await seeded.text();
+    await seeded.ctx.drain();
+    const finalKey = [...harness.kv.entries.keys()].find(key => key.startsWith('summary-final/'));
+    const cacheKey = finalKey.slice('summary-final/'.length);
+    harness.kv.entries.clear();
+    harness.cache.entries.clear();
+
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+    // The holder outlives the whole wait and never publishes.
+    await harness.kv.put(`summary-lock/${cacheKey}`, JSON.stringify({
+        owner: 'stuck-isolate',
+        expiresAt: Date.now() + 60000,
+    }));
+    const get = harness.kv.get;
+    let leaseReads = 0;
+    harness.kv.get = (key, type) => {
+        if (key.startsWith('summary-lock/')) leaseReads++;
+        return get(key, type);
+    };
+
+    let response = null;
+    harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY }).then(result => { response = result; });
+    for (let elapsed = 0; !response && elapsed <= 30000; elapsed += 500) {
+        for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.tick(500);
+    }
+
+    assert.ok(response, 'the waiter gave up on the stuck lease');
+    assert.equal(response.headers.get('X-Summary-Cache'), 'MISS');
+    assert.ok(leaseReads <= 20, `expected at most 20 lease reads, saw ${leaseReads}`);
+});
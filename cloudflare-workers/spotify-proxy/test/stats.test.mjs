@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, loadFixture, jsonResponse } from './harness.mjs';
+
+const CHART_FIXTURES = {
+    'user.gettopartists': 'lastfm-topartists',
+    'user.gettoptracks': 'lastfm-toptracks',
+    'user.gettopalbums': 'lastfm-topalbums',
+};
+
+function serveCharts(harness) {
+    harness.fetch.prepend({
+        match: url => url.host === 'ws.audioscrobbler.com' && url.searchParams.get('method') in CHART_FIXTURES,
+        respond: url => jsonResponse(loadFixture(CHART_FIXTURES[url.searchParams.get('method')])),
+    });
+}
+
+function scrobble(name, isoDate) {
+    return {
+        name,
+        artist: { '#text': 'Mazzy Star' },
+        album: { '#text': 'So Tonight That I Might See' },
+        image: [],
+        url: 'https://www.last.fm/music/Mazzy+Star',
+        date: { uts: String(Date.parse(isoDate) / 1000) },
+    };
+}
+
+function recentPage(tracks, totalPages) {
+    return {
+        recenttracks: {
+            track: tracks,
+            '@attr': { user: 'glenfire', page: '1', perPage: '200', totalPages: String(totalPages), total: String(tracks.length) },
+        },
+    };
+}
+
+// Freezes the worker's clock so the activity window is predictable.
+function freezeNow(t, iso) {
+    const realNow = Date.now;
+    Date.now = () => Date.parse(iso);
+    t.after(() => { Date.now = realNow; });
+}
+
+test('stats returns the three normalized top charts for a period', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    serveCharts(harness);
+
+    const response = await harness.request('/v1/lastfm/stats?user=glenfire&period=3month&limit=2');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+
+    assert.equal(body.user, 'glenfire');
+    assert.equal(body.period, '3month');
+    assert.deepEqual(body.artists.map(item => [item.rank, item.name, item.playcount]), [
+        [1, 'Mazzy Star', 412],
+        [2, 'Cocteau Twins', 198],
+    ]);
+    assert.equal(body.artists[0].artist, null);
+    assert.equal(body.tracks[1].artist, 'Cocteau Twins');
+    assert.equal(body.albums.length, 1);
+    assert.equal(body.albums[0].images.extralarge, 'https://lastfm.freetls.fastly.net/i/u/300x300/sotonight.png');
+
+    const calls = harness.fetch.callsTo('ws.audioscrobbler.com');
+    assert.deepEqual(calls.map(call => call.url.searchParams.get('method')).sort(), Object.keys(CHART_FIXTURES).sort());
+    assert.ok(calls.every(call => call.url.searchParams.get('period') === '3month'));
+    assert.ok(calls.every(call => call.url.searchParams.get('limit') === '2'));
+});
+
+test('stats rejects unknown periods before reaching Last.fm', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/lastfm/stats?user=glenfire&period=fortnight');
+    assert.equal(response.status, 400);
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 0);
+});
+
+test('top chart methods accept normalized=1', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+    serveCharts(harness);
+
+    const response = await harness.request('/v1/lastfm?method=user.gettoptracks&user=glenfire&period=7day&normalized=1');
+    const body = await response.json();
+
+    assert.equal(body.period, '7day');
+    assert.equal(body.total, 800);
+    assert.deepEqual(body.items[0], {
+        rank: 1,
+        name: 'Fade Into You',
+        artist: 'Mazzy Star',
+        playcount: 57,
+        images: {
+            small: 'https://lastfm.freetls.fastly.net/i/u/34s/fadeintoyou.png',
+            medium: 'https://lastfm.freetls.fastly.net/i/u/64s/fadeintoyou.png',
+            large: 'https://lastfm.freetls.fastly.net/i/u/174s/fadeintoyou.png',
+            extralarge: 'https://lastfm.freetls.fastly.net/i/u/300x300/fadeintoyou.png',
+            mega: null,
+        },
+        url: 'https://www.last.fm/music/Mazzy+Star/_/Fade+Into+You',
+        mbid: null,
+    });
+});
+
+test('activity buckets scrobbles by local day and hour across pages', async (t) => {
+    freezeNow(t, '2026-03-10T15:30:00Z');
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'ws.audioscrobbler.com',
+        respond: url => jsonResponse(url.searchParams.get('page') === '1'
+            ? recentPage([
+                { ...scrobble('Halah', '2026-03-10T14:10:00Z'), date: undefined, '@attr': { nowplaying: 'true' } },
+                scrobble('Fade Into You', '2026-03-10T14:10:00Z'),
+                scrobble('Into Dust', '2026-03-09T22:30:00Z'),
+            ], 2)
+            : recentPage([scrobble('Halah', '2026-03-09T20:00:00Z')], 2)),
+    });
+
+    // UTC+3: the window is local 8-10 March, ending at 18:00 local (15:00 UTC).
+    const response = await harness.request('/v1/lastfm/activity?user=glenfire&days=3&tzOffset=-180');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+
+    assert.equal(body.total, 3);
+    assert.equal(body.truncated, false);
+    assert.deepEqual(body.daily, [
+        { date: '2026-03-08', count: 0 },
+        { date: '2026-03-09', count: 1 },
+        { date: '2026-03-10', count: 2 },
+    ]);
+    assert.equal(body.hourly.length, 24);
+    assert.equal(body.hourly[17], 1);
+    assert.equal(body.hourly[1], 1);
+    assert.equal(body.hourly[23], 1);
+
+    const calls = harness.fetch.callsTo('ws.audioscrobbler.com');
+    assert.deepEqual(calls.map(call => call.url.searchParams.get('page')), ['1', '2']);
+    assert.equal(calls[0].url.searchParams.get('from'), String(Date.parse('2026-03-07T21:00:00Z') / 1000));
+    assert.equal(calls[0].url.searchParams.get('to'), String(Date.parse('2026-03-10T15:00:00Z') / 1000));
+});
+
+test('activity stops paging at the page cap and reports truncation', async (t) => {
+    freezeNow(t, '2026-03-10T15:30:00Z');
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'ws.audioscrobbler.com',
+        respond: () => jsonResponse(recentPage([scrobble('Halah', '2026-03-10T09:00:00Z')], 500)),
+    });
+
+    const response = await harness.request('/v1/lastfm/activity?user=glenfire&days=7');
+    const body = await response.json();
+
+    assert.equal(body.truncated, true);
+    assert.equal(body.daily.length, 7);
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 30);
+});
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, jsonResponse, readSseEvents, createDurableObjectNamespaceStub } from './harness.mjs';
+
+const NOW = Date.parse('2026-03-10T15:00:00Z');
+
+function track(name, { nowPlaying = false, playedAt } = {}) {
+    return {
+        name,
+        artist: { '#text': 'Mazzy Star' },
+        album: { '#text': 'So Tonight That I Might See' },
+        image: [],
+        url: '',
+        ...(nowPlaying ? { '@attr': { nowplaying: 'true' } } : { date: { uts: String(Date.parse(playedAt) / 1000) } }),
+    };
+}
+
+function recent(tracks) {
+    return { recenttracks: { track: tracks, '@attr': { user: 'glenfire' } } };
+}
+
+// What Last.fm reports on each successive poll; the last one repeats.
+const POLLS = [
+    recent([
+        track('Fade Into You', { nowPlaying: true }),
+        track('Halah', { playedAt: '2026-03-10T14:50:00Z' }),
+    ]),
+    recent([
+        track('Into Dust', { nowPlaying: true }),
+        track('Fade Into You', { playedAt: '2026-03-10T15:00:00Z' }),
+        track('Halah', { playedAt: '2026-03-10T14:50:00Z' }),
+    ]),
+    recent([
+        track('Into Dust', { playedAt: '2026-03-10T15:05:00Z' }),
+        track('Fade Into You', { playedAt: '2026-03-10T15:00:00Z' }),
+        track('Halah', { playedAt: '2026-03-10T14:50:00Z' }),
+    ]),
+];
+
+async function settle() {
+    for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+async function setupStreamWorker(t, env = {}, { durableObject = false } = {}) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+    const harness = await setupWorker({ env: { LASTFM_STREAM_MAX_SECONDS: '12', ...env } });
+    t.after(harness.restore);
+    if (durableObject) {
+        harness.env.NOWPLAYING_CHANNEL = createDurableObjectNamespaceStub(harness.module.NowPlayingChannel, harness.env);
+    }
+
+    let polls = 0;
+    harness.fetch.prepend({
+        match: url => url.host === 'ws.audioscrobbler.com',
+        respond: () => jsonResponse(POLLS[Math.min(polls++, POLLS.length - 1)]),
+    });
+    return harness;
+}
+
+// Reads the whole stream while moving the clock one poll interval at a time.
+async function readStream(t, response, seconds) {
+    const events = readSseEvents(response);
+    for (let elapsed = 0; elapsed <= seconds; elapsed += 5) {
+        await settle();
+        t.mock.timers.tick(5000);
+    }
+    return await events;
+}
+
+test('the stream sends the current state, then track changes and new scrobbles', async (t) => {
+    const harness = await setupStreamWorker(t);
+
+    const response = await harness.request('/v1/lastfm/stream?user=glenfire&limit=1');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /text\/event-stream/);
+
+    const events = (await readStream(t, response, 15)).filter(event => event.event !== 'message');
+    assert.deepEqual(events.map(event => event.event), [
+        'nowplaying', 'recent-updated',
+        'nowplaying', 'track-change', 'recent-updated',
+        'nowplaying', 'recent-updated',
+    ]);
+
+    assert.equal(events[0].data.user, 'glenfire');
+    assert.equal(events[0].data.nowPlaying.name, 'Fade Into You');
+    assert.deepEqual(events[1].data.tracks.map(item => item.name), ['Halah']);
+    assert.equal(events[3].data.previous.name, 'Fade Into You');
+    assert.equal(events[3].data.nowPlaying.name, 'Into Dust');
+    assert.equal(events[5].data.nowPlaying, null);
+    assert.deepEqual(events[6].data.tracks.map(item => item.name), ['Into Dust']);
+
+    // Channels always poll the same window and slice it per subscriber.
+    const calls = harness.fetch.callsTo('ws.audioscrobbler.com');
+    assert.equal(calls.length, 3);
+    assert.ok(calls.every(call => call.url.searchParams.get('limit') === '20'));
+});
+
+test('subscribers of the same user share one Last.fm poll', async (t) => {
+    const harness = await setupStreamWorker(t);
+
+    const responses = await Promise.all([
+        harness.request('/v1/lastfm/stream?user=glenfire'),
+        harness.request('/v1/lastfm/stream?user=glenfire'),
+    ]);
+    const [first, second] = await Promise.all(responses.map(response => readStream(t, response, 15)));
+
+    assert.deepEqual(first, second);
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 3);
+});
+
+test('the stream stops polling once the visitor disconnects', async (t) => {
+    const harness = await setupStreamWorker(t, { LASTFM_STREAM_MAX_SECONDS: '300' });
+
+    const response = await harness.request('/v1/lastfm/stream?user=glenfire');
+    const reader = response.body.getReader();
+    await reader.read();
+    await reader.cancel();
+    await settle();
+
+    t.mock.timers.tick(60000);
+    await settle();
+    await response.ctx.drain();
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 1);
+});
+
+test('with the Durable Object bound, one loop polls Last.fm for every subscriber of a user', async (t) => {
+    const harness = await setupStreamWorker(t, {}, { durableObject: true });
+
+    const responses = await Promise.all([
+        harness.request('/v1/lastfm/stream?user=glenfire&limit=1'),
+        harness.request('/v1/lastfm/stream?user=glenfire&limit=3'),
+    ]);
+    assert.ok(responses.every(response => /text\/event-stream/.test(response.headers.get('Content-Type'))));
+    const [narrow, wide] = await Promise.all(responses.map(response => readStream(t, response, 15)));
+
+    assert.deepEqual(narrow.map(event => event.event), wide.map(event => event.event));
+    assert.equal(narrow.at(-1).data.tracks.length, 1);
+    assert.equal(wide.at(-1).data.tracks.length, 3);
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 3);
+    assert.equal(harness.env.NOWPLAYING_CHANNEL.instances.get('glenfire').loop, null);
+});
+
+test('the Durable Object stops polling when its last subscriber disconnects', async (t) => {
+    const harness = await setupStreamWorker(t, { LASTFM_STREAM_MAX_SECONDS: '300' }, { durableObject: true });
+
+    const response = await harness.request('/v1/lastfm/stream?user=glenfire');
+    const reader = response.body.getReader();
+    await reader.read();
+    await reader.cancel();
+    await settle();
+
+    t.mock.timers.tick(60000);
+    await settle();
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 1);
+    assert.equal(harness.env.NOWPLAYING_CHANNEL.instances.get('glenfire').loop, null);
+});
+
+test('the stream rejects users outside the allowlist', async (t) => {
+    const harness = await setupStreamWorker(t);
+
+    const response = await harness.request('/v1/lastfm/stream?user=someoneelse');
+    assert.equal(response.status, 403);
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 0);
+});
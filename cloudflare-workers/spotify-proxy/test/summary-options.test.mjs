@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, readSseEvents } from './harness.mjs';
+
+const TRACKS = [
+    { name: 'Fade Into You', artist: 'Mazzy Star', importance: 'CURRENT_ESSENTIAL', relevance_score: 1 },
+    { name: 'Into Dust', artist: 'Mazzy Star', importance: 'RECENT_CONTEXT', relevance_score: 0.5 },
+    { name: 'Halah', artist: 'Mazzy Star', importance: 'DISTANT_ECHO', relevance_score: 0.05 },
+];
+
+async function groqRequestBody(harness) {
+    const [call] = harness.fetch.callsTo('api.groq.com');
+    return JSON.parse(call.body);
+}
+
+test('client generation options are clamped and forwarded', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: {
+            mode: 'active',
+            tracks: TRACKS,
+            options: {
+                temperature: 9,
+                top_p: 0.95,
+                frequency_penalty: '1.2',
+                presence_penalty: -7,
+                max_tokens: 5000,
+                seed: 42,
+                model: 'something-expensive',
+            },
+        },
+    });
+    await response.text();
+
+    const body = await groqRequestBody(harness);
+    assert.equal(body.temperature, 1.5);
+    assert.equal(body.top_p, 0.95);
+    assert.equal(body.frequency_penalty, 1.2);
+    assert.equal(body.presence_penalty, -2);
+    assert.equal(body.max_tokens, 80);
+    assert.equal(body.seed, undefined);
+    assert.equal(body.model, 'groq/compound');
+    assert.equal(body.stream, true);
+});
+
+test('defaults apply when no options are sent', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS },
+    });
+    await response.text();
+
+    const body = await groqRequestBody(harness);
+    assert.equal(body.temperature, 0.35);
+    assert.equal(body.max_tokens, 60);
+    assert.equal(body.top_p, undefined);
+});
+
+test('track importance and relevance are written into the prompt', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS },
+    });
+    await response.text();
+
+    const body = await groqRequestBody(harness);
+    const userMessage = body.messages.find(message => message.role === 'user').content;
+    assert.match(userMessage, /1\. Fade Into You - Mazzy Star \(1993\) \[current essential, weight 1\.00\]/);
+    assert.match(userMessage, /3\. Halah - Mazzy Star \(1993\) \[distant echo, weight 0\.05\]/);
+});
+
+test('weighting indices tag tracks that carry no importance of their own', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: {
+            mode: 'active',
+            tracks: TRACKS.map(({ name, artist }) => ({ name, artist })),
+            weighting: { hero_indices: [0], background_indices: [2] },
+        },
+    });
+    await response.text();
+
+    const body = await groqRequestBody(harness);
+    const userMessage = body.messages.find(message => message.role === 'user').content;
+    assert.match(userMessage, /1\. Fade Into You - Mazzy Star \(1993\) \[current essential\]/);
+    assert.match(userMessage, /2\. Into Dust - Mazzy Star \(1993\)\n/);
+    assert.match(userMessage, /3\. Halah - Mazzy Star \(1993\) \[distant echo\]/);
+});
+
+test('different generation settings do not share a cached summary', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const send = async (options, requestId) => {
+        const response = await harness.request('/v1/summary', {
+            method: 'POST',
+            body: { mode: 'active', tracks: TRACKS, options, request_id: requestId },
+        });
+        await readSseEvents(response);
+        return response.headers.get('X-Cache');
+    };
+
+    assert.equal(await send({ temperature: 0.9 }, 'vibe_1'), 'MISS');
+    assert.equal(await send({ temperature: 0.9 }, 'vibe_2'), 'HIT');
+    assert.equal(await send({ temperature: 0.2 }, 'vibe_3'), 'MISS');
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 2);
+});
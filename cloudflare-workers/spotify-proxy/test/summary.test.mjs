@@ -0,0 +1,311 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    setupWorker,
+    loadFixture,
+    jsonResponse,
+    sseResponse,
+    readSseEvents,
+    summaryText,
+} from './harness.mjs';
+
+const SUMMARY_BODY = {
+    mode: 'active',
+    tracks: [
+        { name: 'Fade Into You', artist: 'Mazzy Star', spotifyUrl: 'https://open.spotify.com/track/1LzNfuep1bnAUR9skqdHCK' },
+        { name: 'Into Dust', artist: 'Mazzy Star' },
+        { name: 'Halah', artist: 'Mazzy Star' },
+    ],
+};
+
+function expectedSummary() {
+    return loadFixture('groq-summary-stream').chunks.join('').toLowerCase();
+}
+
+test('cache miss streams the model output and stores it in KV', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /text\/event-stream/);
+    assert.equal(response.headers.get('X-Cache'), 'MISS');
+    assert.equal(response.headers.get('X-Model-Used'), 'groq/compound');
+
+    const events = await readSseEvents(response);
+    assert.equal(summaryText(events), expectedSummary());
+    assert.equal(events.at(-1).data, '[DONE]');
+
+    const finalKeys = [...harness.kv.entries.keys()].filter(key => key.startsWith('summary-final/'));
+    assert.equal(finalKeys.length, 1);
+});
+
+test('cached summaries are replayed without calling Groq', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+
+    assert.equal(response.headers.get('X-Cache'), 'HIT');
+    assert.equal(summaryText(await readSseEvents(response)), expectedSummary());
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 1);
+});
+
+test('prompt carries the era and mood derived from ReccoBeats', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+
+    const [groqCall] = harness.fetch.callsTo('api.groq.com');
+    const body = JSON.parse(groqCall.body);
+    const userMessage = body.messages.find(message => message.role === 'user').content;
+
+    assert.match(userMessage, /era: 90s Kid/);
+    assert.match(userMessage, /mood: melancholic-calm/);
+    assert.match(userMessage, /1\. Fade Into You - Mazzy Star \(1993\)/);
+});
+
+test('rate-limited models fall through to the next one in priority order', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    let groqCalls = 0;
+    harness.fetch.prepend({
+        match: url => url.host === 'api.groq.com',
+        respond: () => {
+            groqCalls += 1;
+            return groqCalls === 1
+                ? jsonResponse({ error: { message: 'rate limited' } }, 429)
+                : sseResponse(loadFixture('groq-summary-stream').chunks);
+        },
+    });
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Model-Used'), 'llama-3.3-70b-versatile');
+});
+
+test('cache misses forward each model delta as its own event', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    const events = await readSseEvents(response);
+    const deltas = events
+        .filter(event => event.event === 'message' && typeof event.data === 'object')
+        .map(event => event.data.choices[0].delta.content);
+
+    assert.deepEqual(deltas, loadFixture('groq-summary-stream').chunks);
+});
+
+test('concurrent requests share one generation', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const [first, second] = await Promise.all([
+        harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY }),
+        harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY }),
+    ]);
+
+    assert.equal(summaryText(await readSseEvents(first)), expectedSummary());
+    assert.equal(summaryText(await readSseEvents(second)), expectedSummary());
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 1);
+});
+
+test('invalid streamed output is replaced by a buffered retry via a dedicated event', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    let groqCalls = 0;
+    harness.fetch.prepend({
+        match: url => url.host === 'api.groq.com',
+        respond: () => {
+            groqCalls += 1;
+            return groqCalls === 1
+                ? sseResponse(['too short.'])
+                : sseResponse(loadFixture('groq-summary-stream').chunks);
+        },
+    });
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Cache'), 'MISS');
+
+    const events = await readSseEvents(response);
+    assert.equal(summaryText(events), 'too short.');
+
+    const replace = events.find(event => event.event === 'summary-replace');
+    assert.ok(replace, 'expected a summary-replace event');
+    assert.equal(replace.data.summary, expectedSummary());
+    assert.equal(replace.data.cacheStatus, 'MISS');
+    assert.equal(replace.data.reason, 'invalid-output');
+    assert.equal(events.at(-1).data, '[DONE]');
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 2);
+});
+
+test('stale summaries are served immediately and refreshed in the background', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const seeded = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    await seeded.text();
+    await seeded.ctx.drain();
+    for (const key of [...harness.kv.entries.keys()]) {
+        if (key.startsWith('summary-final/')) harness.kv.entries.delete(key);
+    }
+    harness.cache.entries.clear();
+
+    harness.fetch.prepend({
+        match: url => url.host === 'api.groq.com',
+        respond: () => sseResponse(['a brand new recap about mazzy star on a loop tonight.']),
+    });
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.headers.get('X-Summary-Cache'), 'STALE-REVALIDATING');
+    assert.equal(summaryText(await readSseEvents(response)), expectedSummary());
+
+    await response.ctx.drain();
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 2);
+
+    const refreshed = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(refreshed.headers.get('X-Summary-Cache'), 'HIT');
+    assert.equal(
+        summaryText(await readSseEvents(refreshed)),
+        'a brand new recap about mazzy star on a loop tonight.'
+    );
+});
+
+test('a failed background refresh keeps serving the stale summary', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const seeded = await harness.request('/v1/summary?format=json', { method: 'POST', body: SUMMARY_BODY });
+    await seeded.json();
+    for (const key of [...harness.kv.entries.keys()]) {
+        if (key.startsWith('summary-final/')) harness.kv.entries.delete(key);
+    }
+    harness.cache.entries.clear();
+
+    harness.fetch.prepend({
+        match: url => url.host === 'api.groq.com',
+        respond: () => jsonResponse({ error: { message: 'down' } }, 500),
+    });
+
+    const [first, second] = await Promise.all([
+        harness.request('/v1/summary?format=json', { method: 'POST', body: SUMMARY_BODY }),
+        harness.request('/v1/summary?format=json', { method: 'POST', body: SUMMARY_BODY }),
+    ]);
+    assert.equal((await first.json()).cacheStatus, 'STALE-REVALIDATING');
+    const secondBody = await second.json();
+    assert.equal(secondBody.cacheStatus, 'STALE-REVALIDATING');
+    assert.equal(secondBody.moodClass.label, 'melancholic-calm');
+
+    await first.ctx.drain();
+    await second.ctx.drain();
+    assert.equal(second.ctx.pending.length, 0);
+    assert.equal(
+        [...harness.kv.entries.keys()].filter(key => key.startsWith('summary-final/')).length,
+        0
+    );
+});
+
+test('invalid output with nothing to fall back on ends with summary-error', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    harness.fetch.prepend({
+        match: url => url.host === 'api.groq.com',
+        respond: () => sseResponse(['nope.']),
+    });
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    const events = await readSseEvents(response);
+
+    assert.ok(events.some(event => event.event === 'summary-error'));
+    assert.equal([...harness.kv.entries.keys()].filter(key => key.startsWith('summary-')).length, 0);
+});
+
+test('empty track payloads are rejected', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', { method: 'POST', body: { tracks: [] } });
+    assert.equal(response.status, 400);
+});
+
+test('format=json returns the summary with the derived signals', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary?format=json', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /application\/json/);
+    assert.equal(response.headers.get('X-Cache'), 'MISS');
+
+    const body = await response.json();
+    assert.equal(body.summary, expectedSummary());
+    assert.equal(body.model, 'groq/compound');
+    assert.equal(body.dominantEra, '90s Kid');
+    assert.equal(body.moodClass.label, 'melancholic-calm');
+    assert.ok(Math.abs(body.audioStats.valence - 0.104) < 0.001);
+    assert.deepEqual(body.repetition, { detected: false, track: null, plays: 1 });
+    assert.equal(body.tracks[0].spotifyId, '1LzNfuep1bnAUR9skqdHCK');
+    assert.equal(body.tracks[0].year, 1993);
+});
+
+test('format=json replays cached signals and shares the streamed cache entry', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const streamed = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    await streamed.text();
+    await streamed.ctx.drain();
+
+    const reccoCalls = harness.fetch.callsTo('api.reccobeats.com').length;
+    const response = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { ...SUMMARY_BODY, format: 'json' },
+    });
+    const body = await response.json();
+
+    assert.equal(body.cacheStatus, 'HIT');
+    assert.equal(body.summary, expectedSummary());
+    assert.equal(body.moodClass.label, 'melancholic-calm');
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 1);
+    assert.equal(harness.fetch.callsTo('api.reccobeats.com').length, reccoCalls);
+});
+
+test('streamed summaries end with the signals event before [DONE]', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const streamed = await readSseEvents(await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY }));
+    const cached = await harness.request('/v1/summary', { method: 'POST', body: SUMMARY_BODY });
+    assert.equal(cached.headers.get('X-Cache'), 'HIT');
+
+    for (const events of [streamed, await readSseEvents(cached)]) {
+        assert.deepEqual(events.slice(-2).map(event => event.event), ['summary-signals', 'message']);
+        assert.equal(events.at(-1).data, '[DONE]');
+        const signals = events.at(-2).data;
+        assert.equal(signals.dominantEra, '90s Kid');
+        assert.equal(signals.moodClass.label, 'melancholic-calm');
+        assert.equal(signals.tracks[0].year, 1993);
+        assert.equal(signals.summary, undefined);
+    }
+});
+
+test('format=json reports earworms', async (t) => {
+    const harness = await setupWorker();
+    t.after(harness.restore);
+
+    const looped = Array.from({ length: 4 }, () => ({ name: 'Halah', artist: 'Mazzy Star' }));
+    const response = await harness.request('/v1/summary?format=json', {
+        method: 'POST',
+        body: { mode: 'session', tracks: looped },
+    });
+    const body = await response.json();
+
+    assert.deepEqual(body.repetition, { detected: true, track: 'halah by mazzy star', plays: 4 });
+});
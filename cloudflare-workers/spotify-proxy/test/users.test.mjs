@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupWorker, readSseEvents } from './harness.mjs';
+
+const TRACKS = [{ name: 'Fade Into You', artist: 'Mazzy Star' }];
+const USERS_ENV = { LASTFM_ALLOWED_USERS: 'glenfire:glen, SamListens:Sam' };
+
+function systemPrompt(harness, index = 0) {
+    const call = harness.fetch.callsTo('api.groq.com')[index];
+    return JSON.parse(call.body).messages[0].content;
+}
+
+test('Last.fm requests for users outside the allowlist are refused', async (t) => {
+    const harness = await setupWorker({ env: USERS_ENV });
+    t.after(harness.restore);
+
+    const refused = await harness.request('/v1/lastfm/recent?user=someone-else');
+    assert.equal(refused.status, 403);
+    assert.equal(harness.fetch.callsTo('ws.audioscrobbler.com').length, 0);
+
+    const allowed = await harness.request('/v1/lastfm/recent?user=samlistens');
+    assert.equal(allowed.status, 200);
+    const [call] = harness.fetch.callsTo('ws.audioscrobbler.com');
+    assert.equal(call.url.searchParams.get('user'), 'samlistens');
+});
+
+test('the summary prompt uses the requested user\'s display name', async (t) => {
+    const harness = await setupWorker({ env: USERS_ENV });
+    t.after(harness.restore);
+
+    await readSseEvents(await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS, user: 'samlistens' },
+    }));
+
+    const prompt = systemPrompt(harness);
+    assert.match(prompt, /entity named "Sam"/);
+    assert.doesNotMatch(prompt, /glen/);
+});
+
+test('omitting the user falls back to the first allowlisted user', async (t) => {
+    const harness = await setupWorker({ env: USERS_ENV });
+    t.after(harness.restore);
+
+    await readSseEvents(await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS },
+    }));
+    assert.match(systemPrompt(harness), /entity named "glen"/);
+});
+
+test('summary cache entries are scoped per user', async (t) => {
+    const harness = await setupWorker({ env: USERS_ENV });
+    t.after(harness.restore);
+
+    const summarise = async (user) => {
+        const response = await harness.request('/v1/summary', {
+            method: 'POST',
+            body: { mode: 'active', tracks: TRACKS, user },
+        });
+        await readSseEvents(response);
+        return response.headers.get('X-Cache');
+    };
+
+    assert.equal(await summarise('glenfire'), 'MISS');
+    assert.equal(await summarise('samlistens'), 'MISS');
+    assert.equal(await summarise('SamListens'), 'HIT');
+    assert.equal(harness.fetch.callsTo('api.groq.com').length, 2);
+});
+
+test('summaries for users outside the allowlist are refused', async (t) => {
+    const harness = await setupWorker({ env: USERS_ENV });
+    t.after(harness.restore);
+
+    const response = await harness.request('/v1/summary', {
+        method: 'POST',
+        body: { mode: 'active', tracks: TRACKS, user: 'intruder' },
+    });
+    assert.equal(response.status, 403);
+    assert.equal(harness.fetch.calls.length, 0);
+});
@@ -5,55 +5,119 @@
  * Frontend calls this worker without exposing credentials.
  * 
  * Endpoints:
- * - GET /?type=spotify&artist=<name> → { artistImage: "url" }
- * - GET /?type=spotify&track=<name>&artist=<name> → { albumImage: "url", artistImage: "url" }
- * - GET /?type=lastfm&user=<username>&method=<method> → Last.fm API response
- * - POST /?type=summary → Groq streamed summary
+ * - GET  /v1/metadata/artist?artist=<name> → { artistImage: "url", matchConfidence }
+ * - GET  /v1/metadata/track?track=<name>&artist=<name> → { albumImage: "url", artistImage: "url", matchConfidence }
+ *   matchConfidence is 0..1 (1 for exact names and overrides); low-confidence matches are still returned.
+ *   When no track matches it is null and artistMatchConfidence scores the artist artwork instead.
+ * - POST /v1/metadata/batch { tracks: [{ name, artist, spotifyUrl? }] } (up to 50) → { tracks: [{ name, artist,
+ *   albumImage, artistImage, spotifyUrl, year, albumName, matchConfidence }] } in request order
+ * - GET  /v1/metadata/audio-features?spotifyUrl=<url> | ?track=<name>&artist=<name>
+ * - POST /v1/metadata/audio-features { tracks: [{ name, artist, spotifyUrl? }] } (up to 50)
+ *   → { tracks: [{ name, artist, spotifyId, features, keyName, mood }], mood } where features is the
+ *   full ReccoBeats vector (tempo, key, mode, loudness, speechiness, ..., timeSignature)
+ * - GET  /v1/lastfm/recent?user=<username>&limit=<n> → Last.fm recent tracks
+ * - GET  /v1/lastfm?method=<method>&<params> → Last.fm API response. Only whitelisted methods
+ *   (user.getrecenttracks, user.gettop*, user.getweekly*, track/artist/album.getInfo, ...) and
+ *   their documented params are accepted; anything else is a 400
+ * - GET  /v1/lastfm/recent?user=<username>&normalized=1 → { user, nowPlaying, tracks: [{ name, artist, album,
+ *   images: { small..mega }, playedAt, url, mbid }] }
+ *   user.gettopartists/tracks/albums also take normalized=1 → { user, period, total, items: [{ rank, name,
+ *   artist, playcount, images, url, mbid }] }
+ * - GET  /v1/lastfm/stats?user=<username>&period=<7day|1month|3month|12month|overall>&limit=<n>
+ *   → { user, period, artists, tracks, albums } (normalized chart items, limit up to 50)
+ * - GET  /v1/lastfm/activity?user=<username>&days=<n>&tzOffset=<minutes> → { total, truncated,
+ *   daily: [{ date, count }], hourly: [24 counts] } in the caller's time zone (up to 366 days)
+ * - GET  /v1/lastfm/stream?user=<username>&limit=<n, up to 20> → text/event-stream of `nowplaying` { user, nowPlaying },
+ *   `track-change` { user, previous, nowPlaying } and `recent-updated` { user, tracks } events (normalized
+ *   tracks). The current state is sent on connect; streams close after a few minutes and clients reconnect.
+ * - GET  /v1/recap?user=<username>&period=<week|month>[&id=<YYYY-Www|YYYY-MM>] → { label, totals, previousTotals,
+ *   changes, topArtists, topTracks, topAlbums, newArtists, climbers, narrative, ... } for a finished ISO week or
+ *   calendar month (UTC; defaults to the latest one). Stored in KV once narrated.
+ * - GET  /v1/recap/image?<same params> → the recap as a 1200×630 SVG card
+ * - GET  /v1/recap/archive?user=<username>[&period=<week|month>] → HTML page of the stored recaps
+ * - GET|DELETE /v1/admin/cache?namespace=<ns>[&key=<key>] → inspect, list or purge cache entries (admin)
+ * - GET|PUT|DELETE /v1/admin/overrides → manage fixed Spotify matches for tracks and artists (admin)
+ * - GET  /v1/admin/summaries[?limit=<n>] → most recent summaries stored in KV (admin)
+ * - GET  /v1/cache/stats → per-namespace layered cache hit/miss counters for this isolate
+ * - POST /v1/summary → LLM streamed summary (Groq or any OpenAI-compatible provider), closed by a
+ *   `summary-signals` event carrying the same signals as the JSON form
+ * - POST /v1/summary?format=json → { summary, model, cacheStatus, dominantEra, moodClass, mood, audioStats,
+ *   repetition, tracks } where mood holds the dominant/secondary moods, spread, clusters and transition (also selected with `"format": "json"` in the body)
+ *   Both report X-Summary-Cache: HIT, MISS, or STALE-REVALIDATING when the previous summary is served
+ *   while a fresh one is generated in the background.
+ *
+ * Legacy query routing (kept for older clients, mapped onto the routes above):
+ * - GET /?type=spotify&artist=<name>[&track=<name>]
+ * - GET /?type=lastfm&user=<username>&method=<method>
+ * - POST /?type=summary
+ *
+ * Environment:
+ * - ALLOWED_ORIGINS: comma-separated CORS allowlist (exact origins or `https://*.example.com`,
+ *   `http://localhost:*` patterns). Defaults to the glenmuthoka.com origins plus localhost.
+ * - GROQ_API_KEY or LLM_PROVIDERS + LLM_<ID>_BASE_URL / _API_KEY / _MODELS: summary model providers.
+ * - LASTFM_ALLOWED_USERS: comma-separated `username[:Display Name]` entries the worker will serve.
+ *   The first entry is the default user. Defaults to `glenfire:glen`.
+ * - PROMPT_TEMPLATES_KV (optional KV binding): `prompt-template/<id>` entries that override or extend
+ *   prompt-templates.json. PROMPT_TEMPLATE_DEFAULT picks the template used when a request names none.
+ * - ADMIN_TOKEN: bearer secret for the /v1/admin routes; they answer 404 while it is unset.
+ * - MATCH_OVERRIDES_KV (optional KV binding): `match-override/<type>/<key>` entries that pin a track
+ *   or artist to a Spotify id ahead of match-overrides.json and the fuzzy search.
+ * - CACHE_KV (optional KV binding): L3 of the layered cache; SUMMARY_CACHE_KV is used when unset.
+ * - SUMMARY_CACHE_KV (optional KV binding): summary cache, plus the `summary-lock/<key>` leases that
+ *   cut down (best effort, not a lock) on isolates generating the same summary at once.
+ * - RATE_LIMIT_KV (optional KV binding): shares the in-memory token buckets between isolates (synced
+ *   every few seconds, not on every request).
+ * - RATE_LIMIT_SUMMARY_BURST / _PER_MINUTE, RATE_LIMIT_LASTFM_BURST / _PER_MINUTE,
+ *   RATE_LIMIT_METADATA_BURST / _PER_MINUTE: bucket sizes.
+ * - NOWPLAYING_CHANNEL (optional Durable Object binding, class NowPlayingChannel): one shared
+ *   Last.fm poll per user for all /v1/lastfm/stream subscribers; streams poll on their own without it.
+ * - LASTFM_STREAM_POLL_SECONDS (default 5), LASTFM_STREAM_MAX_SECONDS (default 300): how often the
+ *   now-playing stream polls Last.fm and how long one stream stays open.
  */
 
+import BUNDLED_PROMPT_TEMPLATES from './prompt-templates.json' with { type: 'json' };
+import BUNDLED_MATCH_OVERRIDES from './match-overrides.json' with { type: 'json' };
+
 export default {
     async fetch(request, env, ctx) {
         const url = new URL(request.url);
         const origin = request.headers.get('Origin');
+        const corsPolicy = getCorsPolicy(env);
+        bindLayeredCache(env, url.origin);
+        bindMatchOverrides(env);
 
-        // Allow localhost for development, and the main domain + its subdomains
-        const ALLOWED_ORIGINS = [
-            'https://glenmuthoka.com',
-            'https://www.glenmuthoka.com',
-            'https://bananz0.github.io',
-        ];
-        let allowedOrigin = 'https://glenmuthoka.com';
-        if (origin) {
-            if (origin.includes('localhost') || origin.includes('127.0.0.1')) {
-                allowedOrigin = origin;
-            } else if (ALLOWED_ORIGINS.includes(origin) || origin.endsWith('.glenmuthoka.com')) {
-                allowedOrigin = origin;
-            }
+        // Browsers always send Origin on cross-origin requests; reject the ones we don't serve
+        // instead of answering with someone else's origin.
+        if (origin && !isOriginAllowed(origin, corsPolicy)) {
+            return new Response(
+                JSON.stringify({ error: 'Origin not allowed' }),
+                {
+                    status: 403,
+                    headers: { 'Content-Type': 'application/json', 'Vary': 'Origin' },
+                }
+            );
         }
 
-        // CORS headers
+        // CORS headers. Preflights are answered here, so the grants come from the route table:
+        // its methods, plus Authorization on the admin routes.
+        const route = findRouteForUrl(url);
         const corsHeaders = {
-            'Access-Control-Allow-Origin': allowedOrigin,
-            'Access-Control-Allow-Methods': 'GET, OPTIONS, POST',
-            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Allow-Methods': route ? getRouteAllowedMethods(route).join(', ') : 'GET, OPTIONS, POST',
+            'Access-Control-Allow-Headers': route?.auth ? 'Content-Type, Authorization' : 'Content-Type',
             'Content-Type': 'application/json',
+            'Vary': 'Origin',
         };
+        if (origin) {
+            corsHeaders['Access-Control-Allow-Origin'] = origin;
+        }
 
         // Handle CORS preflight
         if (request.method === 'OPTIONS') {
             return new Response(null, { headers: corsHeaders });
         }
 
-        const type = url.searchParams.get('type') || 'spotify'; // Default to spotify for backward compat
-
         try {
-            if (type === 'summary') {
-                return await handleAiSummary(request, env, ctx, corsHeaders);
-            } else if (type === 'lastfm') {
-                return await handleLastFm(url, env, corsHeaders);
-            } else {
-                return await handleSpotify(url, env, corsHeaders);
-            }
+            return await routeRequest(request, url, env, ctx, corsHeaders);
         } catch (error) {
             console.error('Worker error:', error);
             return new Response(
@@ -65,47 +129,461 @@ export default {
 };
 
 // ==========================================
-// AI SUMMARY (GROQ)
+// CORS POLICY
 // ==========================================
-async function generateCacheKey(tracks, mode) {
-    const data = JSON.stringify({ tracks, mode });
-    const msgUint8 = new TextEncoder().encode(data);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', msgUint8);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+// ALLOWED_ORIGINS is a comma/whitespace separated list of origins. Each entry is either an
+// exact origin (`https://glenmuthoka.com`) or a pattern with a wildcard subdomain and/or port
+// (`https://*.glenmuthoka.com`, `http://localhost:*`). Forks only need to change the env var.
+const DEFAULT_ALLOWED_ORIGINS = [
+    'https://glenmuthoka.com',
+    'https://www.glenmuthoka.com',
+    'https://*.glenmuthoka.com',
+    'https://bananz0.github.io',
+    'http://localhost:*',
+    'http://127.0.0.1:*',
+];
+const corsPolicyCache = new Map();
+
+function parseOriginPattern(entry) {
+    const match = String(entry || '').trim().toLowerCase().match(/^(https?):\/\/(\*\.)?([a-z0-9.-]+)(?::(\d+|\*))?\/?$/);
+    if (!match) {
+        if (entry) console.warn(`Ignoring invalid ALLOWED_ORIGINS entry: ${entry}`);
+        return null;
+    }
+
+    const [, scheme, wildcard, host, port] = match;
+    return {
+        source: `${scheme}://${wildcard || ''}${host}${port ? `:${port}` : ''}`,
+        protocol: `${scheme}:`,
+        hostname: host,
+        subdomains: Boolean(wildcard),
+        port: port === '*' ? '*' : (port || ''),
+    };
 }
 
-const SUMMARY_MODEL_PRIORITY = [
-    'groq/compound',
-    'llama-3.3-70b-versatile',
-    'groq/compound-mini',
-    'meta-llama/llama-4-maverick-17b-128e-instruct',
-    'qwen/qwen3-32b',
-    'openai/gpt-oss-120b',
-    'moonshotai/kimi-k2-instruct',
-    'llama-3.1-8b-instant',
-    'meta-llama/llama-4-scout-17b-16e-instruct',
-    'openai/gpt-oss-20b',
-    'moonshotai/kimi-k2-instruct-0905',
-    'allam-2-7b',
-    'canopylabs/orpheus-v1-english',
+function getCorsPolicy(env) {
+    const raw = typeof env?.ALLOWED_ORIGINS === 'string' && env.ALLOWED_ORIGINS.trim()
+        ? env.ALLOWED_ORIGINS
+        : DEFAULT_ALLOWED_ORIGINS.join(',');
+
+    if (!corsPolicyCache.has(raw)) {
+        const patterns = raw.split(/[\s,]+/).map(parseOriginPattern).filter(Boolean);
+        corsPolicyCache.set(raw, patterns);
+    }
+    return corsPolicyCache.get(raw);
+}
+
+function isOriginAllowed(origin, patterns) {
+    return Boolean(findAllowedOriginPattern(origin, patterns));
+}
+
+// The allowlist entry `origin` matches, or null.
+function findAllowedOriginPattern(origin, patterns) {
+    let parsed;
+    try {
+        parsed = new URL(origin);
+    } catch (error) {
+        return null;
+    }
+    // An Origin header is scheme://host[:port] only; anything else is malformed.
+    if (parsed.origin !== origin.toLowerCase().replace(/\/$/, '')) return null;
+
+    const hostname = parsed.hostname.toLowerCase();
+    return patterns.find(pattern => {
+        if (pattern.protocol !== parsed.protocol) return false;
+        if (pattern.port !== '*' && pattern.port !== parsed.port) return false;
+        if (pattern.subdomains) {
+            return hostname.endsWith(`.${pattern.hostname}`);
+        }
+        return hostname === pattern.hostname;
+    }) || null;
+}
+
+// ==========================================
+// ROUTER
+// ==========================================
+// Each route owns its path and allowed methods. Handlers receive a single
+// route context so new endpoints don't need to change the dispatch logic.
+const ROUTES = [
+    {
+        path: '/v1/summary',
+        methods: ['POST'],
+        rateLimit: 'summary',
+        handle: ({ request, env, ctx, corsHeaders }) => handleAiSummary(request, env, ctx, corsHeaders),
+    },
+    {
+        path: '/v1/lastfm',
+        methods: ['GET'],
+        rateLimit: 'lastfm',
+        handle: ({ url, env, corsHeaders }) => handleLastFm(url, env, corsHeaders),
+    },
+    {
+        path: '/v1/lastfm/recent',
+        methods: ['GET'],
+        rateLimit: 'lastfm',
+        handle: ({ url, env, corsHeaders }) => {
+            url.searchParams.set('method', 'user.getrecenttracks');
+            return handleLastFm(url, env, corsHeaders);
+        },
+    },
+    {
+        path: '/v1/lastfm/stats',
+        methods: ['GET'],
+        rateLimit: 'lastfm',
+        handle: ({ url, env, corsHeaders }) => handleLastFmStats(url, env, corsHeaders),
+    },
+    {
+        path: '/v1/lastfm/activity',
+        methods: ['GET'],
+        rateLimit: 'lastfm',
+        handle: ({ url, env, corsHeaders }) => handleLastFmActivity(url, env, corsHeaders),
+    },
+    {
+        path: '/v1/lastfm/stream',
+        methods: ['GET'],
+        rateLimit: 'lastfm',
+        handle: ({ url, env, ctx, corsHeaders }) => handleLastFmStream(url, env, ctx, corsHeaders),
+    },
+    {
+        path: '/v1/recap',
+        methods: ['GET'],
+        rateLimit: 'summary',
+        handle: ({ url, env, corsHeaders }) => handleRecap(url, env, corsHeaders),
+    },
+    {
+        path: '/v1/recap/image',
+        methods: ['GET'],
+        rateLimit: 'summary',
+        handle: ({ url, env, corsHeaders }) => handleRecapImage(url, env, corsHeaders),
+    },
+    {
+        path: '/v1/recap/archive',
+        methods: ['GET'],
+        rateLimit: 'lastfm',
+        handle: ({ url, env, corsHeaders }) => handleRecapArchive(url, env, corsHeaders),
+    },
+    {
+        path: '/v1/metadata/track',
+        methods: ['GET'],
+        handle: ({ url, env, corsHeaders }) => {
+            if (!url.searchParams.get('track') || !url.searchParams.get('artist')) {
+                return new Response(
+                    JSON.stringify({ error: 'Missing track or artist parameter' }),
+                    { status: 400, headers: corsHeaders }
+                );
+            }
+            return handleSpotify(url, env, corsHeaders);
+        },
+    },
+    {
+        path: '/v1/metadata/artist',
+        methods: ['GET'],
+        handle: ({ url, env, corsHeaders }) => {
+            url.searchParams.delete('track');
+            return handleSpotify(url, env, corsHeaders);
+        },
+    },
+    {
+        path: '/v1/metadata/batch',
+        methods: ['POST'],
+        rateLimit: 'metadata',
+        handle: ({ request, corsHeaders }) => handleMetadataBatch(request, corsHeaders),
+    },
+    {
+        path: '/v1/metadata/audio-features',
+        methods: ['GET', 'POST'],
+        rateLimit: 'metadata',
+        handle: ({ request, url, corsHeaders }) => handleAudioFeatures(request, url, corsHeaders),
+    },
+    {
+        path: '/v1/admin/cache',
+        methods: ['GET', 'DELETE'],
+        auth: 'admin',
+        handle: ({ request, url, corsHeaders }) => handleAdminCache(request, url, corsHeaders),
+    },
+    {
+        path: '/v1/admin/summaries',
+        methods: ['GET'],
+        auth: 'admin',
+        handle: ({ url, corsHeaders }) => handleAdminSummaries(url, corsHeaders),
+    },
+    {
+        path: '/v1/admin/overrides',
+        methods: ['GET', 'PUT', 'DELETE'],
+        auth: 'admin',
+        handle: ({ request, url, corsHeaders }) => handleAdminOverrides(request, url, corsHeaders),
+    },
+    {
+        path: '/v1/cache/stats',
+        methods: ['GET'],
+        // Counters are per isolate and reset whenever the isolate is recycled.
+        handle: ({ corsHeaders }) => new Response(
+            JSON.stringify({ stats: getCacheStats() }),
+            { headers: { ...corsHeaders, 'Cache-Control': 'no-store' } }
+        ),
+    },
 ];
 
-const SUMMARY_MAX_TOKENS = 60;
-const SUMMARY_TEMPERATURE = 0.35;
-const SUMMARY_GENERATION_RETRIES = 2;
-const SUMMARY_MIN_WORDS = 6;
-const SUMMARY_PROMPT_TRACK_LIMIT = 12;
-const RECCOBEATS_BASE_URL = 'https://api.reccobeats.com';
-const CACHE_BASE_URL = 'https://cache.glen.muthoka';
+// Legacy `?type=` values and the versioned path each one now lives at.
+const LEGACY_TYPE_ROUTES = {
+    summary: '/v1/summary',
+    lastfm: '/v1/lastfm',
+    spotify: (url) => url.searchParams.get('track') ? '/v1/metadata/track' : '/v1/metadata/artist',
+};
+
+function normalizeRoutePath(pathname) {
+    const trimmed = String(pathname || '/').replace(/\/{2,}/g, '/').replace(/\/+$/, '');
+    return trimmed || '/';
+}
+
+function resolveLegacyRoutePath(url) {
+    // Default to spotify for backward compat with clients that never sent a type.
+    const type = url.searchParams.get('type') || 'spotify';
+    if (!Object.prototype.hasOwnProperty.call(LEGACY_TYPE_ROUTES, type)) return null;
+
+    const target = LEGACY_TYPE_ROUTES[type];
+    return typeof target === 'function' ? target(url) : target;
+}
+
+function findRouteForUrl(url) {
+    let path = normalizeRoutePath(url.pathname);
+    if (path === '/') path = resolveLegacyRoutePath(url);
+    return path ? ROUTES.find(candidate => candidate.path === path) || null : null;
+}
+
+// HEAD is served wherever GET is, and OPTIONS everywhere (preflights are answered before routing).
+function getRouteAllowedMethods(route) {
+    const methods = [...route.methods];
+    if (methods.includes('GET')) methods.push('HEAD');
+    return [...methods, 'OPTIONS'];
+}
+
+async function routeRequest(request, url, env, ctx, corsHeaders) {
+    let path = normalizeRoutePath(url.pathname);
+    if (path === '/') {
+        path = resolveLegacyRoutePath(url);
+        if (!path) {
+            return new Response(
+                JSON.stringify({ error: `Unknown type: ${url.searchParams.get('type')}` }),
+                { status: 404, headers: corsHeaders }
+            );
+        }
+    }
+
+    const route = ROUTES.find(candidate => candidate.path === path);
+    if (!route) {
+        return new Response(
+            JSON.stringify({ error: 'Not found' }),
+            { status: 404, headers: corsHeaders }
+        );
+    }
+
+    if (route.auth === 'admin') {
+        const denied = await authorizeAdminRequest(request, env, corsHeaders);
+        if (denied) return denied;
+    }
+
+    const method = request.method === 'HEAD' ? 'GET' : request.method;
+    if (!route.methods.includes(method)) {
+        return new Response(
+            JSON.stringify({ error: 'Method not allowed' }),
+            {
+                status: 405,
+                headers: { ...corsHeaders, 'Allow': getRouteAllowedMethods(route).join(', ') },
+            }
+        );
+    }
+
+    if (route.rateLimit) {
+        const limit = await consumeRateLimitToken(route.rateLimit, request, env);
+        const rateLimitHeaders = buildRateLimitHeaders(limit);
+        if (!limit.allowed) {
+            return new Response(
+                JSON.stringify({ error: 'Rate limit exceeded', retryAfter: limit.retryAfterSeconds }),
+                {
+                    status: 429,
+                    headers: {
+                        ...corsHeaders,
+                        ...rateLimitHeaders,
+                        'Retry-After': String(limit.retryAfterSeconds),
+                    },
+                }
+            );
+        }
+        corsHeaders = { ...corsHeaders, ...rateLimitHeaders };
+    }
+
+    return await route.handle({ request, url, env, ctx, corsHeaders, route });
+}
+
+// ==========================================
+// RATE LIMITING
+// ==========================================
+// Token buckets keyed by client IP + the allowlist entry the origin matched, one budget per
+// route group. Buckets live in isolate memory. With RATE_LIMIT_KV bound, an isolate seeds a
+// client's bucket from KV the first time it sees them and writes it back at most every
+// RATE_LIMIT_KV_SYNC_MS, so KV stays off the hot path.
+// Budgets can be tuned with RATE_LIMIT_<GROUP>_BURST and RATE_LIMIT_<GROUP>_PER_MINUTE.
+const RATE_LIMIT_BUDGETS = {
+    summary: { capacity: 10, refillPerMinute: 6 },
+    lastfm: { capacity: 60, refillPerMinute: 60 },
+    metadata: { capacity: 20, refillPerMinute: 20 },
+};
+const RATE_LIMIT_MEMORY_MAX_KEYS = 5000;
+const RATE_LIMIT_KV_MIN_TTL_SECONDS = 60;
+const RATE_LIMIT_KV_SYNC_MS = 10000;
+const rateLimitBuckets = new Map();
+
+function getRateLimitBudget(group, env) {
+    const defaults = RATE_LIMIT_BUDGETS[group];
+    const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+    const capacity = Number(env?.[`${prefix}_BURST`]);
+    const refillPerMinute = Number(env?.[`${prefix}_PER_MINUTE`]);
+
+    return {
+        capacity: Number.isFinite(capacity) && capacity > 0 ? capacity : defaults.capacity,
+        refillPerMinute: Number.isFinite(refillPerMinute) && refillPerMinute > 0
+            ? refillPerMinute
+            : defaults.refillPerMinute,
+    };
+}
+
+// Only CF-Connecting-IP is set by Cloudflare; X-Forwarded-For comes from the client. The origin
+// part is the allowlist entry rather than the raw header, so hopping between localhost ports or
+// subdomains doesn't buy a fresh bucket.
+function getRateLimitClientKey(request, env) {
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const origin = request.headers.get('Origin');
+    const pattern = origin ? findAllowedOriginPattern(origin, getCorsPolicy(env)) : null;
+    return `${ip}|${pattern?.source || 'none'}`;
+}
+
+async function readRateLimitBucket(key, env) {
+    const local = rateLimitBuckets.get(key);
+    if (local || !env?.RATE_LIMIT_KV) return local || null;
+
+    try {
+        const stored = await env.RATE_LIMIT_KV.get(key);
+        return stored ? { ...JSON.parse(stored), syncedAt: Date.now() } : null;
+    } catch (error) {
+        console.warn(`Failed to read rate limit bucket ${key}`, error);
+        return null;
+    }
+}
+
+// Refused requests follow the same schedule: a flood must not turn into a KV write per request
+// (KV also allows only about one write per second to a key).
+async function writeRateLimitBucket(key, bucket, ttlSeconds, env) {
+    if (env?.RATE_LIMIT_KV && bucket.updatedAt - (bucket.syncedAt || 0) >= RATE_LIMIT_KV_SYNC_MS) {
+        bucket.syncedAt = bucket.updatedAt;
+        try {
+            await env.RATE_LIMIT_KV.put(key, JSON.stringify({ tokens: bucket.tokens, updatedAt: bucket.updatedAt }), {
+                expirationTtl: Math.max(RATE_LIMIT_KV_MIN_TTL_SECONDS, Math.ceil(ttlSeconds)),
+            });
+        } catch (error) {
+            console.warn(`Failed to write rate limit bucket ${key}`, error);
+        }
+    }
+
+    rateLimitBuckets.delete(key);
+    rateLimitBuckets.set(key, bucket);
+    if (rateLimitBuckets.size > RATE_LIMIT_MEMORY_MAX_KEYS) {
+        rateLimitBuckets.delete(rateLimitBuckets.keys().next().value);
+    }
+}
+
+async function consumeRateLimitToken(group, request, env) {
+    const { capacity, refillPerMinute } = getRateLimitBudget(group, env);
+    const refillPerSecond = refillPerMinute / 60;
+    const key = buildCachePath('ratelimit', group, getRateLimitClientKey(request, env));
+    const now = Date.now();
+
+    const stored = await readRateLimitBucket(key, env);
+    const elapsedSeconds = stored ? Math.max(0, (now - stored.updatedAt) / 1000) : 0;
+    let tokens = stored
+        ? Math.min(capacity, Number(stored.tokens) + elapsedSeconds * refillPerSecond)
+        : capacity;
+
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    const secondsUntilFull = (capacity - tokens) / refillPerSecond;
+    await writeRateLimitBucket(
+        key,
+        { tokens, updatedAt: now, syncedAt: stored?.syncedAt || 0 },
+        secondsUntilFull,
+        env
+    );
+
+    return {
+        allowed,
+        limit: capacity,
+        remaining: Math.floor(tokens),
+        resetSeconds: Math.ceil(secondsUntilFull),
+        retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerSecond)),
+    };
+}
+
+function buildRateLimitHeaders(limit) {
+    return {
+        'X-RateLimit-Limit': String(limit.limit),
+        'X-RateLimit-Remaining': String(limit.remaining),
+        'X-RateLimit-Reset': String(limit.resetSeconds),
+        'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
+    };
+}
+
+// ==========================================
+// LAYERED CACHE
+// ==========================================
+// Every cached lookup goes through here: L1 is an in-isolate LRU, L2 the colo's Cache API and
+// L3 KV (CACHE_KV, falling back to SUMMARY_CACHE_KV). Paths are `<namespace>/<key...>`; the
+// namespace picks the TTLs and layers below.
 const SUMMARY_CACHE_TTL_SECONDS = 3600;
 const SUMMARY_STALE_CACHE_TTL_SECONDS = 86400;
 const METADATA_CACHE_TTL_SECONDS = 21600;
 const LASTFM_NOWPLAYING_CACHE_TTL_SECONDS = 5;
 const LASTFM_DEFAULT_CACHE_TTL_SECONDS = 120;
-const SUMMARY_MAX_MODEL_ATTEMPTS = 4;
-const SUMMARY_MAX_TRANSIENT_FAILURES = 2;
-const summaryInFlight = new Map();
+const LASTFM_CHART_CACHE_TTL_SECONDS = 3600;
+const LASTFM_CHART_LIST_CACHE_TTL_SECONDS = 86400;
+const RECAP_CACHE_TTL_SECONDS = 366 * 86400;
+const SPOTIFY_PROXY_CACHE_TTL_SECONDS = 180;
+const KV_MIN_TTL_SECONDS = 60;
+const L1_CACHE_MAX_ENTRIES = 500;
+const CACHE_PATH_PREFIX = '/__cache/';
+
+// `l1: false` keeps entries that other isolates rewrite (or admins purge) out of local memory.
+// `negativeTtl` caches a loader's null result for that long; omit it to never cache misses.
+const CACHE_NAMESPACES = {
+    'summary-final': { ttl: SUMMARY_CACHE_TTL_SECONDS, l1: false, kv: true },
+    'summary-stale': { ttl: SUMMARY_STALE_CACHE_TTL_SECONDS, l1: false, kv: true },
+    recco: { ttl: METADATA_CACHE_TTL_SECONDS, negativeTtl: 900, l1: true, kv: true },
+    oembed: { ttl: METADATA_CACHE_TTL_SECONDS, negativeTtl: 900, l1: true, kv: true },
+    lastfm: { ttl: LASTFM_DEFAULT_CACHE_TTL_SECONDS, l1: true, kv: false },
+    // One entry summarises up to LASTFM_ACTIVITY_MAX_PAGES upstream calls, so it is worth sharing.
+    'lastfm-activity': { ttl: LASTFM_CHART_CACHE_TTL_SECONDS, l1: true, kv: true },
+    // Recaps only cover finished periods, so an entry never goes stale; KV keeps the archive.
+    recap: { ttl: RECAP_CACHE_TTL_SECONDS, l1: true, kv: true },
+    'spotify-proxy': { ttl: SPOTIFY_PROXY_CACHE_TTL_SECONDS, l1: true, kv: false },
+};
+const DEFAULT_CACHE_NAMESPACE = { ttl: METADATA_CACHE_TTL_SECONDS, l1: true, kv: false };
+
+const CACHE_PURGES_KV_KEY = 'cache-purges';
+const CACHE_PURGES_REFRESH_MS = 60000;
+const CACHE_LIST_SCAN_LIMIT = 5000;
+
+const l1Cache = new Map();
+const cacheStats = new Map();
+let cachePurges = { loadedAt: 0, byNamespace: {} };
+let cacheKv = null;
+let cacheOrigin = 'https://worker.invalid';
+
+// Called once per request: KV bindings only arrive with `env`, and Cache API keys must live on
+// the worker's own host.
+function bindLayeredCache(env, origin) {
+    cacheKv = env?.CACHE_KV || env?.SUMMARY_CACHE_KV || null;
+    if (origin) cacheOrigin = origin;
+}
 
 function getWorkerCache() {
     return (typeof caches !== 'undefined' && caches.default) ? caches.default : null;
@@ -115,191 +593,590 @@ function buildCachePath(...parts) {
     return parts.map(part => encodeURIComponent(String(part ?? ''))).join('/');
 }
 
-async function getCachedJson(cachePath, ttlSeconds, loader) {
-    const cache = getWorkerCache();
-    const cacheUrl = new URL(`${CACHE_BASE_URL}/${cachePath}`);
-
-    if (cache) {
-        const cached = await cache.match(cacheUrl);
-        if (cached) {
-            try {
-                return await cached.json();
-            } catch (error) {
-                console.warn(`Failed to parse cached JSON for ${cachePath}`, error);
-            }
-        }
-    }
+function getCacheNamespace(cachePath) {
+    const name = decodeURIComponent(String(cachePath).split('/')[0]);
+    return { name, ...(CACHE_NAMESPACES[name] || DEFAULT_CACHE_NAMESPACE) };
+}
 
-    const data = await loader();
-    if (data != null && cache) {
-        const response = new Response(JSON.stringify(data), {
-            headers: {
-                'Content-Type': 'application/json',
-                'Cache-Control': `public, max-age=${ttlSeconds}`,
-            }
-        });
-        await cache.put(cacheUrl, response);
+function countCache(namespace, field) {
+    if (!cacheStats.has(namespace)) {
+        cacheStats.set(namespace, { l1: 0, l2: 0, l3: 0, miss: 0, negative: 0, writes: 0, errors: 0 });
     }
+    cacheStats.get(namespace)[field] += 1;
+}
 
-    return data;
+function getCacheStats() {
+    return Object.fromEntries(cacheStats);
 }
 
-function cleanTrackNameForMatch(trackName) {
-    return String(trackName || '')
-        .replace(/\(feat\..*?\)/gi, '')
-        .replace(/\[feat\..*?\]/gi, '')
-        .replace(/\s*-\s*.*?(remaster|mix|version|edit).*/gi, '')
-        .replace(/\(.*?(remaster|mix|version|edit).*?\)/gi, '')
-        .trim();
+// Envelopes carry their own expiry so every layer agrees on freshness. KV entries written before
+// the envelope existed are plain JSON values and are accepted as-is.
+function parseCacheEnvelope(text, cachePath) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        console.warn(`Ignoring unreadable cache entry ${cachePath}`, error);
+        return null;
+    }
+    if (parsed && typeof parsed === 'object' && parsed.layeredCache === 1) {
+        return parsed.expiresAt > Date.now() ? parsed : null;
+    }
+    return parsed == null ? null : { layeredCache: 1, value: parsed, negative: false, expiresAt: Infinity };
 }
 
-function normalizeForMatch(value) {
-    return String(value || '')
-        .normalize('NFD')
-        .replace(/[\u0300-\u036f]/g, '')
-        .toLowerCase()
-        .replace(/[^a-z0-9\s]/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
+function readL1(cachePath) {
+    const entry = l1Cache.get(cachePath);
+    if (!entry) return null;
+    l1Cache.delete(cachePath);
+    if (entry.expiresAt <= Date.now()) return null;
+    l1Cache.set(cachePath, entry);
+    return entry;
 }
 
-function normalizeSummaryOutput(text) {
-    if (!text) return '';
-    let cleaned = String(text).replace(/\s+/g, ' ').trim().toLowerCase();
-    cleaned = cleaned.replace(/^session recap\s*ai\s*/i, '').trim();
-    const firstSentence = cleaned.match(/[^.!?]+[.!?]/);
-    if (firstSentence) {
-        cleaned = firstSentence[0].trim();
+function writeL1(cachePath, entry) {
+    l1Cache.delete(cachePath);
+    l1Cache.set(cachePath, entry);
+    while (l1Cache.size > L1_CACHE_MAX_ENTRIES) {
+        l1Cache.delete(l1Cache.keys().next().value);
     }
-    return cleaned.split(' ').filter(Boolean).slice(0, 24).join(' ');
 }
 
-function isValidSummaryOutput(text) {
-    const normalized = normalizeSummaryOutput(text);
-    if (!normalized) return false;
-    const words = normalized.split(' ').filter(Boolean);
-    return words.length >= SUMMARY_MIN_WORDS;
+function buildL2Url(cachePath) {
+    return new URL(`${CACHE_PATH_PREFIX}${cachePath}`, cacheOrigin);
 }
 
-function buildSummarySseResponse(summary, corsHeaders, model = 'cached-summary', cacheStatus = 'HIT') {
-    const payload = `data: ${JSON.stringify({ choices: [{ delta: { content: summary } }] })}\n\ndata: [DONE]\n\n`;
-    return new Response(payload, {
-        headers: {
-            ...corsHeaders,
-            'Content-Type': 'text/event-stream; charset=utf-8',
-            'Cache-Control': 'no-store',
-            'Access-Control-Expose-Headers': 'X-Model-Used, X-Cache',
-            'X-Model-Used': model,
-            'X-Cache': cacheStatus,
-        }
-    });
+async function readL2(cachePath) {
+    const cache = getWorkerCache();
+    if (!cache) return null;
+    const cached = await cache.match(buildL2Url(cachePath));
+    return cached ? parseCacheEnvelope(await cached.text(), cachePath) : null;
 }
 
-async function readSummaryFromGroqStream(response) {
-    if (!response?.body) return '';
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let fullText = '';
-
-    while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
+async function readL3(cachePath) {
+    if (!cacheKv) return null;
+    const text = await cacheKv.get(cachePath);
+    return text ? parseCacheEnvelope(text, cachePath) : null;
+}
 
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split(/\r?\n/);
-        buffer = lines.pop() || '';
+// Namespace purges are recorded as timestamps in KV (`cache-purges`) so every isolate and colo
+// drops older entries, including Cache API copies that can't be enumerated. Each isolate rereads
+// the record at most once per CACHE_PURGES_REFRESH_MS.
+async function getNamespacePurgedAt(namespaceName) {
+    if (cacheKv && Date.now() - cachePurges.loadedAt > CACHE_PURGES_REFRESH_MS) {
+        try {
+            const stored = JSON.parse(await cacheKv.get(CACHE_PURGES_KV_KEY) || '{}');
+            const merged = { ...cachePurges.byNamespace };
+            for (const [name, purgedAt] of Object.entries(stored)) {
+                merged[name] = Math.max(merged[name] || 0, Number(purgedAt) || 0);
+            }
+            cachePurges = { loadedAt: Date.now(), byNamespace: merged };
+        } catch (error) {
+            console.warn('Failed to read cache purge record', error);
+            cachePurges = { ...cachePurges, loadedAt: Date.now() };
+        }
+    }
+    return cachePurges.byNamespace[namespaceName] || 0;
+}
 
-        for (const line of lines) {
-            if (!line.startsWith('data:')) continue;
-            const payload = line.replace(/^data:\s*/, '').trim();
-            if (!payload || payload === '[DONE]') continue;
+async function readLayers(cachePath, namespace) {
+    const purgedAt = await getNamespacePurgedAt(namespace.name);
+    const isCurrent = entry => Boolean(entry) && (entry.cachedAt || 0) >= purgedAt;
 
-            try {
-                const json = JSON.parse(payload);
-                const delta = json.choices?.[0]?.delta?.content;
-                if (delta) {
-                    fullText += delta;
-                }
-            } catch (error) {
-                console.warn('Summary stream parse failed', error);
-            }
+    if (namespace.l1) {
+        const entry = readL1(cachePath);
+        if (isCurrent(entry)) {
+            countCache(namespace.name, 'l1');
+            return entry;
         }
     }
 
-    return normalizeSummaryOutput(fullText);
-}
+    try {
+        const entry = await readL2(cachePath);
+        if (isCurrent(entry)) {
+            countCache(namespace.name, 'l2');
+            if (namespace.l1) writeL1(cachePath, entry);
+            return entry;
+        }
+    } catch (error) {
+        countCache(namespace.name, 'errors');
+        console.warn(`Cache API read failed for ${cachePath}`, error);
+    }
 
-async function getCachedSummary(cachePath, env) {
-    if (env?.SUMMARY_CACHE_KV) {
+    if (namespace.kv) {
         try {
-            const kvValue = await env.SUMMARY_CACHE_KV.get(cachePath);
-            if (kvValue) {
-                return JSON.parse(kvValue);
+            const entry = await readL3(cachePath);
+            if (isCurrent(entry)) {
+                countCache(namespace.name, 'l3');
+                if (namespace.l1) writeL1(cachePath, entry);
+                await writeL2(cachePath, entry);
+                return entry;
             }
         } catch (error) {
-            console.warn(`Failed to read summary KV for ${cachePath}`, error);
+            countCache(namespace.name, 'errors');
+            console.warn(`Cache KV read failed for ${cachePath}`, error);
         }
     }
 
+    countCache(namespace.name, 'miss');
+    return null;
+}
+
+async function writeL2(cachePath, entry) {
     const cache = getWorkerCache();
-    if (!cache) return null;
+    if (!cache) return;
 
-    const cacheUrl = new URL(`${CACHE_BASE_URL}/${cachePath}`);
-    const cached = await cache.match(cacheUrl);
-    if (!cached) return null;
+    const remaining = Number.isFinite(entry.expiresAt)
+        ? Math.ceil((entry.expiresAt - Date.now()) / 1000)
+        : METADATA_CACHE_TTL_SECONDS;
+    if (remaining <= 0) return;
 
     try {
-        return await cached.json();
+        await cache.put(buildL2Url(cachePath), new Response(JSON.stringify(entry), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': `public, max-age=${remaining}`,
+            }
+        }));
     } catch (error) {
-        console.warn(`Failed to parse cached summary for ${cachePath}`, error);
-        return null;
+        console.warn(`Cache API write failed for ${cachePath}`, error);
     }
 }
 
-async function putCachedSummary(cachePath, payload, ttlSeconds, env) {
-    if (env?.SUMMARY_CACHE_KV && payload) {
+async function writeLayers(cachePath, namespace, value, ttlSeconds, negative = false) {
+    const cachedAt = Date.now();
+    const entry = { layeredCache: 1, value, negative, cachedAt, expiresAt: cachedAt + ttlSeconds * 1000 };
+    countCache(namespace.name, 'writes');
+
+    if (namespace.l1) writeL1(cachePath, entry);
+    await writeL2(cachePath, entry);
+
+    // KV rejects TTLs under a minute; those entries stay in the faster layers only.
+    if (namespace.kv && cacheKv && ttlSeconds >= KV_MIN_TTL_SECONDS) {
         try {
-            await env.SUMMARY_CACHE_KV.put(cachePath, JSON.stringify(payload), {
-                expirationTtl: ttlSeconds,
+            await cacheKv.put(cachePath, JSON.stringify(entry), {
+                expirationTtl: Math.ceil(ttlSeconds),
+                metadata: { cachedAt },
             });
         } catch (error) {
-            console.warn(`Failed to write summary KV for ${cachePath}`, error);
+            countCache(namespace.name, 'errors');
+            console.warn(`Cache KV write failed for ${cachePath}`, error);
         }
     }
+}
 
-    const cache = getWorkerCache();
-    if (!cache || !payload) return;
+async function readCachedJson(cachePath) {
+    const entry = await readLayers(cachePath, getCacheNamespace(cachePath));
+    return entry && !entry.negative ? entry.value : null;
+}
 
-    const cacheUrl = new URL(`${CACHE_BASE_URL}/${cachePath}`);
-    const response = new Response(JSON.stringify(payload), {
-        headers: {
-            'Content-Type': 'application/json',
-            'Cache-Control': `public, max-age=${ttlSeconds}`,
-        }
-    });
-    await cache.put(cacheUrl, response);
+async function writeCachedJson(cachePath, value, ttlSeconds = null) {
+    if (value == null) return;
+    const namespace = getCacheNamespace(cachePath);
+    await writeLayers(cachePath, namespace, value, ttlSeconds ?? namespace.ttl);
 }
 
-async function handleAiSummary(request, env, ctx, corsHeaders) {
-    if (request.method !== 'POST') {
-        return new Response(
-            JSON.stringify({ error: 'Method not allowed' }),
-            { status: 405, headers: corsHeaders }
-        );
+// Returns the cached value or runs `loader`, caching its result. A null result is remembered for
+// the namespace's `negativeTtl` so repeated misses don't hit the upstream; thrown errors are never
+// cached.
+async function getCachedJson(cachePath, ttlSeconds, loader) {
+    const namespace = getCacheNamespace(cachePath);
+    const cached = await readLayers(cachePath, namespace);
+    if (cached) {
+        if (cached.negative) countCache(namespace.name, 'negative');
+        return cached.negative ? null : cached.value;
     }
 
-    if (!env.GROQ_API_KEY) {
-        return new Response(
-            JSON.stringify({ error: 'Configuration Error: GROQ_API_KEY is missing' }),
-            { status: 503, headers: corsHeaders }
-        );
+    const data = await loader();
+    if (data != null) {
+        await writeLayers(cachePath, namespace, data, ttlSeconds ?? namespace.ttl);
+    } else if (namespace.negativeTtl) {
+        await writeLayers(cachePath, namespace, null, namespace.negativeTtl, true);
     }
 
-    let payload;
-    try {
-        payload = await request.json();
+    return data;
+}
+
+// Admin view of one path in every layer, without touching the hit/miss counters.
+async function inspectCachedJson(cachePath) {
+    const namespace = getCacheNamespace(cachePath);
+    const readSafely = async (reader) => {
+        try {
+            return await reader(cachePath);
+        } catch (error) {
+            return { error: error?.message || String(error) };
+        }
+    };
+    return {
+        path: cachePath,
+        purgedAt: (await getNamespacePurgedAt(namespace.name)) || null,
+        l1: namespace.l1 ? l1Cache.get(cachePath) || null : null,
+        l2: await readSafely(readL2),
+        l3: namespace.kv ? await readSafely(readL3) : null,
+    };
+}
+
+// Lists KV-backed paths in a namespace, newest first (by the `cachedAt` stored as KV metadata).
+// `keyPrefix` narrows the listing to keys under that path within the namespace.
+async function listCachedJson(namespaceName, limit = 50, keyPrefix = '') {
+    if (!cacheKv) return [];
+    const namespacePrefix = `${encodeURIComponent(namespaceName)}/`;
+    const prefix = `${namespacePrefix}${keyPrefix}`;
+    const entries = [];
+    let cursor;
+    do {
+        const page = await cacheKv.list({ prefix, cursor });
+        for (const key of page.keys) {
+            entries.push({
+                path: key.name,
+                key: key.name.slice(namespacePrefix.length),
+                cachedAt: key.metadata?.cachedAt ?? null,
+                expiration: key.expiration ?? null,
+            });
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor && entries.length < CACHE_LIST_SCAN_LIMIT);
+
+    return entries
+        .sort((a, b) => (b.cachedAt || 0) - (a.cachedAt || 0))
+        .slice(0, limit);
+}
+
+// Drops one path from this isolate, this colo's Cache API and KV. Cache API copies in other colos
+// age out on their own; purge the namespace when they must go immediately.
+async function purgeCachedJson(cachePath) {
+    l1Cache.delete(cachePath);
+    const cache = getWorkerCache();
+    if (cache) await cache.delete(buildL2Url(cachePath));
+    if (cacheKv) await cacheKv.delete(cachePath);
+}
+
+// Invalidates everything in a namespace (see getNamespacePurgedAt) and deletes its KV entries.
+// Returns the number of KV keys removed.
+async function purgeCacheNamespace(namespaceName) {
+    const prefix = `${encodeURIComponent(namespaceName)}/`;
+    const purgedAt = Date.now();
+    cachePurges.byNamespace = { ...cachePurges.byNamespace, [namespaceName]: purgedAt };
+    for (const cachePath of [...l1Cache.keys()]) {
+        if (cachePath.startsWith(prefix)) l1Cache.delete(cachePath);
+    }
+    if (!cacheKv) return 0;
+
+    const stored = JSON.parse(await cacheKv.get(CACHE_PURGES_KV_KEY) || '{}');
+    await cacheKv.put(CACHE_PURGES_KV_KEY, JSON.stringify({ ...stored, [namespaceName]: purgedAt }));
+
+    let removed = 0;
+    let cursor;
+    do {
+        const page = await cacheKv.list({ prefix, cursor });
+        await Promise.all(page.keys.map(key => cacheKv.delete(key.name)));
+        removed += page.keys.length;
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return removed;
+}
+
+// ==========================================
+// AI SUMMARY
+// ==========================================
+async function generateCacheKey(tracks, mode, variant = null) {
+    // Default settings/template keep the original key shape so existing cache entries stay valid.
+    const data = JSON.stringify(variant ? { tracks, mode, ...variant } : { tracks, mode });
+    const msgUint8 = new TextEncoder().encode(data);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', msgUint8);
+    const hashArray = Array.from(new Uint8Array(hashBuffer));
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+const SUMMARY_MODEL_PRIORITY = [
+    'groq/compound',
+    'llama-3.3-70b-versatile',
+    'groq/compound-mini',
+    'meta-llama/llama-4-maverick-17b-128e-instruct',
+    'qwen/qwen3-32b',
+    'openai/gpt-oss-120b',
+    'moonshotai/kimi-k2-instruct',
+    'llama-3.1-8b-instant',
+    'meta-llama/llama-4-scout-17b-16e-instruct',
+    'openai/gpt-oss-20b',
+    'moonshotai/kimi-k2-instruct-0905',
+    'allam-2-7b',
+    'canopylabs/orpheus-v1-english',
+];
+
+const SUMMARY_MAX_TOKENS = 60;
+const SUMMARY_TEMPERATURE = 0.35;
+const SUMMARY_GENERATION_RETRIES = 2;
+const SUMMARY_MIN_WORDS = 6;
+const DEFAULT_SUMMARY_RULES = { minWords: SUMMARY_MIN_WORDS, maxWords: 24, lowercase: true, singleSentence: true };
+const SUMMARY_PROMPT_TRACK_LIMIT = 12;
+const RECCOBEATS_BASE_URL = 'https://api.reccobeats.com';
+const SUMMARY_MAX_MODEL_ATTEMPTS = 4;
+const SUMMARY_MAX_TRANSIENT_FAILURES = 2;
+// Client-tunable sampling parameters and the range each one is clamped to.
+const SUMMARY_OPTION_LIMITS = {
+    temperature: { min: 0, max: 1.5 },
+    top_p: { min: 0.05, max: 1 },
+    frequency_penalty: { min: -2, max: 2 },
+    presence_penalty: { min: -2, max: 2 },
+    max_tokens: { min: 24, max: 80, integer: true },
+};
+const SUMMARY_IMPORTANCE_TIERS = ['CURRENT_ESSENTIAL', 'RECENT_CONTEXT', 'DISTANT_ECHO'];
+const summaryInFlight = new Map();
+// Best-effort cross-isolate dedup: the generating request leaves a KV lease on the cache key.
+const SUMMARY_LOCK_LEASE_MS = 30000;
+const SUMMARY_LOCK_WAIT_MS = 25000;
+const SUMMARY_LOCK_POLL_MS = 1500;
+const SUMMARY_LOCK_KV_TTL_SECONDS = 60;
+
+// Bracketed or dash-separated suffixes that name a release variant rather than a different song.
+const TRACK_VARIANT_PATTERN = /\b(remaster(ed)?|re-?master|live|remix|mix|version|edit|mono|stereo|acoustic|demo|instrumental|unplugged|deluxe)\b/i;
+const TRACK_CREDIT_PATTERN = /^\s*(feat\.?|ft\.?|featuring|with)\s/i;
+
+function cleanTrackNameForMatch(trackName) {
+    return String(trackName || '')
+        .replace(/\s*[([]([^)\]]*)[)\]]/g, (group, inner) =>
+            TRACK_CREDIT_PATTERN.test(inner) || TRACK_VARIANT_PATTERN.test(inner) ? '' : group)
+        .replace(/\s+-\s+(.*)$/, (suffix, tail) =>
+            TRACK_CREDIT_PATTERN.test(tail) || TRACK_VARIANT_PATTERN.test(tail) ? '' : suffix)
+        .trim();
+}
+
+// Letters NFD can't reduce to ASCII plus combining marks, and a Cyrillic table so
+// "Кино" and "Kino" compare equal instead of normalising to nothing.
+const MATCH_TRANSLITERATIONS = {
+    ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i', ħ: 'h',
+    а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'e', є: 'ye', ж: 'zh', з: 'z',
+    и: 'i', і: 'i', ї: 'yi', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r',
+    с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '',
+    ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+};
+
+function normalizeForMatch(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^\u0000-\u007f]/g, char => MATCH_TRANSLITERATIONS[char] ?? char)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizeSummaryOutput(text, rules = DEFAULT_SUMMARY_RULES) {
+    if (!text) return '';
+    let cleaned = String(text).replace(/\s+/g, ' ').trim();
+    if (rules.lowercase) {
+        cleaned = cleaned.toLowerCase();
+    }
+    cleaned = cleaned.replace(/^session recap\s*ai\s*/i, '').trim();
+    if (rules.singleSentence) {
+        const firstSentence = cleaned.match(/[^.!?]+[.!?]/);
+        if (firstSentence) {
+            cleaned = firstSentence[0].trim();
+        }
+    }
+    return cleaned.split(' ').filter(Boolean).slice(0, rules.maxWords).join(' ');
+}
+
+function isValidSummaryOutput(text, rules = DEFAULT_SUMMARY_RULES) {
+    const normalized = normalizeSummaryOutput(text, rules);
+    if (!normalized) return false;
+    const words = normalized.split(' ').filter(Boolean);
+    return words.length >= rules.minWords;
+}
+
+// The signals the prompt was built from, as sent in `format=json` bodies and in the
+// `summary-signals` event that closes a streamed summary.
+function buildSummarySignalsBody(signals) {
+    return {
+        dominantEra: signals?.dominantEra ?? 'unknown',
+        moodClass: signals?.moodClass ?? null,
+        mood: signals?.mood ?? null,
+        audioStats: signals?.audioStats ?? null,
+        repetition: signals?.repetition ?? null,
+        tracks: signals?.tracks ?? [],
+    };
+}
+
+function buildSummarySignalsEvent(signals) {
+    return `event: summary-signals\ndata: ${JSON.stringify(buildSummarySignalsBody(signals))}\n\n`;
+}
+
+function buildSummarySseResponse(summary, corsHeaders, model = 'cached-summary', cacheStatus = 'HIT', signals = null) {
+    const payload = `data: ${JSON.stringify({ choices: [{ delta: { content: summary } }] })}\n\n`
+        + (signals ? buildSummarySignalsEvent(signals) : '')
+        + 'data: [DONE]\n\n';
+    return new Response(payload, {
+        headers: {
+            ...corsHeaders,
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Access-Control-Expose-Headers': [corsHeaders['Access-Control-Expose-Headers'], 'X-Model-Used, X-Cache, X-Summary-Cache']
+                .filter(Boolean)
+                .join(', '),
+            'X-Model-Used': model,
+            'X-Cache': cacheStatus,
+            'X-Summary-Cache': cacheStatus,
+        }
+    });
+}
+
+// `format=json` response: the summary plus the signals the prompt was built from.
+function buildSummaryJsonResponse(result, signals, corsHeaders) {
+    const body = {
+        summary: result.summary,
+        model: result.model,
+        cacheStatus: result.cacheStatus,
+        ...buildSummarySignalsBody(signals),
+    };
+    return new Response(JSON.stringify(body), {
+        headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            'Access-Control-Expose-Headers': [corsHeaders['Access-Control-Expose-Headers'], 'X-Model-Used, X-Cache, X-Summary-Cache']
+                .filter(Boolean)
+                .join(', '),
+            'X-Model-Used': result.model,
+            'X-Cache': result.cacheStatus,
+            'X-Summary-Cache': result.cacheStatus,
+        }
+    });
+}
+
+// Parses an OpenAI-style SSE body, handing each content delta to `onDelta` as it arrives.
+async function readLlmStreamDeltas(response, onDelta) {
+    if (!response?.body) return '';
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const payload = line.replace(/^data:\s*/, '').trim();
+            if (!payload || payload === '[DONE]') continue;
+
+            try {
+                const json = JSON.parse(payload);
+                const delta = json.choices?.[0]?.delta?.content;
+                if (delta) {
+                    fullText += delta;
+                    if (onDelta) await onDelta(delta);
+                }
+            } catch (error) {
+                console.warn('Summary stream parse failed', error);
+            }
+        }
+    }
+
+    return fullText;
+}
+
+async function readSummaryFromLlmStream(response, rules = DEFAULT_SUMMARY_RULES) {
+    return normalizeSummaryOutput(await readLlmStreamDeltas(response), rules);
+}
+
+// Claims the generation lease for `cacheKey`. Returns null while another request holds a live
+// lease. Without KV (or when KV fails) there is nothing to coordinate on, so the lease is granted.
+// This is deduplication, not a lock: KV is eventually consistent across locations, so two colos
+// can both see no lease and both generate. It only spares the common case of repeat requests
+// landing on isolates that already see each other's writes.
+async function acquireSummaryLease(cacheKey, env) {
+    const kv = env?.SUMMARY_CACHE_KV;
+    if (!kv) return { key: null, owner: null };
+
+    const key = buildCachePath('summary-lock', cacheKey);
+    try {
+        const current = await kv.get(key, 'json');
+        if (current?.owner && current.expiresAt > Date.now()) return null;
+
+        const owner = crypto.randomUUID();
+        await kv.put(key, JSON.stringify({ owner, expiresAt: Date.now() + SUMMARY_LOCK_LEASE_MS }), {
+            expirationTtl: SUMMARY_LOCK_KV_TTL_SECONDS,
+        });
+        // KV has no compare-and-swap. Reading back lets the loser of a near-simultaneous claim
+        // seen by the same location back off; it guarantees nothing across locations.
+        const confirmed = await kv.get(key, 'json');
+        return confirmed?.owner === owner ? { key, owner } : null;
+    } catch (error) {
+        console.warn(`Failed to claim summary lease for ${cacheKey}`, error);
+        return { key: null, owner: null };
+    }
+}
+
+async function releaseSummaryLease(lease, env) {
+    if (!lease?.key || !env?.SUMMARY_CACHE_KV) return;
+    try {
+        const current = await env.SUMMARY_CACHE_KV.get(lease.key, 'json');
+        if (current?.owner === lease.owner) {
+            await env.SUMMARY_CACHE_KV.delete(lease.key);
+        }
+    } catch (error) {
+        console.warn(`Failed to release summary lease ${lease.key}`, error);
+    }
+}
+
+// Waits for the lease holder elsewhere to publish a summary. Returns `{ shared }` once it does,
+// otherwise `{ lease }` after claiming a lapsed or released lease. Past SUMMARY_LOCK_WAIT_MS the
+// lease is null and the caller generates anyway rather than leave the visitor hanging.
+async function waitForSummaryLease(cacheKey, finalCachePath, env, rules) {
+    const deadline = Date.now() + SUMMARY_LOCK_WAIT_MS;
+    let lease = await acquireSummaryLease(cacheKey, env);
+
+    while (!lease && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, SUMMARY_LOCK_POLL_MS));
+
+        const shared = await readCachedJson(finalCachePath);
+        if (shared?.summary && isValidSummaryOutput(shared.summary, rules)) {
+            return { shared };
+        }
+        lease = await acquireSummaryLease(cacheKey, env);
+    }
+
+    return { lease };
+}
+
+// Wraps an in-flight settle callback so settling also hands the lease back.
+function settleWithLeaseRelease(settleInFlight, lease, env, ctx) {
+    return (error, result) => {
+        settleInFlight(error, result);
+        const release = releaseSummaryLease(lease, env);
+        if (typeof ctx?.waitUntil === 'function') {
+            ctx.waitUntil(release);
+        }
+    };
+}
+
+async function handleAiSummary(request, env, ctx, corsHeaders) {
+    if (request.method !== 'POST') {
+        return new Response(
+            JSON.stringify({ error: 'Method not allowed' }),
+            { status: 405, headers: corsHeaders }
+        );
+    }
+
+    if (!getLlmProviders(env).length) {
+        return new Response(
+            JSON.stringify({ error: 'Configuration Error: no LLM provider configured (GROQ_API_KEY or LLM_PROVIDERS)' }),
+            { status: 503, headers: corsHeaders }
+        );
+    }
+
+    let payload;
+    try {
+        payload = await request.json();
     } catch (error) {
         return new Response(
             JSON.stringify({ error: 'Invalid JSON body' }),
@@ -316,602 +1193,3050 @@ async function handleAiSummary(request, env, ctx, corsHeaders) {
     }
 
     const mode = payload?.mode === 'active' ? 'active' : 'session';
+    const format = new URL(request.url).searchParams.get('format') === 'json' || payload?.format === 'json'
+        ? 'json'
+        : 'sse';
     const trackCount = Number(payload?.trackCount) || rawTracks.length;
-    const tracks = rawTracks.slice(0, 50).map(track => ({
+    const weighting = parseSummaryWeighting(payload?.weighting);
+    const tracks = rawTracks.slice(0, 50).map((track, index) => ({
         name: String(track?.name || '').trim() || 'Unknown',
         artist: String(track?.artist || '').trim() || 'Unknown',
         spotifyUrl: String(track?.spotifyUrl || '').trim() || null,
+        ...parseTrackWeight(track, index, weighting),
     }));
+    // `request_id` is only an anti-repetition hint from the client; it must never reach the
+    // cache key or every request would miss.
+    const generationOptions = parseGenerationOptions(payload?.options);
+
+    const template = await getPromptTemplate(payload?.template, env);
+    if (!template) {
+        return new Response(
+            JSON.stringify({ error: `Unknown prompt template: ${payload?.template}` }),
+            { status: 400, headers: corsHeaders }
+        );
+    }
+    const rules = template.validation;
+
+    const lastFmUser = resolveLastFmUser(payload?.user, env);
+    if (!lastFmUser) {
+        return new Response(
+            JSON.stringify({ error: 'User not allowed' }),
+            { status: 403, headers: corsHeaders }
+        );
+    }
 
     const summaryTracks = tracks.slice(0, 50);
     const promptTracks = summaryTracks.slice(0, SUMMARY_PROMPT_TRACK_LIMIT);
 
     // Canonical cache key ignores optional enrichment fields so all users share the same summary.
-    const summaryTracksForKey = summaryTracks.map(track => ({
-        name: track.name,
-        artist: track.artist,
-    }));
-    const cacheKey = await generateCacheKey(summaryTracksForKey, mode);
+    // Weights change the prompt, so they are part of the key when the client sends them.
+    const summaryTracksForKey = summaryTracks.map(track => {
+        const keyTrack = { name: track.name, artist: track.artist };
+        if (track.importance) keyTrack.importance = track.importance;
+        if (track.relevance != null) keyTrack.relevance = track.relevance;
+        return keyTrack;
+    });
+    const keyVariant = {};
+    if (generationOptions) keyVariant.options = generationOptions;
+    if (!template.isDefault) keyVariant.template = template.id;
+    if (!lastFmUser.isDefault) keyVariant.user = lastFmUser.username;
+    const cacheKey = await generateCacheKey(
+        summaryTracksForKey,
+        mode,
+        Object.keys(keyVariant).length ? keyVariant : null
+    );
     const finalCachePath = buildCachePath('summary-final', cacheKey);
     const staleCachePath = buildCachePath('summary-stale', cacheKey);
 
-    const cachedSummary = await getCachedSummary(finalCachePath, env);
-    if (cachedSummary?.summary && isValidSummaryOutput(cachedSummary.summary)) {
-        return buildSummarySseResponse(
-            normalizeSummaryOutput(cachedSummary.summary),
-            corsHeaders,
-            cachedSummary.model || 'cached-summary',
-            'HIT'
-        );
+    const promptVariables = { subject: lastFmUser.displayName };
+    const respond = (result, signals) => (format === 'json'
+        ? buildSummaryJsonResponse(result, signals, corsHeaders)
+        : buildSummarySseResponse(result.summary, corsHeaders, result.model, result.cacheStatus, signals));
+
+    const cachedSummary = await readCachedJson(finalCachePath);
+    if (cachedSummary?.summary && isValidSummaryOutput(cachedSummary.summary, rules)) {
+        const result = {
+            summary: normalizeSummaryOutput(cachedSummary.summary, rules),
+            model: cachedSummary.model || 'cached-summary',
+            cacheStatus: 'HIT',
+        };
+
+        // Entries written before signals were cached rebuild them from the (cached) metadata.
+        const signals = cachedSummary.signals
+            || (await buildSummaryMessages(summaryTracks, promptTracks, mode, template, promptVariables)).signals;
+        return respond(result, signals);
     }
 
-    if (!summaryInFlight.has(cacheKey)) {
-        const generationPromise = (async () => {
-            // Double-check cache to avoid duplicate work during concurrent requests.
-            const existing = await getCachedSummary(finalCachePath, env);
-            if (existing?.summary && isValidSummaryOutput(existing.summary)) {
-                return {
-                    summary: normalizeSummaryOutput(existing.summary),
-                    model: existing.model || 'cached-summary',
-                    cacheStatus: 'HIT',
-                };
+    const generation = {
+        env,
+        ctx,
+        corsHeaders,
+        finalCachePath,
+        staleCachePath,
+        mode,
+        trackCount,
+        options: generationOptions,
+        rules,
+    };
+
+    // Stale-while-revalidate: answer with the last good summary right away and refresh it in the
+    // background. Only one refresh per key runs at a time in this isolate.
+    const staleSummary = await readCachedJson(staleCachePath);
+    if (staleSummary?.summary && isValidSummaryOutput(staleSummary.summary, rules)) {
+        if (!summaryInFlight.has(cacheKey) && typeof ctx?.waitUntil === 'function') {
+            ctx.waitUntil(revalidateSummary({
+                ...generation,
+                cacheKey,
+                settleInFlight: beginSummaryInFlight(cacheKey),
+            }, () => buildSummaryMessages(summaryTracks, promptTracks, mode, template, promptVariables)));
+        }
+        return respond({
+            summary: normalizeSummaryOutput(staleSummary.summary, rules),
+            model: staleSummary.model || 'stale-summary',
+            cacheStatus: 'STALE-REVALIDATING',
+        }, staleSummary.signals);
+    }
+
+    // Another request in this isolate is already generating: wait for its final text.
+    if (summaryInFlight.has(cacheKey)) {
+        try {
+            const result = await summaryInFlight.get(cacheKey);
+            return respond(result, result.signals);
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ error: error?.message || 'AI summary failed' }),
+                { status: 502, headers: corsHeaders }
+            );
+        }
+    }
+
+    const settleLocal = beginSummaryInFlight(cacheKey);
+    const { lease, shared } = await waitForSummaryLease(cacheKey, finalCachePath, env, rules);
+    if (shared) {
+        const result = {
+            summary: normalizeSummaryOutput(shared.summary, rules),
+            model: shared.model || 'cached-summary',
+            cacheStatus: 'HIT',
+        };
+        settleLocal(null, { ...result, signals: shared.signals });
+        return respond(result, shared.signals);
+    }
+
+    const settleInFlight = settleWithLeaseRelease(settleLocal, lease, env, ctx);
+    generation.settleInFlight = settleInFlight;
+
+    try {
+        const { messages, signals } = await buildSummaryMessages(summaryTracks, promptTracks, mode, template, promptVariables);
+        generation.messages = messages;
+        generation.signals = signals;
+
+        // Structured callers get one buffered document, so every attempt runs before responding.
+        if (format === 'json') {
+            const result = await generateBufferedSummary({ ...generation, retriesLeft: SUMMARY_GENERATION_RETRIES });
+            if (!result) throw new Error('AI summary failed');
+            if (result.cacheStatus !== 'STALE') {
+                await cacheSummaryResult(result, generation);
             }
+            settleInFlight(null, { ...result, signals });
+            return respond(result, signals);
+        }
 
-            let moodClass = { label: 'unknown', description: 'mixed vibes' };
-            let dominantEra = 'unknown';
-            let trackListForPrompt = '';
-            let audioStats = null;
+        let lastError = null;
+        for (let attempt = 0; attempt < SUMMARY_GENERATION_RETRIES; attempt += 1) {
+            const llmResult = await callLlmStream(messages, env, generationOptions);
+            if (!llmResult.response) {
+                lastError = new Error(llmResult.error || 'AI summary failed');
+                continue;
+            }
 
-            try {
-                // 1. Resolve ReccoBeats metadata for top 15 tracks
-                const classificationTracks = summaryTracks.slice(0, 15);
-                const trackDetails = await resolveTrackIds(classificationTracks);
-
-                // 2. Extract Spotify IDs for audio features
-                const trackIds = trackDetails.map(t => t?.id).filter(Boolean);
-
-                // 3. Calculate Dominant Era (Math in Worker to save AI tokens)
-                const years = trackDetails.map(t => parseInt(t?.year)).filter(y => !isNaN(y));
-                if (years.length > 0) {
-                    const avgYear = years.reduce((a, b) => a + b, 0) / years.length;
-                    if (avgYear < 1980) dominantEra = 'Classic Rock / Oldies';
-                    else if (avgYear < 1990) dominantEra = '80s Nostalgia';
-                    else if (avgYear < 2000) dominantEra = '90s Kid';
-                    else if (avgYear < 2010) dominantEra = '2000s / Millennial';
-                    else dominantEra = 'Modern / Gen Z';
-                }
+            // Stream this attempt straight to the client; any remaining attempts are used as
+            // buffered retries if the streamed text fails validation.
+            return streamSummaryResponse(llmResult, {
+                ...generation,
+                retriesLeft: SUMMARY_GENERATION_RETRIES - attempt - 1,
+            });
+        }
+
+        throw lastError || new Error('AI summary failed');
+    } catch (error) {
+        settleInFlight(error);
+        return new Response(
+            JSON.stringify({ error: error?.message || 'AI summary failed' }),
+            { status: 502, headers: corsHeaders }
+        );
+    }
+}
+
+// Registers a generation for `cacheKey` so concurrent requests in this isolate can wait on it.
+// Returns the `(error, result)` callback that settles it.
+function beginSummaryInFlight(cacheKey) {
+    let settleInFlight;
+    const inFlight = new Promise((resolve, reject) => {
+        settleInFlight = (error, result) => {
+            summaryInFlight.delete(cacheKey);
+            if (error) reject(error);
+            else resolve(result);
+        };
+    });
+    // Waiters attach their own handlers; this keeps an unobserved rejection from surfacing.
+    inFlight.catch(() => {});
+    summaryInFlight.set(cacheKey, inFlight);
+    return settleInFlight;
+}
+
+// Background refresh behind a STALE-REVALIDATING response. Nothing is streamed, so every attempt
+// runs buffered and only a fresh summary replaces the cached ones.
+async function revalidateSummary(generation, buildMessages) {
+    const lease = await acquireSummaryLease(generation.cacheKey, generation.env);
+    if (!lease) {
+        // Another isolate is already refreshing this key.
+        generation.settleInFlight(new Error('Summary is being revalidated elsewhere'));
+        return;
+    }
+    generation = {
+        ...generation,
+        settleInFlight: settleWithLeaseRelease(generation.settleInFlight, lease, generation.env, generation.ctx),
+    };
+
+    try {
+        const { messages, signals } = await buildMessages();
+        const refreshed = { ...generation, messages, signals, retriesLeft: SUMMARY_GENERATION_RETRIES };
+        const result = await generateBufferedSummary(refreshed);
+        if (!result || result.cacheStatus === 'STALE') {
+            throw new Error('Summary revalidation failed');
+        }
+        await cacheSummaryResult(result, refreshed);
+        generation.settleInFlight(null, { ...result, signals });
+    } catch (error) {
+        console.warn('Summary revalidation failed', error);
+        generation.settleInFlight(error);
+    }
+}
+
+function clampNumber(value, { min, max, integer = false }) {
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return null;
+    const clamped = Math.min(max, Math.max(min, number));
+    return integer ? Math.round(clamped) : Math.round(clamped * 100) / 100;
+}
+
+function parseGenerationOptions(rawOptions) {
+    if (!rawOptions || typeof rawOptions !== 'object' || Array.isArray(rawOptions)) return null;
+
+    const options = {};
+    for (const [key, limits] of Object.entries(SUMMARY_OPTION_LIMITS)) {
+        const value = clampNumber(rawOptions[key], limits);
+        if (value !== null) options[key] = value;
+    }
+    return Object.keys(options).length ? options : null;
+}
+
+function parseSummaryWeighting(rawWeighting) {
+    const readIndices = (value) => new Set(
+        (Array.isArray(value) ? value : [])
+            .map(Number)
+            .filter(index => Number.isInteger(index) && index >= 0 && index < 50)
+    );
+    return {
+        hero: readIndices(rawWeighting?.hero_indices),
+        background: readIndices(rawWeighting?.background_indices),
+    };
+}
+
+// Per-track tier from `formatTracksForSummary`, falling back to the request's weighting indices.
+function parseTrackWeight(track, index, weighting) {
+    const weight = {};
+    const importance = String(track?.importance || '').toUpperCase();
+
+    if (SUMMARY_IMPORTANCE_TIERS.includes(importance)) {
+        weight.importance = importance;
+    } else if (weighting.hero.has(index)) {
+        weight.importance = 'CURRENT_ESSENTIAL';
+    } else if (weighting.background.has(index)) {
+        weight.importance = 'DISTANT_ECHO';
+    }
+
+    const relevance = clampNumber(track?.relevance_score, { min: 0, max: 1 });
+    if (relevance !== null) weight.relevance = relevance;
+    return weight;
+}
+
+function formatTrackWeight(track) {
+    if (!track.importance && track.relevance == null) return '';
+    const parts = [];
+    if (track.importance) parts.push(track.importance.toLowerCase().replace(/_/g, ' '));
+    if (track.relevance != null) parts.push(`weight ${track.relevance.toFixed(2)}`);
+    return ` [${parts.join(', ')}]`;
+}
+
+async function buildSummaryMessages(summaryTracks, promptTracks, mode, template, extraVariables = {}) {
+    let moodClass = { ...UNKNOWN_MOOD };
+    let mood = analyzeMood([]);
+    let dominantEra = 'unknown';
+    let trackListForPrompt = '';
+    let audioStats = null;
+    let repetition = { detected: false, track: null, plays: 0 };
+    let resolvedTracks = [];
+
+    try {
+        // 1. Resolve ReccoBeats metadata for top 15 tracks
+        const classificationTracks = summaryTracks.slice(0, 15);
+        const trackDetails = await resolveTrackIds(classificationTracks);
+        resolvedTracks = classificationTracks.map((track, i) => ({
+            name: track.name,
+            artist: track.artist,
+            spotifyId: trackDetails[i]?.id || null,
+            reccoId: trackDetails[i]?.reccoId || null,
+            year: Number.parseInt(trackDetails[i]?.year, 10) || null,
+        }));
+
+        // 2. Extract Spotify IDs for audio features
+        const trackIds = trackDetails.map(t => t?.id).filter(Boolean);
+
+        // 3. Calculate Dominant Era (Math in Worker to save AI tokens)
+        const years = trackDetails.map(t => parseInt(t?.year)).filter(y => !isNaN(y));
+        if (years.length > 0) {
+            const avgYear = years.reduce((a, b) => a + b, 0) / years.length;
+            if (avgYear < 1980) dominantEra = 'Classic Rock / Oldies';
+            else if (avgYear < 1990) dominantEra = '80s Nostalgia';
+            else if (avgYear < 2000) dominantEra = '90s Kid';
+            else if (avgYear < 2010) dominantEra = '2000s / Millennial';
+            else dominantEra = 'Modern / Gen Z';
+        }
+
+        // 4. Get Audio Features
+        const features = trackIds.length ? await getAudioFeatures(trackIds) : [];
+        if (features.length) {
+            // Per play, so an earworm weighs as much as it was listened to.
+            const featuresById = new Map(features.map(item => [item.id, item]));
+            mood = analyzeMood(trackDetails.map(detail => featuresById.get(detail?.id) || null));
+            moodClass = { label: mood.label, description: mood.description };
+            resolvedTracks = resolvedTracks.map((track, i) => ({ ...track, mood: mood.tracks[i]?.label || null }));
+            const avg = (key) => features.reduce((sum, item) => sum + (item[key] ?? 0), 0) / features.length;
+            audioStats = {
+                valence: avg('valence'),
+                energy: avg('energy'),
+                danceability: avg('danceability'),
+                acousticness: avg('acousticness'),
+                tempo: avg('tempo'),
+            };
+        }
+
+        // 5. Format the list for the LLM
+        trackListForPrompt = promptTracks.map((t, i) => {
+            const foundDetail = trackDetails[i]; // Only exists for first 15
+            const yearStr = foundDetail ? ` (${foundDetail.year})` : '';
+            return `${i + 1}. ${t.name} - ${t.artist}${yearStr}${formatTrackWeight(t)}`;
+        }).join('\n');
+
+        // 6. Calculate Repetition (Ear-worm detection)
+        const trackCounts = {};
+        summaryTracks.forEach(t => {
+            const key = `${t.name} by ${t.artist}`.toLowerCase();
+            trackCounts[key] = (trackCounts[key] || 0) + 1;
+        });
+        const counts = Object.values(trackCounts);
+        const maxReps = counts.length > 0 ? Math.max(...counts) : 0;
+        const topTrack = Object.keys(trackCounts).find(k => trackCounts[k] === maxReps);
+        const repetitionInfo = maxReps >= 4 ? `earworm detected: ${topTrack} played ${maxReps} times` : 'none';
+        repetition = { detected: maxReps >= 4, track: maxReps >= 4 ? topTrack : null, plays: maxReps };
+
+        // Add repetition to prompt
+        trackListForPrompt += `\n\nRepetition: ${repetitionInfo}`;
+    } catch (error) {
+        console.error('Metadata processing failed', error);
+        // Fallback if API fails
+        trackListForPrompt = promptTracks.map((t, i) => `${i + 1}. ${t.name} - ${t.artist}${formatTrackWeight(t)}`).join('\n');
+    }
+
+    const variables = {
+        ...template.variables,
+        ...extraVariables,
+        mode,
+        era: dominantEra,
+        mood: formatMoodForPrompt(mood),
+        stats: `valence=${audioStats?.valence?.toFixed(2)}, energy=${audioStats?.energy?.toFixed(2)}`,
+        tracks: trackListForPrompt,
+    };
+    const messages = [
+        { role: 'system', content: renderPromptTemplate(template.system, variables) },
+        { role: 'user', content: renderPromptTemplate(template.user, variables) },
+    ];
+
+    return {
+        messages,
+        signals: { dominantEra, moodClass, mood, audioStats, repetition, tracks: resolvedTracks },
+    };
+}
+
+async function streamSummaryResponse(llmResult, generation) {
+    const { ctx, corsHeaders, settleInFlight, rules } = generation;
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    let clientConnected = true;
+
+    // Writes are queued rather than awaited so a slow or departed visitor never holds up
+    // caching or the requests waiting on this generation.
+    const send = (chunk) => {
+        if (!clientConnected) return;
+        writer.write(encoder.encode(chunk)).catch(() => {
+            clientConnected = false;
+        });
+    };
+
+    const pump = (async () => {
+        try {
+            const rawText = await readLlmStreamDeltas(llmResult.response, (delta) => {
+                send(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+            });
+
+            let result = null;
+            const streamedSummary = normalizeSummaryOutput(rawText, rules);
+            if (isValidSummaryOutput(streamedSummary, rules)) {
+                result = { summary: streamedSummary, model: llmResult.model, provider: llmResult.provider, cacheStatus: 'MISS' };
+            } else {
+                result = await generateBufferedSummary(generation);
+                if (result) {
+                    send(`event: summary-replace\ndata: ${JSON.stringify({
+                        summary: result.summary,
+                        model: result.model,
+                        cacheStatus: result.cacheStatus,
+                        reason: 'invalid-output',
+                    })}\n\n`);
+                }
+            }
+
+            if (!result) {
+                send(`event: summary-error\ndata: ${JSON.stringify({ error: 'Invalid AI summary output' })}\n\n`);
+                settleInFlight(new Error('Invalid AI summary output'));
+            } else {
+                if (result.cacheStatus !== 'STALE') {
+                    await cacheSummaryResult(result, generation);
+                }
+                settleInFlight(null, { ...result, signals: generation.signals });
+                send(buildSummarySignalsEvent(generation.signals));
+            }
+
+            send('data: [DONE]\n\n');
+        } catch (error) {
+            console.error('Summary stream failed', error);
+            send(`event: summary-error\ndata: ${JSON.stringify({ error: 'AI summary stream interrupted' })}\n\n`);
+            settleInFlight(error);
+        } finally {
+            writer.close().catch(() => {});
+        }
+    })();
+
+    if (typeof ctx?.waitUntil === 'function') {
+        ctx.waitUntil(pump);
+    }
+
+    return new Response(readable, {
+        headers: {
+            ...corsHeaders,
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Access-Control-Expose-Headers': [corsHeaders['Access-Control-Expose-Headers'], 'X-Model-Used, X-Cache, X-Summary-Cache']
+                .filter(Boolean)
+                .join(', '),
+            'X-Model-Used': llmResult.model,
+            'X-Cache': 'MISS',
+            'X-Summary-Cache': 'MISS',
+        }
+    });
+}
+
+async function cacheSummaryResult(result, generation) {
+    const { finalCachePath, staleCachePath, mode, trackCount, signals } = generation;
+    const summaryPayload = {
+        summary: result.summary,
+        model: result.model,
+        provider: result.provider,
+        createdAt: Date.now(),
+        mode,
+        trackCount,
+        signals,
+    };
+    await writeCachedJson(finalCachePath, summaryPayload);
+    await writeCachedJson(staleCachePath, summaryPayload);
+}
+
+// Runs the remaining generation attempts buffered, then falls back to the stale summary.
+async function generateBufferedSummary(generation) {
+    const { env, messages, staleCachePath, retriesLeft, options, rules } = generation;
+
+    for (let attempt = 0; attempt < retriesLeft; attempt += 1) {
+        const llmResult = await callLlmStream(messages, env, options);
+        if (!llmResult.response) continue;
+
+        const summary = await readSummaryFromLlmStream(llmResult.response, rules);
+        if (isValidSummaryOutput(summary, rules)) {
+            return {
+                summary: normalizeSummaryOutput(summary, rules),
+                model: llmResult.model,
+                provider: llmResult.provider,
+                cacheStatus: 'MISS',
+            };
+        }
+    }
+
+    const staleSummary = await readCachedJson(staleCachePath);
+    if (staleSummary?.summary && isValidSummaryOutput(staleSummary.summary, rules)) {
+        return {
+            summary: normalizeSummaryOutput(staleSummary.summary, rules),
+            model: staleSummary.model || 'stale-summary',
+            cacheStatus: 'STALE',
+        };
+    }
+
+    return null;
+}
+
+// ==========================================
+// PROMPT TEMPLATES
+// ==========================================
+// Personas live in prompt-templates.json (or PROMPT_TEMPLATES_KV for ones added without a
+// deploy). Templates use {{variable}} placeholders and carry the rules their output is held to.
+// `kind` names the endpoint a template is written for (`summary` when omitted, or `recap`); a
+// template is only served to its own kind, since each kind fills in different variables.
+const PROMPT_TEMPLATE_DEFAULT_KIND = 'summary';
+const PROMPT_TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const PROMPT_TEMPLATE_KV_TTL_MS = 60000;
+const PROMPT_TEMPLATE_KV_PREFIX = 'prompt-template/';
+const PROMPT_TEMPLATE_CACHE_MAX_ENTRIES = 500;
+const promptTemplateCache = new Map();
+let promptTemplateKvIds = { loadedAt: 0, ids: new Set() };
+
+function normalizePromptTemplate(id, raw, defaultId) {
+    if (!raw || typeof raw.system !== 'string' || typeof raw.user !== 'string') return null;
+
+    const validation = { ...DEFAULT_SUMMARY_RULES };
+    for (const key of ['minWords', 'maxWords']) {
+        const value = Number(raw.validation?.[key]);
+        if (Number.isInteger(value) && value > 0) validation[key] = value;
+    }
+    for (const key of ['lowercase', 'singleSentence']) {
+        if (typeof raw.validation?.[key] === 'boolean') validation[key] = raw.validation[key];
+    }
+
+    return {
+        id,
+        kind: typeof raw.kind === 'string' && raw.kind ? raw.kind : PROMPT_TEMPLATE_DEFAULT_KIND,
+        isDefault: id === defaultId,
+        system: raw.system,
+        user: raw.user,
+        variables: raw.variables && typeof raw.variables === 'object' ? { ...raw.variables } : {},
+        validation,
+    };
+}
+
+// The ids PROMPT_TEMPLATES_KV holds, listed at most once per PROMPT_TEMPLATE_KV_TTL_MS, so a
+// caller-supplied id that exists nowhere never costs a KV read or a cache entry.
+async function listKvPromptTemplateIds(env) {
+    if (Date.now() - promptTemplateKvIds.loadedAt < PROMPT_TEMPLATE_KV_TTL_MS) return promptTemplateKvIds.ids;
+
+    const ids = new Set();
+    try {
+        let cursor;
+        do {
+            const page = await env.PROMPT_TEMPLATES_KV.list({ prefix: PROMPT_TEMPLATE_KV_PREFIX, cursor });
+            for (const key of page.keys) ids.add(key.name.slice(PROMPT_TEMPLATE_KV_PREFIX.length));
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+    } catch (error) {
+        console.warn('Failed to list prompt templates in KV', error);
+        return promptTemplateKvIds.ids;
+    }
+    promptTemplateKvIds = { loadedAt: Date.now(), ids };
+    return ids;
+}
+
+async function readKvPromptTemplate(id, env) {
+    if (!env?.PROMPT_TEMPLATES_KV) return null;
+    if (!(await listKvPromptTemplateIds(env)).has(id)) return null;
+
+    const cached = promptTemplateCache.get(id);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    let value = null;
+    try {
+        const stored = await env.PROMPT_TEMPLATES_KV.get(`${PROMPT_TEMPLATE_KV_PREFIX}${id}`);
+        value = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.warn(`Failed to read prompt template ${id} from KV`, error);
+    }
+    promptTemplateCache.delete(id);
+    promptTemplateCache.set(id, { value, expiresAt: Date.now() + PROMPT_TEMPLATE_KV_TTL_MS });
+    while (promptTemplateCache.size > PROMPT_TEMPLATE_CACHE_MAX_ENTRIES) {
+        promptTemplateCache.delete(promptTemplateCache.keys().next().value);
+    }
+    return value;
+}
+
+// Resolves to the template, or null when it doesn't exist or was written for another kind.
+async function getPromptTemplate(requestedId, env, kind = PROMPT_TEMPLATE_DEFAULT_KIND) {
+    const defaultId = String(env?.PROMPT_TEMPLATE_DEFAULT || BUNDLED_PROMPT_TEMPLATES.default);
+    const id = requestedId == null || requestedId === '' ? defaultId : String(requestedId).toLowerCase();
+    if (!PROMPT_TEMPLATE_ID_PATTERN.test(id)) return null;
+
+    const bundled = Object.prototype.hasOwnProperty.call(BUNDLED_PROMPT_TEMPLATES.templates, id)
+        ? BUNDLED_PROMPT_TEMPLATES.templates[id]
+        : null;
+    const raw = await readKvPromptTemplate(id, env) || bundled;
+    const template = normalizePromptTemplate(id, raw, defaultId);
+    return template?.kind === kind ? template : null;
+}
+
+function renderPromptTemplate(template, variables) {
+    return template.replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (match, name) => (
+        variables[name] == null ? '' : String(variables[name])
+    ));
+}
+
+// ==========================================
+// LLM PROVIDERS
+// ==========================================
+// Any OpenAI-compatible chat completions endpoint can serve summaries. LLM_PROVIDERS lists
+// provider ids in priority order (default: "groq"); each id reads LLM_<ID>_BASE_URL,
+// LLM_<ID>_API_KEY and LLM_<ID>_MODELS (comma-separated). The built-in "groq" provider falls
+// back to GROQ_API_KEY and SUMMARY_MODEL_PRIORITY.
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+const PROVIDER_FAILURE_THRESHOLD = 3;
+const PROVIDER_COOLDOWN_MS = 60000;
+const providerHealth = new Map();
+
+function readProviderList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function getLlmProviders(env) {
+    const ids = readProviderList(env?.LLM_PROVIDERS);
+    const providerIds = ids.length ? ids : ['groq'];
+
+    return providerIds
+        .map(rawId => {
+            const id = rawId.toLowerCase();
+            const prefix = `LLM_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+            const isGroq = id === 'groq';
+            const baseUrl = String(env?.[`${prefix}_BASE_URL`] || (isGroq ? GROQ_BASE_URL : '')).replace(/\/+$/, '');
+            const apiKey = env?.[`${prefix}_API_KEY`] || (isGroq ? env?.GROQ_API_KEY : '') || '';
+            const configuredModels = readProviderList(env?.[`${prefix}_MODELS`]);
+            const models = configuredModels.length ? configuredModels : (isGroq ? SUMMARY_MODEL_PRIORITY : []);
+
+            // Hosted Groq is useless without a key; self-hosted endpoints often don't need one.
+            if (!baseUrl || !models.length || (isGroq && !apiKey)) return null;
+            return { id, baseUrl, apiKey, models };
+        })
+        .filter(Boolean);
+}
+
+function isProviderCoolingDown(providerId, now = Date.now()) {
+    const health = providerHealth.get(providerId);
+    return Boolean(health && health.cooldownUntil > now);
+}
+
+function recordProviderSuccess(providerId) {
+    providerHealth.set(providerId, { consecutiveFailures: 0, cooldownUntil: 0 });
+}
+
+function recordProviderFailure(providerId) {
+    const health = providerHealth.get(providerId) || { consecutiveFailures: 0, cooldownUntil: 0 };
+    const consecutiveFailures = health.consecutiveFailures + 1;
+
+    if (consecutiveFailures >= PROVIDER_FAILURE_THRESHOLD) {
+        console.warn(`LLM provider ${providerId} cooling down for ${PROVIDER_COOLDOWN_MS / 1000}s`);
+        providerHealth.set(providerId, { consecutiveFailures: 0, cooldownUntil: Date.now() + PROVIDER_COOLDOWN_MS });
+        return;
+    }
+
+    providerHealth.set(providerId, { consecutiveFailures, cooldownUntil: health.cooldownUntil });
+}
+
+async function callProviderStream(provider, messages, options = null) {
+    let attempts = 0;
+    let transientFailures = 0;
+
+    for (const model of provider.models) {
+        if (attempts >= SUMMARY_MAX_MODEL_ATTEMPTS || transientFailures >= SUMMARY_MAX_TRANSIENT_FAILURES) {
+            break;
+        }
+
+        attempts += 1;
+        const headers = { 'Content-Type': 'application/json' };
+        if (provider.apiKey) {
+            headers['Authorization'] = `Bearer ${provider.apiKey}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${provider.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    temperature: SUMMARY_TEMPERATURE,
+                    max_tokens: SUMMARY_MAX_TOKENS,
+                    ...options,
+                    stop: ['\n'],
+                    stream: true,
+                    messages,
+                }),
+            });
+        } catch (error) {
+            // Unreachable self-hosted servers fail the same way for every model.
+            console.warn(`Provider ${provider.id} unreachable`, error);
+            return { response: null, model, status: 503, error: `Provider ${provider.id} unreachable` };
+        }
+
+        if (response.ok) {
+            return { response, model };
+        }
+
+        // If rate limited, payload too large, or server error, try next model
+        if (response.status === 429 || response.status === 413 || response.status >= 500) {
+            transientFailures += 1;
+            console.warn(`Model ${model} on ${provider.id} failed with ${response.status}, trying next...`);
+            continue;
+        }
+
+        const errorText = await response.text();
+        return {
+            response: null,
+            model,
+            status: response.status,
+            error: errorText || `${provider.id} API error`,
+        };
+    }
+
+    return {
+        response: null,
+        model: null,
+        status: 503,
+        error: `Summary models unavailable on ${provider.id} after ${attempts} attempt(s).`,
+    };
+}
+
+async function callLlmStream(messages, env, options = null) {
+    const providers = getLlmProviders(env);
+    let lastFailure = null;
+
+    for (const provider of providers) {
+        if (isProviderCoolingDown(provider.id)) {
+            continue;
+        }
+
+        const result = await callProviderStream(provider, messages, options);
+        if (result.response) {
+            recordProviderSuccess(provider.id);
+            return { ...result, provider: provider.id };
+        }
+
+        recordProviderFailure(provider.id);
+        lastFailure = { ...result, provider: provider.id };
+    }
+
+    return lastFailure || {
+        response: null,
+        model: null,
+        provider: null,
+        status: 503,
+        error: 'Summary models unavailable. Try again shortly.',
+    };
+}
+
+// ==========================================
+// MATCH OVERRIDES
+// ==========================================
+// Hand-picked Spotify entities for lookups the fuzzy matcher gets wrong. Keys are the normalized
+// `track|artist` pair (remaster/feat. suffixes stripped) or the normalized artist name. Entries
+// come from MATCH_OVERRIDES_KV (`match-override/<track|artist>/<key>`, edited through
+// /v1/admin/overrides) and then match-overrides.json.
+const MATCH_OVERRIDE_TYPES = ['track', 'artist'];
+const MATCH_OVERRIDE_KV_PREFIX = 'match-override/';
+const MATCH_OVERRIDE_KV_TTL_MS = 60000;
+const SPOTIFY_ID_PATTERN = /^[A-Za-z0-9]{22}$/;
+const matchOverrideCache = new Map();
+let matchOverridesKv = null;
+
+function bindMatchOverrides(env) {
+    matchOverridesKv = env?.MATCH_OVERRIDES_KV || null;
+}
+
+function extractSpotifyEntityId(url, kind) {
+    if (!url || typeof url !== 'string') return null;
+    const trimmed = url.trim();
+    const uriMatch = trimmed.match(new RegExp(`^spotify:${kind}:([a-zA-Z0-9]+)$`, 'i'));
+    if (uriMatch?.[1]) return uriMatch[1];
+    const webMatch = trimmed.match(new RegExp(`open\\.spotify\\.com/(?:intl-[^/]+/)?${kind}/([a-zA-Z0-9]+)`, 'i'));
+    return webMatch?.[1] || null;
+}
+
+function buildMatchOverrideKey(type, trackName, artistName) {
+    const artist = normalizeForMatch(artistName);
+    if (type === 'artist') return artist || null;
+    const track = normalizeForMatch(cleanTrackNameForMatch(trackName));
+    return track && artist ? `${track}|${artist}` : null;
+}
+
+// Accepts `{ spotifyId }` or `{ spotifyUrl }` (plus `artistSpotifyUrl` on tracks) and returns the
+// canonical `{ spotifyId, spotifyUrl[, artistSpotifyUrl] }`, or null when no valid id is given.
+function normalizeMatchOverride(type, raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const spotifyId = SPOTIFY_ID_PATTERN.test(String(raw.spotifyId || ''))
+        ? raw.spotifyId
+        : extractSpotifyEntityId(raw.spotifyUrl, type);
+    if (!spotifyId || !SPOTIFY_ID_PATTERN.test(spotifyId)) return null;
+
+    const override = { spotifyId, spotifyUrl: `https://open.spotify.com/${type}/${spotifyId}` };
+    if (type === 'track') {
+        const artistId = extractSpotifyEntityId(raw.artistSpotifyUrl, 'artist');
+        if (artistId) override.artistSpotifyUrl = `https://open.spotify.com/artist/${artistId}`;
+    }
+    return override;
+}
+
+async function readKvMatchOverride(type, key) {
+    if (!matchOverridesKv) return null;
+
+    const cacheKey = `${type}/${key}`;
+    const cached = matchOverrideCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    let value = null;
+    try {
+        const stored = await matchOverridesKv.get(`${MATCH_OVERRIDE_KV_PREFIX}${cacheKey}`);
+        value = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.warn(`Failed to read match override ${cacheKey} from KV`, error);
+    }
+    matchOverrideCache.set(cacheKey, { value, expiresAt: Date.now() + MATCH_OVERRIDE_KV_TTL_MS });
+    return value;
+}
+
+async function getMatchOverride(type, trackName, artistName) {
+    const key = buildMatchOverrideKey(type, trackName, artistName);
+    if (!key) return null;
+
+    const bundledTable = BUNDLED_MATCH_OVERRIDES[`${type}s`] || {};
+    const bundled = Object.prototype.hasOwnProperty.call(bundledTable, key) ? bundledTable[key] : null;
+    return normalizeMatchOverride(type, await readKvMatchOverride(type, key) || bundled);
+}
+
+// ==========================================
+// METADATA UPSTREAMS
+// ==========================================
+// Each upstream host gets a circuit breaker: after UPSTREAM_FAILURE_THRESHOLD consecutive
+// failures (network errors, 429, 5xx) it opens for UPSTREAM_COOLDOWN_MS and lookups are answered
+// from cache or degraded without calling it. After the cooldown the circuit is half-open: exactly
+// one request goes through as a trial while the rest stay on cache or degraded results. The trial
+// succeeding closes the circuit; one more failure reopens it straight away.
+const UPSTREAM_FAILURE_THRESHOLD = 5;
+const UPSTREAM_COOLDOWN_MS = 60000;
+// A trial that never settles must not keep the circuit half-open forever.
+const UPSTREAM_PROBE_TIMEOUT_MS = 15000;
+const RECCO_NO_MATCH_CACHE_TTL_SECONDS = 1800;
+const upstreamCircuits = new Map();
+
+// Whether this request may call `host`. Claims the trial when the circuit is half-open.
+function tryEnterCircuit(host, now = Date.now()) {
+    const circuit = upstreamCircuits.get(host);
+    if (!circuit || !circuit.openUntil) return true;
+    if (circuit.openUntil > now) return false;
+    if (circuit.probeStartedAt && now - circuit.probeStartedAt < UPSTREAM_PROBE_TIMEOUT_MS) return false;
+
+    circuit.probeStartedAt = now;
+    return true;
+}
+
+function recordUpstreamSuccess(host) {
+    upstreamCircuits.delete(host);
+}
+
+function recordUpstreamFailure(host) {
+    const circuit = upstreamCircuits.get(host) || { consecutiveFailures: 0, openUntil: 0 };
+    const consecutiveFailures = circuit.consecutiveFailures + 1;
+
+    if (consecutiveFailures >= UPSTREAM_FAILURE_THRESHOLD) {
+        console.warn(`Circuit open for ${host} for ${UPSTREAM_COOLDOWN_MS / 1000}s`);
+        upstreamCircuits.set(host, {
+            consecutiveFailures: UPSTREAM_FAILURE_THRESHOLD - 1,
+            openUntil: Date.now() + UPSTREAM_COOLDOWN_MS,
+        });
+        return;
+    }
+
+    upstreamCircuits.set(host, { consecutiveFailures, openUntil: circuit.openUntil });
+}
+
+// Fetches JSON from an upstream behind its circuit breaker. Resolves to null for a definite
+// "not found" (other 4xx) so callers can cache it; throws when the upstream is unavailable so
+// nothing gets cached.
+async function fetchUpstreamJson(url, label) {
+    const host = new URL(url).host;
+    if (!tryEnterCircuit(host)) {
+        throw new Error(`${label} unavailable: circuit open for ${host}`);
+    }
+
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        recordUpstreamFailure(host);
+        throw new Error(`${label} request failed: ${error?.message || error}`);
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+        recordUpstreamFailure(host);
+        throw new Error(`${label} request failed (${response.status})`);
+    }
+
+    recordUpstreamSuccess(host);
+    if (!response.ok) {
+        console.warn(`${label} request returned ${response.status} for ${url}`);
+        return null;
+    }
+    return await response.json();
+}
+
+async function fetchReccoJson(path, searchParams = {}, cacheKeySuffix = '', ttlSeconds = METADATA_CACHE_TTL_SECONDS) {
+    const query = new URLSearchParams(
+        Object.entries(searchParams)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => [key, String(value)])
+    );
+    const queryString = query.toString();
+    const url = `${RECCOBEATS_BASE_URL}${path}${queryString ? `?${queryString}` : ''}`;
+    const cachePath = buildCachePath('recco', path, cacheKeySuffix || queryString || 'none');
+
+    return await getCachedJson(cachePath, ttlSeconds, () => fetchUpstreamJson(url, 'ReccoBeats'));
+}
+
+// Artwork is optional, so an unavailable oEmbed degrades to no image instead of failing the lookup.
+async function fetchSpotifyOEmbed(spotifyUrl) {
+    if (!spotifyUrl) return null;
+    const oembedUrl = `https://open.spotify.com/oembed?url=${encodeURIComponent(spotifyUrl)}`;
+    const cachePath = buildCachePath('oembed', spotifyUrl);
+
+    try {
+        return await getCachedJson(cachePath, METADATA_CACHE_TTL_SECONDS, () => fetchUpstreamJson(oembedUrl, 'Spotify oEmbed'));
+    } catch (error) {
+        console.warn(`Spotify oEmbed skipped for ${spotifyUrl}`, error);
+        return null;
+    }
+}
+
+// ------------------------------------------
+// Match scoring
+// ------------------------------------------
+// Confidences are 0..1. Artists below ARTIST_MATCH_MIN_CONFIDENCE are treated as unknown
+// rather than falling back to the first search hit; tracks below TRACK_MATCH_MIN_CONFIDENCE
+// are dropped, and anything in between is returned with its confidence so callers can decide.
+const ARTIST_MATCH_MIN_CONFIDENCE = 0.85;
+const TRACK_MATCH_MIN_CONFIDENCE = 0.6;
+const TRACK_MATCH_EXACT_CONFIDENCE = 0.97;
+const TRACK_TITLE_WEIGHT = 0.75;
+const ARTIST_CREDIT_MATCH_FACTOR = 0.95;
+const TRACK_VARIANT_MISMATCH_PENALTY = 0.05;
+// Variants that are a different recording (and usually different artwork) from the original.
+const DISTINCT_TRACK_VARIANTS = new Set(['live', 'remix', 'mix', 'acoustic', 'demo', 'instrumental', 'unplugged']);
+const ARTIST_CREDIT_SEPARATOR = /\s*(?:[,;/&+×]|\s(?:x|feat\.?|ft\.?|featuring|with|vs\.?)\s)\s*/i;
+
+function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatched = new Array(a.length).fill(false);
+    const bMatched = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i += 1) {
+        const end = Math.min(b.length - 1, i + window);
+        for (let j = Math.max(0, i - window); j <= end; j += 1) {
+            if (bMatched[j] || a[i] !== b[j]) continue;
+            aMatched[i] = true;
+            bMatched[j] = true;
+            matches += 1;
+            break;
+        }
+    }
+    if (!matches) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i += 1) {
+        if (!aMatched[i]) continue;
+        while (!bMatched[j]) j += 1;
+        if (a[i] !== b[j]) transpositions += 1;
+        j += 1;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix += 1;
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Dice coefficient over word sets, where near-identical words ("mazy"/"mazzy") count as shared.
+function tokenSetSimilarity(a, b) {
+    const tokensA = [...new Set(a.split(' ').filter(Boolean))];
+    const tokensB = [...new Set(b.split(' ').filter(Boolean))];
+    if (!tokensA.length || !tokensB.length) return 0;
+
+    const used = new Set();
+    let shared = 0;
+    for (const token of tokensA) {
+        const index = tokensB.findIndex((other, i) => !used.has(i) && jaroWinkler(token, other) >= 0.88);
+        if (index === -1) continue;
+        used.add(index);
+        shared += 1;
+    }
+    return (2 * shared) / (tokensA.length + tokensB.length);
+}
+
+// Both arguments must already be normalizeForMatch()ed.
+function scoreTextSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const sortTokens = value => value.split(' ').sort().join(' ');
+    const characterScore = Math.max(jaroWinkler(a, b), jaroWinkler(sortTokens(a), sortTokens(b)));
+    return 0.5 * characterScore + 0.5 * tokenSetSimilarity(a, b);
+}
+
+function normalizeArtistForMatch(artistName) {
+    return normalizeForMatch(artistName).replace(/^the /, '');
+}
+
+// "A & B", "A x B", "A feat. B" -> ['A', 'B'] (raw names, in credit order).
+function splitArtistCredits(artistName) {
+    return String(artistName || '')
+        .split(ARTIST_CREDIT_SEPARATOR)
+        .map(credit => credit.trim())
+        .filter(Boolean);
+}
+
+function scoreArtistSimilarity(artistName, candidateNames) {
+    const target = normalizeArtistForMatch(artistName);
+    const credits = splitArtistCredits(artistName).map(normalizeArtistForMatch);
+    let best = 0;
+
+    for (const name of candidateNames.map(normalizeArtistForMatch)) {
+        best = Math.max(best, scoreTextSimilarity(target, name));
+        // Matching one credit of a multi-artist string is good, but not as good as the full name.
+        if (credits.length > 1) {
+            for (const credit of credits) {
+                best = Math.max(best, scoreTextSimilarity(credit, name) * ARTIST_CREDIT_MATCH_FACTOR);
+            }
+        }
+    }
+    return best;
+}
+
+function extractTrackVariants(trackName) {
+    const kept = new Set(normalizeForMatch(cleanTrackNameForMatch(trackName)).split(' '));
+    return new Set(
+        normalizeForMatch(trackName)
+            .split(' ')
+            .filter(token => DISTINCT_TRACK_VARIANTS.has(token) && !kept.has(token))
+    );
+}
+
+function roundUnit(value) {
+    return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+}
+
+function pickBestArtistMatch(candidates, artistName) {
+    if (!Array.isArray(candidates) || !candidates.length) return null;
+    let best = null;
+
+    for (const candidate of candidates) {
+        const confidence = scoreArtistSimilarity(artistName, [candidate?.name]);
+        // Popularity only separates names that score (almost) the same.
+        const rank = confidence + Number(candidate?.popularity || 0) / 10000;
+        if (!best || rank > best.rank) best = { candidate, confidence, rank };
+    }
+
+    if (best.confidence < ARTIST_MATCH_MIN_CONFIDENCE) return null;
+    return { ...best.candidate, matchConfidence: roundUnit(best.confidence) };
+}
+
+function pickBestTrackMatch(candidates, trackName, artistName) {
+    if (!Array.isArray(candidates) || !candidates.length) return null;
+
+    const targetRaw = normalizeForMatch(trackName);
+    const targetClean = normalizeForMatch(cleanTrackNameForMatch(trackName));
+    const targetVariants = extractTrackVariants(trackName);
+    let best = null;
+
+    for (const candidate of candidates) {
+        const title = candidate?.trackTitle;
+        const titleScore = Math.max(
+            scoreTextSimilarity(targetClean, normalizeForMatch(cleanTrackNameForMatch(title))),
+            scoreTextSimilarity(targetRaw, normalizeForMatch(title))
+        );
+        const artistNames = Array.isArray(candidate?.artists) ? candidate.artists.map(artist => artist?.name) : [];
+        const artistScore = scoreArtistSimilarity(artistName, artistNames);
+
+        // "Halah - Live" should prefer the live recording, and "Halah" the studio one.
+        const candidateVariants = extractTrackVariants(title);
+        let variantMismatches = 0;
+        for (const variant of new Set([...targetVariants, ...candidateVariants])) {
+            if (targetVariants.has(variant) !== candidateVariants.has(variant)) variantMismatches += 1;
+        }
+
+        const confidence = TRACK_TITLE_WEIGHT * titleScore
+            + (1 - TRACK_TITLE_WEIGHT) * artistScore
+            - variantMismatches * TRACK_VARIANT_MISMATCH_PENALTY;
+        const rank = confidence + Number(candidate?.popularity || 0) / 10000;
+        if (!best || rank > best.rank) best = { candidate, confidence, rank };
+    }
+
+    if (best.confidence < TRACK_MATCH_MIN_CONFIDENCE) return null;
+    return { candidate: best.candidate, confidence: roundUnit(best.confidence) };
+}
+
+async function searchReccoArtist(artistName) {
+    if (!normalizeForMatch(artistName)) return null;
+
+    // Collaborations ("A & B") rarely exist as one artist, so retry with the lead credit.
+    const credits = splitArtistCredits(artistName);
+    const searchTexts = credits.length > 1 ? [artistName, credits[0]] : [artistName];
+
+    for (const searchText of searchTexts) {
+        const normalized = normalizeForMatch(searchText);
+        if (!normalized) continue;
+
+        const data = await fetchReccoJson(
+            '/v1/artist/search',
+            { searchText, size: 15 },
+            buildCachePath(normalized, 'search'),
+            METADATA_CACHE_TTL_SECONDS
+        );
+        const match = pickBestArtistMatch(data?.content, artistName);
+        if (match) return match;
+    }
+
+    return null;
+}
+
+async function getReccoArtistTracks(artistId, size = 50, page = 0) {
+    if (!artistId) return [];
+    const data = await fetchReccoJson(
+        `/v1/artist/${artistId}/track`,
+        { size, page },
+        buildCachePath(artistId, 'tracks', size, page),
+        METADATA_CACHE_TTL_SECONDS
+    );
+    return Array.isArray(data?.content) ? data.content : [];
+}
+
+async function getReccoTrackAlbumInfo(reccoTrackId) {
+    if (!reccoTrackId) return { year: 'unknown', albumName: null };
+
+    const data = await fetchReccoJson(
+        `/v1/track/${reccoTrackId}/album`,
+        { size: 5 },
+        buildCachePath(reccoTrackId, 'album'),
+        METADATA_CACHE_TTL_SECONDS
+    );
+    const albums = Array.isArray(data?.content) ? data.content : [];
+
+    const withYear = albums
+        .map(album => ({
+            name: album?.title || null,
+            year: Number(String(album?.releaseDate || '').slice(0, 4)),
+        }))
+        .filter(a => Number.isFinite(a.year) && a.year > 1800);
+
+    if (!withYear.length) return { year: 'unknown', albumName: null };
+
+    const earliest = withYear.reduce((a, b) => a.year <= b.year ? a : b);
+    return { year: String(earliest.year), albumName: earliest.name };
+}
+
+async function getReccoTrackBySpotifyId(spotifyId) {
+    if (!spotifyId) return null;
+    const data = await fetchReccoJson(
+        '/v1/track',
+        { ids: spotifyId },
+        buildCachePath('track', spotifyId),
+        METADATA_CACHE_TTL_SECONDS
+    );
+    const content = Array.isArray(data?.content) ? data.content : [];
+    return content[0] || null;
+}
+
+// Match results are cached as a whole. A confirmed "no match" (every upstream call answered) is
+// kept for RECCO_NO_MATCH_CACHE_TTL_SECONDS; upstream failures throw and are never cached.
+async function findReccoTrackByNameAndArtist(trackName, artistName, options = {}) {
+    const includeAlbumInfo = options.includeAlbumInfo !== false;
+    const cachePath = buildCachePath(
+        'recco',
+        'match',
+        normalizeForMatch(artistName),
+        normalizeForMatch(trackName),
+        includeAlbumInfo ? 'album' : 'basic'
+    );
+
+    const cached = await readCachedJson(cachePath);
+    if (cached) return cached.match;
+
+    const match = await matchReccoTrack(trackName, artistName, includeAlbumInfo);
+    await writeCachedJson(
+        cachePath,
+        { match },
+        match ? METADATA_CACHE_TTL_SECONDS : RECCO_NO_MATCH_CACHE_TTL_SECONDS
+    );
+    return match;
+}
+
+async function matchReccoTrack(trackName, artistName, includeAlbumInfo) {
+    const artist = await searchReccoArtist(artistName);
+    if (!artist?.id) return null;
+
+    const pageSize = 50;
+    const maxPages = 3;
+    let allCandidates = [];
+    let bestTrack = null;
+    let bestConfidence = 0;
+
+    for (let page = 0; page < maxPages; page += 1) {
+        const artistTracks = await getReccoArtistTracks(artist.id, pageSize, page);
+        if (!artistTracks.length) break;
+
+        allCandidates = allCandidates.concat(artistTracks);
+        const bestResult = pickBestTrackMatch(allCandidates, trackName, artistName);
+        bestTrack = bestResult?.candidate || null;
+        bestConfidence = bestResult?.confidence ?? 0;
+
+        // Title and artist both (near) exact, no need to fetch more pages.
+        if (bestConfidence >= TRACK_MATCH_EXACT_CONFIDENCE) break;
+    }
+
+    if (!bestTrack) return null;
+
+    const spotifyId = extractSpotifyIdFromUrl(bestTrack.href) || null;
+
+    let year = 'unknown';
+    let albumName = null;
+    if (includeAlbumInfo) {
+        const albumInfo = await getReccoTrackAlbumInfo(bestTrack.id);
+        year = albumInfo.year;
+        albumName = albumInfo.albumName;
+    }
+    const artistSpotifyUrl = artist.href || bestTrack.artists?.[0]?.href || null;
+
+    return {
+        spotifyId,
+        reccoTrackId: bestTrack.id,
+        year,
+        albumName,
+        trackHref: bestTrack.href || null,
+        artistHref: artistSpotifyUrl,
+        trackTitle: bestTrack.trackTitle || trackName,
+        artistTitle: artist.name || artistName,
+        matchConfidence: bestConfidence,
+    };
+}
+
+// Runs `mapper` over `items` with at most `concurrency` calls in flight, keeping input order.
+async function mapWithConcurrency(items, concurrency, mapper) {
+    const results = new Array(items.length);
+    let cursor = 0;
+    const workerCount = Math.min(concurrency, items.length);
+
+    async function runWorker() {
+        while (true) {
+            const index = cursor;
+            cursor += 1;
+            if (index >= items.length) break;
+
+            results[index] = await mapper(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: workerCount }, () => runWorker()));
+    return results;
+}
+
+async function resolveTrackIds(tracks, concurrency = 5) {
+    if (!Array.isArray(tracks) || !tracks.length) return [];
+    return mapWithConcurrency(tracks, concurrency, track => searchTrackId(track.name, track.artist, track.spotifyUrl));
+}
+
+async function searchTrackId(trackName, artistName, spotifyUrl = null) {
+    try {
+        // An override beats both the client's Spotify URL and the fuzzy search.
+        const override = await getMatchOverride('track', trackName, artistName);
+        const spotifyIdFromInput = override?.spotifyId || extractSpotifyIdFromUrl(spotifyUrl);
+        if (spotifyIdFromInput) {
+            const reccoTrack = await getReccoTrackBySpotifyId(spotifyIdFromInput);
+            if (reccoTrack?.id) {
+                const { year } = await getReccoTrackAlbumInfo(reccoTrack.id);
+                return {
+                    id: spotifyIdFromInput,
+                    year,
+                    reccoId: reccoTrack.id,
+                    href: reccoTrack.href || override?.spotifyUrl || spotifyUrl,
+                };
+            }
+            if (override) {
+                return { id: override.spotifyId, year: 'unknown', reccoId: null, href: override.spotifyUrl };
+            }
+        }
+
+        const track = await findReccoTrackByNameAndArtist(trackName, artistName);
+        if (!track) return null;
+
+        return {
+            id: track.spotifyId,
+            year: track.year,
+            reccoId: track.reccoTrackId,
+            href: track.trackHref,
+        };
+    } catch (error) {
+        console.error('Track search error:', error);
+        return null;
+    }
+}
+
+async function getAudioFeatures(trackIds) {
+    const uniqueIds = [...new Set(trackIds.filter(Boolean))].slice(0, 100);
+    if (!uniqueIds.length) return [];
+    try {
+        return await getReccoBeatsAudioFeatures(uniqueIds);
+    } catch (error) {
+        console.warn('Audio features unavailable', error);
+        return [];
+    }
+}
+
+async function getReccoBeatsAudioFeatures(trackIds) {
+    const ids = trackIds.slice(0, 100).join(',');
+    if (!ids) return [];
+
+    const data = await fetchReccoJson(
+        '/v1/audio-features',
+        { ids },
+        buildCachePath('audio-features', ids),
+        METADATA_CACHE_TTL_SECONDS
+    );
+    const content = Array.isArray(data?.content) ? data.content : [];
+    return content
+        .map(item => {
+            const spotifyId = extractSpotifyIdFromUrl(item?.href);
+            if (!spotifyId) return null;
+
+            return {
+                id: spotifyId,
+                danceability: item?.danceability ?? null,
+                energy: item?.energy ?? null,
+                valence: item?.valence ?? null,
+                acousticness: item?.acousticness ?? null,
+                tempo: item?.tempo ?? null,
+                key: Number.isInteger(item?.key) && item.key >= 0 ? item.key : null,
+                mode: item?.mode ?? null,
+                loudness: item?.loudness ?? null,
+                speechiness: item?.speechiness ?? null,
+                instrumentalness: item?.instrumentalness ?? null,
+                liveness: item?.liveness ?? null,
+                timeSignature: item?.timeSignature ?? item?.time_signature ?? null,
+            };
+        })
+        .filter(Boolean);
+}
+
+function extractSpotifyIdFromUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    const trimmed = url.trim();
+    const uriMatch = trimmed.match(/^spotify:track:([a-zA-Z0-9]+)$/i);
+    if (uriMatch?.[1]) return uriMatch[1];
+
+    const webMatch = trimmed.match(/open\.spotify\.com\/(?:intl-[^/]+\/)?track\/([a-zA-Z0-9]+)/i);
+    if (webMatch?.[1]) return webMatch[1];
+
+    return null;
+}
+
+// ==========================================
+// MOOD ENGINE
+// ==========================================
+// Every track is scored against a set of mood prototypes, the session is clustered in
+// valence/energy space, and the earliest and latest stretches are compared to spot a
+// transition. Tracks arrive most-recent-first, the same order the summary prompt uses.
+const MOOD_PROTOTYPES = [
+    { label: 'melancholic-calm', description: 'sad and slow', short: 'melancholy', valence: 0.2, energy: 0.3 },
+    { label: 'melancholic-intense', description: 'sad but intense', short: 'brooding', valence: 0.2, energy: 0.75 },
+    { label: 'high-energy-dance', description: 'dance floor vibes', short: 'dance', valence: 0.6, energy: 0.8, danceability: 0.8 },
+    { label: 'rock-aggressive', description: 'rock and punchy', short: 'rock', valence: 0.45, energy: 0.85, danceability: 0.4, acousticness: 0.1 },
+    { label: 'acoustic-chill', description: 'mellow and organic', short: 'acoustic', valence: 0.5, energy: 0.3, acousticness: 0.8 },
+    { label: 'upbeat-happy', description: 'cheerful and bright', short: 'upbeat', valence: 0.85, energy: 0.6 },
+];
+const MOOD_FEATURE_WEIGHTS = { valence: 1, energy: 1, danceability: 0.5, acousticness: 0.5 };
+const MOOD_SCORE_SIGMA = 0.2;
+const MOOD_CLUSTER_DISTANCE = 0.25;
+const MOOD_TRANSITION_MIN_TRACKS = 4;
+const MOOD_TRANSITION_MIN_DISTANCE = 0.2;
+const MOOD_TRANSITION_ENERGY_DELTA = 0.15;
+const MOOD_SPREAD_LEVELS = [{ max: 0.12, label: 'focused' }, { max: 0.25, label: 'mixed' }, { max: Infinity, label: 'scattered' }];
+const UNKNOWN_MOOD = { label: 'unknown', description: 'mixed vibes' };
+
+function hasMoodCoordinates(features) {
+    return Number.isFinite(features?.valence) && Number.isFinite(features?.energy);
+}
+
+function averageMoodFeatures(featureList) {
+    const average = {};
+    for (const key of Object.keys(MOOD_FEATURE_WEIGHTS)) {
+        const values = featureList.map(item => item?.[key]).filter(Number.isFinite);
+        average[key] = values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+    return average;
+}
+
+function moodDistance(a, b) {
+    return Math.hypot(a.valence - b.valence, a.energy - b.energy);
+}
+
+// Soft assignment: a Gaussian of the weighted distance to each prototype, normalised to 1.
+function scoreTrackMood(features) {
+    const weights = MOOD_PROTOTYPES.map(prototype => {
+        let squared = 0;
+        let weightSum = 0;
+        for (const [key, weight] of Object.entries(MOOD_FEATURE_WEIGHTS)) {
+            if (!Number.isFinite(prototype[key]) || !Number.isFinite(features[key])) continue;
+            squared += weight * (features[key] - prototype[key]) ** 2;
+            weightSum += weight;
+        }
+        return Math.exp(-(squared / weightSum) / (2 * MOOD_SCORE_SIGMA ** 2));
+    });
+    const total = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+    const scores = MOOD_PROTOTYPES.map((prototype, index) => ({ prototype, score: weights[index] / total }));
+    scores.sort((a, b) => b.score - a.score);
+    return { prototype: scores[0].prototype, confidence: scores[0].score };
+}
+
+function describeMood(prototype, extra = {}) {
+    return { label: prototype.label, description: prototype.description, ...extra };
+}
+
+// Average-linkage agglomerative clustering; sessions are at most a few dozen tracks.
+function clusterMoodPoints(points) {
+    let clusters = points.map(point => [point]);
+    while (clusters.length > 1) {
+        let best = null;
+        for (let i = 0; i < clusters.length; i += 1) {
+            for (let j = i + 1; j < clusters.length; j += 1) {
+                let total = 0;
+                for (const a of clusters[i]) {
+                    for (const b of clusters[j]) total += moodDistance(a.features, b.features);
+                }
+                const distance = total / (clusters[i].length * clusters[j].length);
+                if (!best || distance < best.distance) best = { i, j, distance };
+            }
+        }
+        if (best.distance > MOOD_CLUSTER_DISTANCE) break;
+        clusters[best.i] = clusters[best.i].concat(clusters[best.j]);
+        clusters.splice(best.j, 1);
+    }
+    return clusters;
+}
+
+function detectMoodTransition(points) {
+    if (points.length < MOOD_TRANSITION_MIN_TRACKS) return null;
+
+    // Oldest first, so "from" is where the session started.
+    const chronological = [...points].reverse();
+    const segmentSize = Math.ceil(chronological.length / 3);
+    const start = averageMoodFeatures(chronological.slice(0, segmentSize).map(point => point.features));
+    const end = averageMoodFeatures(chronological.slice(-segmentSize).map(point => point.features));
+    const from = scoreTrackMood(start).prototype;
+    const to = scoreTrackMood(end).prototype;
+    if (from === to || moodDistance(start, end) < MOOD_TRANSITION_MIN_DISTANCE) return null;
+
+    const energyDelta = end.energy - start.energy;
+    const direction = energyDelta <= -MOOD_TRANSITION_ENERGY_DELTA
+        ? 'wound down'
+        : energyDelta >= MOOD_TRANSITION_ENERGY_DELTA ? 'ramped up' : 'drifted';
+    return {
+        from: from.label,
+        to: to.label,
+        direction,
+        description: `${direction} from ${from.short} to ${to.short}`,
+    };
+}
+
+// `trackFeatures` is one entry per track (null when unknown). The result keeps `label` and
+// `description` at the top level so it can stand in wherever a classifyMood() result was used.
+function analyzeMood(trackFeatures) {
+    const points = trackFeatures
+        .map((features, index) => ({ index, features }))
+        .filter(point => hasMoodCoordinates(point.features));
+    if (!points.length) {
+        return {
+            ...UNKNOWN_MOOD,
+            dominant: null,
+            secondary: [],
+            spread: null,
+            clusters: [],
+            transition: null,
+            tracks: trackFeatures.map(() => null),
+        };
+    }
+
+    const tracks = trackFeatures.map(() => null);
+    for (const point of points) {
+        const { prototype, confidence } = scoreTrackMood(point.features);
+        tracks[point.index] = describeMood(prototype, { confidence: roundUnit(confidence) });
+    }
+
+    const clusters = clusterMoodPoints(points).map(members => {
+        const centroid = averageMoodFeatures(members.map(member => member.features));
+        return {
+            prototype: scoreTrackMood(centroid).prototype,
+            centroid: { valence: roundUnit(centroid.valence), energy: roundUnit(centroid.energy) },
+            size: members.length,
+            share: roundUnit(members.length / points.length),
+            newestIndex: Math.min(...members.map(member => member.index)),
+            tracks: members.map(member => member.index).sort((a, b) => a - b),
+        };
+    });
+    // Largest cluster wins; on a tie, the one holding the most recent track.
+    clusters.sort((a, b) => b.size - a.size || a.newestIndex - b.newestIndex);
+
+    const dominant = clusters[0];
+    const secondaryShares = new Map();
+    for (const cluster of clusters.slice(1)) {
+        if (cluster.prototype === dominant.prototype) continue;
+        secondaryShares.set(cluster.prototype, (secondaryShares.get(cluster.prototype) || 0) + cluster.size);
+    }
+    const secondary = [...secondaryShares.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([prototype, size]) => describeMood(prototype, { share: roundUnit(size / points.length) }));
+
+    const sessionCentroid = averageMoodFeatures(points.map(point => point.features));
+    const spreadValue = Math.sqrt(
+        points.reduce((sum, point) => sum + moodDistance(point.features, sessionCentroid) ** 2, 0) / points.length
+    );
+
+    return {
+        ...describeMood(dominant.prototype),
+        dominant: describeMood(dominant.prototype, { share: dominant.share }),
+        secondary,
+        spread: {
+            value: roundUnit(spreadValue),
+            label: MOOD_SPREAD_LEVELS.find(level => spreadValue <= level.max).label,
+        },
+        clusters: clusters.map(({ prototype, newestIndex, ...cluster }) => describeMood(prototype, cluster)),
+        transition: detectMoodTransition(points),
+        tracks,
+    };
+}
+
+function classifyMood(features) {
+    const { label, description } = analyzeMood(features);
+    return { label, description };
+}
+
+// One line for the summary prompt, e.g. "acoustic-chill (mellow and organic), with some dance
+// floor vibes, scattered; wound down from dance to acoustic".
+function formatMoodForPrompt(mood) {
+    if (!mood?.dominant) return `${mood?.label || UNKNOWN_MOOD.label} (${mood?.description || UNKNOWN_MOOD.description})`;
+
+    let line = `${mood.label} (${mood.description})`;
+    if (mood.secondary.length) {
+        line += `, with some ${mood.secondary.map(entry => entry.description).join(' and ')}`;
+    }
+    // A focused session is already described by its dominant mood.
+    if (mood.spread.label !== 'focused') line += `, ${mood.spread.label}`;
+    if (mood.transition) line += `; ${mood.transition.description}`;
+    return line;
+}
+
+// ==========================================
+// ADMIN
+// ==========================================
+// Cache inspection and purging. Disabled (404) unless ADMIN_TOKEN is set; requests must send
+// `Authorization: Bearer <ADMIN_TOKEN>`.
+const ADMIN_LIST_DEFAULT_LIMIT = 50;
+const ADMIN_LIST_MAX_LIMIT = 500;
+
+async function authorizeAdminRequest(request, env, corsHeaders) {
+    if (!env?.ADMIN_TOKEN) {
+        return new Response(
+            JSON.stringify({ error: 'Not found' }),
+            { status: 404, headers: corsHeaders }
+        );
+    }
+
+    const token = (request.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+    if (!token || !(await adminTokensMatch(token, env.ADMIN_TOKEN))) {
+        return new Response(
+            JSON.stringify({ error: 'Unauthorized' }),
+            { status: 401, headers: { ...corsHeaders, 'WWW-Authenticate': 'Bearer' } }
+        );
+    }
+    return null;
+}
+
+// Compares digests so the check takes the same time however much of the token matches.
+async function adminTokensMatch(provided, expected) {
+    const encoder = new TextEncoder();
+    const [a, b] = await Promise.all(
+        [provided, expected].map(value => crypto.subtle.digest('SHA-256', encoder.encode(String(value))))
+    );
+    const left = new Uint8Array(a);
+    const right = new Uint8Array(b);
+    let difference = 0;
+    for (let i = 0; i < left.length; i += 1) {
+        difference |= left[i] ^ right[i];
+    }
+    return difference === 0;
+}
+
+function readAdminListLimit(url) {
+    const limit = clampNumber(url.searchParams.get('limit'), { min: 1, max: ADMIN_LIST_MAX_LIMIT, integer: true });
+    return limit ?? ADMIN_LIST_DEFAULT_LIMIT;
+}
+
+// GET  ?namespace=<ns>&key=<key> → the entry in each layer
+// GET  ?namespace=<ns>           → KV keys in the namespace, newest first
+// DELETE ?namespace=<ns>&key=<key> → purge one entry; without `key` → purge the namespace
+// `key` is the part of the stored path after the namespace, exactly as listed.
+async function handleAdminCache(request, url, corsHeaders) {
+    const namespace = url.searchParams.get('namespace');
+    const key = url.searchParams.get('key');
+    const headers = { ...corsHeaders, 'Cache-Control': 'no-store' };
+
+    if (!Object.prototype.hasOwnProperty.call(CACHE_NAMESPACES, namespace || '')) {
+        return new Response(
+            JSON.stringify({ error: 'Unknown namespace', namespaces: Object.keys(CACHE_NAMESPACES) }),
+            { status: 400, headers }
+        );
+    }
+
+    const cachePath = key ? `${encodeURIComponent(namespace)}/${key}` : null;
+
+    if (request.method === 'DELETE') {
+        if (cachePath) {
+            await purgeCachedJson(cachePath);
+            return new Response(JSON.stringify({ namespace, key, purged: true }), { headers });
+        }
+        const removed = await purgeCacheNamespace(namespace);
+        return new Response(JSON.stringify({ namespace, purged: true, kvKeysRemoved: removed }), { headers });
+    }
+
+    if (cachePath) {
+        const entry = await inspectCachedJson(cachePath);
+        return new Response(JSON.stringify({ namespace, key, ...entry }), { headers });
+    }
+
+    const entries = await listCachedJson(namespace, readAdminListLimit(url));
+    return new Response(JSON.stringify({ namespace, entries }), { headers });
+}
+
+// Recent generated summaries, newest first, with their current text.
+async function handleAdminSummaries(url, corsHeaders) {
+    const entries = await listCachedJson('summary-final', readAdminListLimit(url));
+    const summaries = await Promise.all(entries.map(async (entry) => {
+        const cached = await readCachedJson(entry.path);
+        return {
+            ...entry,
+            summary: cached?.summary ?? null,
+            model: cached?.model ?? null,
+            mode: cached?.mode ?? null,
+        };
+    }));
+    return new Response(
+        JSON.stringify({ summaries }),
+        { headers: { ...corsHeaders, 'Cache-Control': 'no-store' } }
+    );
+}
+
+// GET → every override (KV and bundled)
+// PUT { type, track?, artist, spotifyUrl | spotifyId, artistSpotifyUrl? } → store one in KV
+// DELETE ?type=<track|artist>&artist=<name>[&track=<name>] → remove a KV override
+// Writes also purge the short-lived `spotify-proxy` results so lookups pick the change up.
+async function handleAdminOverrides(request, url, corsHeaders) {
+    const headers = { ...corsHeaders, 'Cache-Control': 'no-store' };
+
+    if (request.method === 'GET') {
+        const stored = [];
+        if (matchOverridesKv) {
+            let cursor;
+            do {
+                const page = await matchOverridesKv.list({ prefix: MATCH_OVERRIDE_KV_PREFIX, cursor });
+                for (const { name } of page.keys) {
+                    const [type, ...keyParts] = name.slice(MATCH_OVERRIDE_KV_PREFIX.length).split('/');
+                    const raw = await matchOverridesKv.get(name);
+                    let override = null;
+                    try {
+                        override = normalizeMatchOverride(type, JSON.parse(raw));
+                    } catch (error) {
+                        console.warn(`Ignoring unreadable match override ${name}`, error);
+                    }
+                    stored.push({ type, key: keyParts.join('/'), override, source: 'kv' });
+                }
+                cursor = page.list_complete ? null : page.cursor;
+            } while (cursor);
+        }
+        const bundled = MATCH_OVERRIDE_TYPES.flatMap(type => Object.entries(BUNDLED_MATCH_OVERRIDES[`${type}s`] || {})
+            .map(([key, raw]) => ({ type, key, override: normalizeMatchOverride(type, raw), source: 'bundled' })));
+        return new Response(JSON.stringify({ overrides: [...stored, ...bundled] }), { headers });
+    }
+
+    if (!matchOverridesKv) {
+        return new Response(
+            JSON.stringify({ error: 'Configuration Error: MATCH_OVERRIDES_KV is not bound' }),
+            { status: 503, headers }
+        );
+    }
+
+    let input;
+    if (request.method === 'PUT') {
+        try {
+            input = await request.json();
+        } catch (error) {
+            return new Response(JSON.stringify({ error: 'Invalid JSON body' }), { status: 400, headers });
+        }
+    } else {
+        input = Object.fromEntries(url.searchParams);
+    }
+
+    const type = MATCH_OVERRIDE_TYPES.includes(input?.type) ? input.type : null;
+    const key = type ? buildMatchOverrideKey(type, input.track, input.artist) : null;
+    if (!key) {
+        return new Response(
+            JSON.stringify({ error: 'Expected type "track" (with track and artist) or "artist" (with artist)' }),
+            { status: 400, headers }
+        );
+    }
+    const kvKey = `${MATCH_OVERRIDE_KV_PREFIX}${type}/${key}`;
+
+    let override = null;
+    if (request.method === 'PUT') {
+        override = normalizeMatchOverride(type, input);
+        if (!override) {
+            return new Response(
+                JSON.stringify({ error: `Expected a Spotify ${type} id or URL` }),
+                { status: 400, headers }
+            );
+        }
+        await matchOverridesKv.put(kvKey, JSON.stringify(override));
+    } else {
+        await matchOverridesKv.delete(kvKey);
+    }
+
+    matchOverrideCache.delete(`${type}/${key}`);
+    await purgeCacheNamespace('spotify-proxy');
+    return new Response(JSON.stringify({ type, key, override }), { headers });
+}
+
+// ==========================================
+// LAST.FM USERS
+// ==========================================
+// Only allowlisted Last.fm accounts can be proxied or summarised with the worker's keys.
+const DEFAULT_LASTFM_ALLOWED_USERS = 'glenfire:glen';
+const LASTFM_USERNAME_PATTERN = /^[a-z][a-z0-9_-]{1,14}$/;
+const lastFmUserCache = new Map();
+
+function getLastFmUsers(env) {
+    const raw = typeof env?.LASTFM_ALLOWED_USERS === 'string' && env.LASTFM_ALLOWED_USERS.trim()
+        ? env.LASTFM_ALLOWED_USERS
+        : DEFAULT_LASTFM_ALLOWED_USERS;
+
+    if (!lastFmUserCache.has(raw)) {
+        const users = new Map();
+        for (const entry of raw.split(',')) {
+            const [rawName, ...displayParts] = entry.split(':');
+            const username = String(rawName || '').trim().toLowerCase();
+            if (!LASTFM_USERNAME_PATTERN.test(username)) continue;
+            const displayName = displayParts.join(':').trim() || username;
+            users.set(username, { username, displayName, isDefault: users.size === 0 });
+        }
+        lastFmUserCache.set(raw, users);
+    }
+    return lastFmUserCache.get(raw);
+}
+
+// Returns the allowlisted user for `requested` (or the default user when omitted), else null.
+function resolveLastFmUser(requested, env) {
+    const users = getLastFmUsers(env);
+    if (requested == null || String(requested).trim() === '') {
+        return users.values().next().value || null;
+    }
+    return users.get(String(requested).trim().toLowerCase()) || null;
+}
+
+// ==========================================
+// LAST.FM HANDLER
+// ==========================================
+// Only the methods below can be called with the worker's key. Each parameter is checked
+// against its type before it is encoded into the upstream URL; anything not in the schema is
+// dropped. `user` parameters must name an allowlisted account.
+const LASTFM_API_URL = 'https://ws.audioscrobbler.com/2.0/';
+const LASTFM_PERIODS = ['overall', '7day', '1month', '3month', '6month', '12month'];
+const LASTFM_STRING_MAX_LENGTH = 300;
+
+const LASTFM_PARAM = {
+    user: { type: 'user' },
+    username: { type: 'user' },
+    limit: (max, fallback = null) => ({ type: 'int', min: 1, max, default: fallback }),
+    page: { type: 'int', min: 1, max: 100000 },
+    timestamp: { type: 'int', min: 0, max: 4102444800 },
+    period: { type: 'enum', values: LASTFM_PERIODS },
+    flag: { type: 'bool' },
+    text: { type: 'string' },
+    mbid: { type: 'string', pattern: /^[0-9a-f-]{36}$/i },
+    lang: { type: 'string', pattern: /^[a-z]{2}$/i },
+};
+
+// `root` and `itemKey` locate the entries in the response, e.g. `topartists.artist`.
+function lastFmTopChartSchema(root, itemKey) {
+    return {
+        ttl: LASTFM_CHART_CACHE_TTL_SECONDS,
+        params: {
+            user: LASTFM_PARAM.user,
+            period: LASTFM_PARAM.period,
+            limit: LASTFM_PARAM.limit(1000),
+            page: LASTFM_PARAM.page,
+        },
+        requires: [['user']],
+        normalize: (data, params) => normalizeLastFmChart(data?.[root], itemKey, params),
+    };
+}
+
+function lastFmWeeklyChartSchema(root, itemKey) {
+    return {
+        ttl: LASTFM_CHART_CACHE_TTL_SECONDS,
+        params: {
+            user: LASTFM_PARAM.user,
+            from: LASTFM_PARAM.timestamp,
+            to: LASTFM_PARAM.timestamp,
+        },
+        requires: [['user']],
+        normalize: (data, params) => {
+            const attr = data?.[root]?.['@attr'] || {};
+            return {
+                ...normalizeLastFmChart(data?.[root], itemKey, params),
+                period: null,
+                from: Number(attr.from) || Number(params?.get('from')) || null,
+                to: Number(attr.to) || Number(params?.get('to')) || null,
+            };
+        },
+    };
+}
+
+// Keys are lower-case; Last.fm method names are case-insensitive.
+const LASTFM_METHODS = {
+    'user.getrecenttracks': {
+        // A closed `to` window can't change, so it can be cached like a chart.
+        ttl: params => params.has('to') ? LASTFM_CHART_CACHE_TTL_SECONDS : LASTFM_NOWPLAYING_CACHE_TTL_SECONDS,
+        params: {
+            user: LASTFM_PARAM.user,
+            limit: LASTFM_PARAM.limit(200, 10),
+            page: LASTFM_PARAM.page,
+            from: LASTFM_PARAM.timestamp,
+            to: LASTFM_PARAM.timestamp,
+            extended: LASTFM_PARAM.flag,
+        },
+        requires: [['user']],
+        normalize: normalizeLastFmRecentTracks,
+    },
+    'user.getinfo': {
+        ttl: LASTFM_CHART_CACHE_TTL_SECONDS,
+        params: { user: LASTFM_PARAM.user },
+        requires: [['user']],
+    },
+    'user.getlovedtracks': {
+        ttl: LASTFM_DEFAULT_CACHE_TTL_SECONDS,
+        params: { user: LASTFM_PARAM.user, limit: LASTFM_PARAM.limit(1000), page: LASTFM_PARAM.page },
+        requires: [['user']],
+    },
+    'user.gettopartists': lastFmTopChartSchema('topartists', 'artist'),
+    'user.gettoptracks': lastFmTopChartSchema('toptracks', 'track'),
+    'user.gettopalbums': lastFmTopChartSchema('topalbums', 'album'),
+    'user.getweeklychartlist': {
+        ttl: LASTFM_CHART_LIST_CACHE_TTL_SECONDS,
+        params: { user: LASTFM_PARAM.user },
+        requires: [['user']],
+    },
+    'user.getweeklyartistchart': lastFmWeeklyChartSchema('weeklyartistchart', 'artist'),
+    'user.getweeklytrackchart': lastFmWeeklyChartSchema('weeklytrackchart', 'track'),
+    'user.getweeklyalbumchart': lastFmWeeklyChartSchema('weeklyalbumchart', 'album'),
+    'track.getinfo': {
+        ttl: METADATA_CACHE_TTL_SECONDS,
+        params: {
+            track: LASTFM_PARAM.text,
+            artist: LASTFM_PARAM.text,
+            mbid: LASTFM_PARAM.mbid,
+            autocorrect: LASTFM_PARAM.flag,
+            username: LASTFM_PARAM.username,
+        },
+        requires: [['track', 'artist'], ['mbid']],
+    },
+    'artist.getinfo': {
+        ttl: METADATA_CACHE_TTL_SECONDS,
+        params: {
+            artist: LASTFM_PARAM.text,
+            mbid: LASTFM_PARAM.mbid,
+            autocorrect: LASTFM_PARAM.flag,
+            lang: LASTFM_PARAM.lang,
+            username: LASTFM_PARAM.username,
+        },
+        requires: [['artist'], ['mbid']],
+    },
+    'album.getinfo': {
+        ttl: METADATA_CACHE_TTL_SECONDS,
+        params: {
+            artist: LASTFM_PARAM.text,
+            album: LASTFM_PARAM.text,
+            mbid: LASTFM_PARAM.mbid,
+            autocorrect: LASTFM_PARAM.flag,
+            lang: LASTFM_PARAM.lang,
+            username: LASTFM_PARAM.username,
+        },
+        requires: [['artist', 'album'], ['mbid']],
+    },
+};
+
+const LASTFM_IMAGE_SIZES = ['small', 'medium', 'large', 'extralarge', 'mega'];
+
+// Last.fm returns a bare object instead of an array when there is exactly one item.
+function toLastFmList(value) {
+    if (Array.isArray(value)) return value;
+    return value ? [value] : [];
+}
+
+function readLastFmText(value) {
+    if (value && typeof value === 'object') return String(value['#text'] ?? value.name ?? '').trim() || null;
+    return value == null ? null : String(value).trim() || null;
+}
+
+function readLastFmImages(value) {
+    const images = Object.fromEntries(LASTFM_IMAGE_SIZES.map(size => [size, null]));
+    for (const image of toLastFmList(value)) {
+        if (LASTFM_IMAGE_SIZES.includes(image?.size)) images[image.size] = readLastFmText(image);
+    }
+    return images;
+}
+
+function normalizeLastFmTrack(track) {
+    const uts = Number(track?.date?.uts);
+
+    return {
+        name: readLastFmText(track?.name),
+        artist: readLastFmText(track?.artist),
+        album: readLastFmText(track?.album),
+        images: readLastFmImages(track?.image),
+        playedAt: Number.isFinite(uts) && uts > 0 ? new Date(uts * 1000).toISOString() : null,
+        url: track?.url || null,
+        mbid: track?.mbid || null,
+    };
+}
+
+// `normalized=1` schema for user.getrecenttracks: the now-playing entry is split out and every
+// scrobble has the same shape regardless of how Last.fm happened to encode it.
+function normalizeLastFmRecentTracks(data) {
+    let nowPlaying = null;
+    const tracks = [];
+    for (const track of toLastFmList(data?.recenttracks?.track)) {
+        const isNowPlaying = String(track?.['@attr']?.nowplaying) === 'true';
+        if (isNowPlaying && !nowPlaying) {
+            nowPlaying = normalizeLastFmTrack(track);
+        } else if (!isNowPlaying) {
+            tracks.push(normalizeLastFmTrack(track));
+        }
+    }
+    return { user: data?.recenttracks?.['@attr']?.user || null, nowPlaying, tracks };
+}
+
+// `normalized=1` schema for the top and weekly charts. `artist` is null on artist charts.
+function normalizeLastFmChart(chart, itemKey, params) {
+    const attr = chart?.['@attr'] || {};
+    const items = toLastFmList(chart?.[itemKey]).map(item => ({
+        rank: Number(item?.['@attr']?.rank) || null,
+        name: readLastFmText(item?.name),
+        artist: readLastFmText(item?.artist),
+        playcount: Number(item?.playcount) || 0,
+        images: readLastFmImages(item?.image),
+        url: item?.url || null,
+        mbid: item?.mbid || null,
+    }));
+
+    return {
+        user: attr.user || null,
+        period: params?.get('period') || 'overall',
+        total: Number(attr.total) || items.length,
+        items,
+    };
+}
+
+// Returns { params: URLSearchParams } with the validated values in schema order, or { error, status }.
+function validateLastFmParams(schema, searchParams, env) {
+    const params = new URLSearchParams();
+
+    for (const [name, rule] of Object.entries(schema.params)) {
+        const raw = searchParams.get(name);
+        if (raw === null || raw.trim() === '') {
+            if (rule.default != null) params.set(name, String(rule.default));
+            continue;
+        }
+        const value = raw.trim();
+
+        switch (rule.type) {
+            case 'user': {
+                const user = resolveLastFmUser(value, env);
+                if (!user) return { error: 'User not allowed', status: 403 };
+                params.set(name, user.username);
+                break;
+            }
+            case 'int': {
+                const number = Number(value);
+                if (!/^-?\d+$/.test(value) || number < rule.min || number > rule.max) {
+                    return { error: `Invalid ${name}: expected an integer from ${rule.min} to ${rule.max}`, status: 400 };
+                }
+                params.set(name, String(number));
+                break;
+            }
+            case 'enum':
+                if (!rule.values.includes(value)) {
+                    return { error: `Invalid ${name}: expected one of ${rule.values.join(', ')}`, status: 400 };
+                }
+                params.set(name, value);
+                break;
+            case 'bool':
+                if (!['0', '1', 'true', 'false'].includes(value)) {
+                    return { error: `Invalid ${name}: expected 0 or 1`, status: 400 };
+                }
+                params.set(name, value === '1' || value === 'true' ? '1' : '0');
+                break;
+            default:
+                if (value.length > LASTFM_STRING_MAX_LENGTH || (rule.pattern && !rule.pattern.test(value))) {
+                    return { error: `Invalid ${name}`, status: 400 };
+                }
+                params.set(name, value);
+        }
+    }
+
+    if (params.has('from') && params.has('to') && Number(params.get('from')) > Number(params.get('to'))) {
+        return { error: 'Invalid range: from is after to', status: 400 };
+    }
+    if (!schema.requires.some(group => group.every(name => params.has(name)))) {
+        const expected = schema.requires.map(group => group.join(' and ')).join(', or ');
+        return { error: `Missing ${expected} parameter`, status: 400 };
+    }
+
+    return { params };
+}
+
+// Validates `searchParams` against the method's schema and fetches it through the layered cache.
+// Resolves to { data, params, cacheTtl } (Last.fm's own errors arrive inside `data`) or
+// { error, status } for invalid params; throws when Last.fm can't be reached.
+async function callLastFm(method, searchParams, env) {
+    const schema = LASTFM_METHODS[method];
+    const { params, error, status } = validateLastFmParams(schema, searchParams, env);
+    if (error) return { error, status };
+
+    const cacheTtl = typeof schema.ttl === 'function' ? schema.ttl(params) : schema.ttl;
+    const upstreamParams = new URLSearchParams(params);
+    upstreamParams.set('method', method);
+    upstreamParams.set('api_key', env.LASTFM_API_KEY);
+    upstreamParams.set('format', 'json');
+    const lastfmUrl = `${LASTFM_API_URL}?${upstreamParams}`;
+
+    const data = await getCachedJson(
+        buildCachePath('lastfm', method, params.toString()),
+        cacheTtl,
+        async () => {
+            const response = await fetch(lastfmUrl);
+            if (!response.ok) {
+                throw new Error(`Last.fm request failed: ${response.status}`);
+            }
+            return await response.json();
+        }
+    );
+
+    return { data, params, cacheTtl };
+}
+
+async function handleLastFm(url, env, corsHeaders) {
+    if (!env.LASTFM_API_KEY) {
+        return new Response(
+            JSON.stringify({ error: 'Configuration Error: LASTFM_API_KEY is missing' }),
+            { status: 503, headers: corsHeaders }
+        );
+    }
+
+    const method = (url.searchParams.get('method') || 'user.getrecenttracks').trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(LASTFM_METHODS, method)) {
+        return new Response(
+            JSON.stringify({ error: `Unsupported Last.fm method: ${method}`, methods: Object.keys(LASTFM_METHODS) }),
+            { status: 400, headers: corsHeaders }
+        );
+    }
+
+    const schema = LASTFM_METHODS[method];
+    const normalized = ['1', 'true'].includes(url.searchParams.get('normalized'));
+    if (normalized && !schema.normalize) {
+        return new Response(
+            JSON.stringify({ error: `normalized=1 is not supported for ${method}` }),
+            { status: 400, headers: corsHeaders }
+        );
+    }
+
+    try {
+        const { data, params, cacheTtl, error, status } = await callLastFm(method, url.searchParams, env);
+        if (error) {
+            return new Response(JSON.stringify({ error }), { status, headers: corsHeaders });
+        }
+
+        // Check if Last.fm returned an error in the JSON
+        if (data.error) {
+            console.error('Last.fm API internal error:', data);
+            return new Response(JSON.stringify(data), {
+                status: 200, // Still return 200 so frontend can parse the error message
+                headers: corsHeaders
+            });
+        }
+
+        return new Response(JSON.stringify(normalized ? schema.normalize(data, params) : data), {
+            headers: {
+                ...corsHeaders,
+                'Cache-Control': `public, max-age=${cacheTtl}, stale-while-revalidate=30`,
+            }
+        });
+    } catch (error) {
+        console.error('Last.fm fetch error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to fetch from Last.fm' }),
+            { status: 502, headers: corsHeaders }
+        );
+    }
+}
+
+// ==========================================
+// LISTENING STATS
+// ==========================================
+// The stats view's data: the three top charts for a period in one call, and scrobble counts
+// bucketed per local day and hour of day for the heat map and histogram.
+const LASTFM_STATS_CHARTS = {
+    artists: 'user.gettopartists',
+    tracks: 'user.gettoptracks',
+    albums: 'user.gettopalbums',
+};
+const LASTFM_STATS_SCHEMA = {
+    params: {
+        user: LASTFM_PARAM.user,
+        period: { ...LASTFM_PARAM.period, default: 'overall' },
+        limit: LASTFM_PARAM.limit(50, 10),
+    },
+    requires: [['user']],
+};
+
+// `tzOffset` is in minutes with Date#getTimezoneOffset's sign (UTC minus local time).
+const LASTFM_ACTIVITY_SCHEMA = {
+    params: {
+        user: LASTFM_PARAM.user,
+        days: { type: 'int', min: 1, max: 366, default: 91 },
+        tzOffset: { type: 'int', min: -840, max: 840, default: 0 },
+    },
+    requires: [['user']],
+};
+const LASTFM_ACTIVITY_PAGE_SIZE = 200;
+const LASTFM_ACTIVITY_MAX_PAGES = 30;
+const LASTFM_ACTIVITY_CONCURRENCY = 4;
+const SECONDS_PER_DAY = 86400;
+
+function lastFmUnavailable(corsHeaders, message = 'Failed to fetch from Last.fm') {
+    return new Response(JSON.stringify({ error: message }), { status: 502, headers: corsHeaders });
+}
+
+async function handleLastFmStats(url, env, corsHeaders) {
+    if (!env.LASTFM_API_KEY) {
+        return new Response(
+            JSON.stringify({ error: 'Configuration Error: LASTFM_API_KEY is missing' }),
+            { status: 503, headers: corsHeaders }
+        );
+    }
+
+    const { params, error, status } = validateLastFmParams(LASTFM_STATS_SCHEMA, url.searchParams, env);
+    if (error) {
+        return new Response(JSON.stringify({ error }), { status, headers: corsHeaders });
+    }
+
+    let results;
+    try {
+        results = await Promise.all(
+            Object.values(LASTFM_STATS_CHARTS).map(method => callLastFm(method, params, env))
+        );
+    } catch (fetchError) {
+        console.error('Last.fm stats fetch error:', fetchError);
+        return lastFmUnavailable(corsHeaders);
+    }
+
+    const failed = results.find(result => result.data?.error);
+    if (failed) {
+        console.error('Last.fm API internal error:', failed.data);
+        return lastFmUnavailable(corsHeaders, failed.data.message || undefined);
+    }
+
+    const body = { user: params.get('user'), period: params.get('period') };
+    Object.keys(LASTFM_STATS_CHARTS).forEach((key, index) => {
+        const method = LASTFM_STATS_CHARTS[key];
+        body[key] = LASTFM_METHODS[method].normalize(results[index].data, params).items;
+    });
 
-                // 4. Get Audio Features
-                const features = trackIds.length ? await getAudioFeatures(trackIds) : [];
-                if (features.length) {
-                    moodClass = classifyMood(features);
-                    const avg = (key) => features.reduce((sum, item) => sum + (item[key] ?? 0), 0) / features.length;
-                    audioStats = {
-                        valence: avg('valence'),
-                        energy: avg('energy'),
-                        danceability: avg('danceability'),
-                        acousticness: avg('acousticness'),
-                        tempo: avg('tempo'),
-                    };
-                }
+    return new Response(JSON.stringify(body), {
+        headers: {
+            ...corsHeaders,
+            'Cache-Control': `public, max-age=${LASTFM_CHART_CACHE_TTL_SECONDS}, stale-while-revalidate=300`,
+        }
+    });
+}
 
-                // 5. Format the list for the LLM
-                trackListForPrompt = promptTracks.map((t, i) => {
-                    const foundDetail = trackDetails[i]; // Only exists for first 15
-                    const yearStr = foundDetail ? ` (${foundDetail.year})` : '';
-                    return `${i + 1}. ${t.name} - ${t.artist}${yearStr}`;
-                }).join('\n');
-
-                // 6. Calculate Repetition (Ear-worm detection)
-                const trackCounts = {};
-                summaryTracks.forEach(t => {
-                    const key = `${t.name} by ${t.artist}`.toLowerCase();
-                    trackCounts[key] = (trackCounts[key] || 0) + 1;
-                });
-                const counts = Object.values(trackCounts);
-                const maxReps = counts.length > 0 ? Math.max(...counts) : 0;
-                const topTrack = Object.keys(trackCounts).find(k => trackCounts[k] === maxReps);
-                const repetitionInfo = maxReps >= 4 ? `earworm detected: ${topTrack} played ${maxReps} times` : 'none';
-
-                // Add repetition to prompt
-                trackListForPrompt += `\n\nRepetition: ${repetitionInfo}`;
-            } catch (error) {
-                console.error('Metadata processing failed', error);
-                // Fallback if API fails
-                trackListForPrompt = promptTracks.map((t, i) => `${i + 1}. ${t.name} - ${t.artist}`).join('\n');
-            }
+// Local calendar date and hour of a Unix timestamp for a Date#getTimezoneOffset-style offset.
+function toLocalDateParts(uts, tzOffset) {
+    const local = new Date((uts - tzOffset * 60) * 1000);
+    return { date: local.toISOString().slice(0, 10), hour: local.getUTCHours() };
+}
 
-            const messages = [
-                {
-                    role: 'system',
-                    content: `You are the consciousness of a witty, slightly dark, and musically-obsessed entity named "glen". 
-
-CRITICAL HIERARCHY:
-1. Track #1 is the CURRENT VIBE. It is the absolute priority for the summary.
-2. The remaining tracks (#2-12) are just context for "where glen was".
-3. If there is an "earworm" (repetition), mention it as a side-effect or addiction, but don't let it override the atmosphere of Track #1.
-
-PERSONALITY:
-- Mysterious/Dark: If current track is moody/indie (e.g., Lithe, Mazzy Star).
-- Nostalgic/Sharp: If current track is 50s-90s.
-- Girly Pop: For upbeat/poppy tracks (e.g., Sabrina Carpenter).
-- OG Respect: For Legends (Rock, Classical, Jazz, OGs like Tupac/Biggie).
-- Dark Wit: Regarding tragic icons (e.g., Kurt Cobain).
-- Language Aware: Use Spanish/French/etc. context if the current track is in those languages.
-- Effortful Roasts: Avoid "vibe/energy" clichés. Go for artistic/soulful critiques.
-
-CONSTRAINTS:
-- One sentence, lower-case only.
-- 13-22 words.
-- No quotes, no hashtags, no preface.
-- Refer to "glen" in the third person.
-- Focus on the *soul* of Track #1 and its contrast with the recent history. Use some inspiration from the other tracks but don't let them overshadow the current vibe. If the current track is a departure from the recent history, highlight that tension. If it's consistent, comment on the addictive nature of glen's musical choices. Always end with a sharp, witty observation about glen's state of mind or artistic taste.`
-                },
-                {
-                    role: 'user',
-                    content: `mode: ${mode}
-era: ${dominantEra}
-mood: ${moodClass.label} (${moodClass.description})
-stats: valence=${audioStats?.valence?.toFixed(2)}, energy=${audioStats?.energy?.toFixed(2)}
-tracks (Track 1 is CURRENT):\n${trackListForPrompt}\n
-roast/summarize glen:`
+// Scrobbles from local midnight `days - 1` days ago up to the start of the current hour. The
+// window ends on an hour boundary so the upstream pages and the summary share one cache entry
+// per hour. Heavy listeners are cut off after LASTFM_ACTIVITY_MAX_PAGES pages (`truncated`).
+async function loadLastFmActivity(user, days, tzOffset, env) {
+    const to = Math.floor(Date.now() / 1000 / 3600) * 3600;
+    const localMidnight = Math.floor((to - tzOffset * 60) / SECONDS_PER_DAY) * SECONDS_PER_DAY;
+    const from = localMidnight - (days - 1) * SECONDS_PER_DAY + tzOffset * 60;
+
+    return await getCachedJson(
+        buildCachePath('lastfm-activity', user, days, tzOffset, to),
+        LASTFM_CHART_CACHE_TTL_SECONDS,
+        async () => {
+            const fetchPage = async (page) => {
+                const { data } = await callLastFm('user.getrecenttracks', new URLSearchParams({
+                    user,
+                    limit: String(LASTFM_ACTIVITY_PAGE_SIZE),
+                    page: String(page),
+                    from: String(from),
+                    to: String(to),
+                }), env);
+                if (!data?.recenttracks) {
+                    throw new Error(`Last.fm activity page ${page} failed: ${data?.message || 'no recenttracks'}`);
                 }
-            ];
+                return data;
+            };
 
-            let lastError = null;
+            const firstPage = await fetchPage(1);
+            const totalPages = Number(firstPage.recenttracks['@attr']?.totalPages) || 1;
+            const pageCount = Math.min(totalPages, LASTFM_ACTIVITY_MAX_PAGES);
+            const remaining = Array.from({ length: Math.max(pageCount - 1, 0) }, (_, index) => index + 2);
+            const pages = [firstPage, ...await mapWithConcurrency(remaining, LASTFM_ACTIVITY_CONCURRENCY, fetchPage)];
 
-            for (let attempt = 0; attempt < SUMMARY_GENERATION_RETRIES; attempt += 1) {
-                const groqResult = await callGroqStream(messages, env);
-                if (!groqResult.response) {
-                    lastError = new Error(groqResult.error || 'AI summary failed');
-                    continue;
+            const daily = new Map();
+            for (let day = 0; day < days; day += 1) {
+                daily.set(toLocalDateParts(from + day * SECONDS_PER_DAY, tzOffset).date, 0);
+            }
+            const hourly = new Array(24).fill(0);
+            let total = 0;
+
+            for (const page of pages) {
+                for (const track of normalizeLastFmRecentTracks(page).tracks) {
+                    const playedAt = Date.parse(track.playedAt);
+                    if (!Number.isFinite(playedAt)) continue;
+
+                    const { date, hour } = toLocalDateParts(playedAt / 1000, tzOffset);
+                    if (!daily.has(date)) continue;
+                    daily.set(date, daily.get(date) + 1);
+                    hourly[hour] += 1;
+                    total += 1;
                 }
+            }
 
-                const summary = await readSummaryFromGroqStream(groqResult.response);
-                if (!isValidSummaryOutput(summary)) {
-                    lastError = new Error('Invalid AI summary output');
-                    continue;
-                }
+            return {
+                user,
+                days,
+                tzOffset,
+                from: new Date(from * 1000).toISOString(),
+                to: new Date(to * 1000).toISOString(),
+                total,
+                truncated: totalPages > pageCount,
+                daily: [...daily].map(([date, count]) => ({ date, count })),
+                hourly,
+            };
+        }
+    );
+}
 
-                const normalizedSummary = normalizeSummaryOutput(summary);
-                const summaryPayload = {
-                    summary: normalizedSummary,
-                    model: groqResult.model,
-                    createdAt: Date.now(),
-                    mode,
-                    trackCount,
-                };
+async function handleLastFmActivity(url, env, corsHeaders) {
+    if (!env.LASTFM_API_KEY) {
+        return new Response(
+            JSON.stringify({ error: 'Configuration Error: LASTFM_API_KEY is missing' }),
+            { status: 503, headers: corsHeaders }
+        );
+    }
 
-                await putCachedSummary(finalCachePath, summaryPayload, SUMMARY_CACHE_TTL_SECONDS, env);
-                await putCachedSummary(staleCachePath, summaryPayload, SUMMARY_STALE_CACHE_TTL_SECONDS, env);
+    const { params, error, status } = validateLastFmParams(LASTFM_ACTIVITY_SCHEMA, url.searchParams, env);
+    if (error) {
+        return new Response(JSON.stringify({ error }), { status, headers: corsHeaders });
+    }
 
-                return {
-                    summary: normalizedSummary,
-                    model: groqResult.model,
-                    cacheStatus: 'MISS',
-                };
+    try {
+        const activity = await loadLastFmActivity(
+            params.get('user'),
+            Number(params.get('days')),
+            Number(params.get('tzOffset')),
+            env
+        );
+        return new Response(JSON.stringify(activity), {
+            headers: {
+                ...corsHeaders,
+                'Cache-Control': `public, max-age=${LASTFM_CHART_CACHE_TTL_SECONDS}, stale-while-revalidate=300`,
             }
+        });
+    } catch (fetchError) {
+        console.error('Last.fm activity fetch error:', fetchError);
+        return lastFmUnavailable(corsHeaders);
+    }
+}
 
-            const staleSummary = await getCachedSummary(staleCachePath, env);
-            if (staleSummary?.summary && isValidSummaryOutput(staleSummary.summary)) {
-                return {
-                    summary: normalizeSummaryOutput(staleSummary.summary),
-                    model: staleSummary.model || 'stale-summary',
-                    cacheStatus: 'STALE',
-                };
-            }
+// ==========================================
+// NOW PLAYING STREAM
+// ==========================================
+// Server-sent now-playing updates, so open tabs stop polling /v1/lastfm/recent. With the
+// NOWPLAYING_CHANNEL Durable Object bound, every subscriber of a user lands in the same object,
+// which runs one Last.fm poll loop for all of them and stops it when the last one leaves.
+// Without it each subscriber runs its own loop in its own invocation (a Worker can only write
+// to its own response); loops in one isolate share a poll through `lastFmStreamChannels` and
+// the 5s `lastfm` cache shares it across isolates. Streams end after LASTFM_STREAM_MAX_SECONDS
+// and EventSource reconnects after the `retry:` hint. Both timings can be tuned with
+// LASTFM_STREAM_POLL_SECONDS and LASTFM_STREAM_MAX_SECONDS.
+// Every channel polls the same number of tracks, so a user has one channel whatever `limit`
+// their subscribers ask for; each subscriber gets its own slice.
+const LASTFM_STREAM_TRACK_LIMIT = 20;
+const LASTFM_STREAM_SCHEMA = {
+    params: {
+        user: LASTFM_PARAM.user,
+        limit: LASTFM_PARAM.limit(LASTFM_STREAM_TRACK_LIMIT, 10),
+    },
+    requires: [['user']],
+};
+const LASTFM_STREAM_POLL_SECONDS = 5;
+const LASTFM_STREAM_MAX_SECONDS = 300;
+const LASTFM_STREAM_HEARTBEAT_MS = 20000;
+const LASTFM_STREAM_RETRY_MS = 3000;
+const lastFmStreamChannels = new Map();
 
-            throw lastError || new Error('AI summary failed');
-        })().finally(() => {
-            summaryInFlight.delete(cacheKey);
-        });
+function getLastFmStreamTiming(env) {
+    const pollSeconds = Number(env?.LASTFM_STREAM_POLL_SECONDS);
+    const maxSeconds = Number(env?.LASTFM_STREAM_MAX_SECONDS);
 
-        summaryInFlight.set(cacheKey, generationPromise);
-    }
+    return {
+        pollMs: (Number.isFinite(pollSeconds) && pollSeconds > 0 ? pollSeconds : LASTFM_STREAM_POLL_SECONDS) * 1000,
+        maxMs: (Number.isFinite(maxSeconds) && maxSeconds > 0 ? maxSeconds : LASTFM_STREAM_MAX_SECONDS) * 1000,
+    };
+}
 
-    try {
-        const result = await summaryInFlight.get(cacheKey);
-        return buildSummarySseResponse(result.summary, corsHeaders, result.model, result.cacheStatus);
-    } catch (error) {
-        return new Response(
-            JSON.stringify({ error: error?.message || 'AI summary failed' }),
-            { status: 502, headers: corsHeaders }
-        );
+async function pollLastFmStream(user, env) {
+    const params = new URLSearchParams({ user, limit: String(LASTFM_STREAM_TRACK_LIMIT) });
+    const { data, error } = await callLastFm('user.getrecenttracks', params, env);
+    if (error || !data?.recenttracks) {
+        throw new Error(error || data?.message || 'Last.fm returned no recent tracks');
     }
+    return normalizeLastFmRecentTracks(data);
 }
 
-async function callGroqStream(messages, env) {
-    let attempts = 0;
-    let transientFailures = 0;
+// In-isolate fallback: resolves to the user's recent tracks, at most `pollMs` old. Concurrent
+// subscribers wait on the same upstream call instead of making their own.
+function readLastFmStreamSnapshot(channel, user, pollMs, env) {
+    if (channel.snapshot && Date.now() - channel.polledAt < pollMs) return channel.snapshot;
+    if (!channel.pending) {
+        const polledAt = Date.now();
+        channel.pending = pollLastFmStream(user, env)
+            .then(snapshot => {
+                channel.snapshot = snapshot;
+                channel.polledAt = polledAt;
+                return snapshot;
+            })
+            .finally(() => {
+                channel.pending = null;
+            });
+    }
+    return channel.pending;
+}
 
-    for (const model of SUMMARY_MODEL_PRIORITY) {
-        if (attempts >= SUMMARY_MAX_MODEL_ATTEMPTS || transientFailures >= SUMMARY_MAX_TRANSIENT_FAILURES) {
-            break;
-        }
+function joinLastFmStreamChannel(user) {
+    let channel = lastFmStreamChannels.get(user);
+    if (!channel) {
+        channel = { subscribers: 0, snapshot: null, polledAt: 0, pending: null };
+        lastFmStreamChannels.set(user, channel);
+    }
+    channel.subscribers += 1;
+    return channel;
+}
 
-        attempts += 1;
-        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${env.GROQ_API_KEY}`,
-            },
-            body: JSON.stringify({
-                model,
-                temperature: SUMMARY_TEMPERATURE,
-                max_tokens: SUMMARY_MAX_TOKENS,
-                stop: ['\n'],
-                stream: true,
-                messages,
-            }),
-        });
+function leaveLastFmStreamChannel(user, channel) {
+    channel.subscribers -= 1;
+    if (channel.subscribers <= 0 && lastFmStreamChannels.get(user) === channel) {
+        lastFmStreamChannels.delete(user);
+    }
+}
 
-        if (response.ok) {
-            return { response, model };
-        }
+function getLastFmStreamTrackKey(track) {
+    return track ? `${track.name}|${track.artist}|${track.playedAt || ''}` : null;
+}
 
-        // If rate limited, payload too large, or server error, try next model
-        if (response.status === 429 || response.status === 413 || response.status >= 500) {
-            transientFailures += 1;
-            console.warn(`Model ${model} failed with ${response.status}, trying next...`);
-            continue;
+// The events that bring a subscriber from `previous` (null on connect) to `next`:
+// - nowplaying: { user, nowPlaying } whenever the now-playing entry changes, including to null
+// - track-change: { user, previous, nowPlaying } when a different track starts playing
+// - recent-updated: { user, tracks } when new scrobbles arrive
+function diffLastFmStreamSnapshots(previous, next, user) {
+    const events = [];
+    const nowPlayingKey = getLastFmStreamTrackKey(next.nowPlaying);
+
+    if (!previous || getLastFmStreamTrackKey(previous.nowPlaying) !== nowPlayingKey) {
+        events.push({ event: 'nowplaying', data: { user, nowPlaying: next.nowPlaying } });
+        if (previous && next.nowPlaying) {
+            events.push({
+                event: 'track-change',
+                data: { user, previous: previous.nowPlaying || previous.tracks[0] || null, nowPlaying: next.nowPlaying },
+            });
         }
-
-        const errorText = await response.text();
-        return {
-            response: null,
-            model,
-            status: response.status,
-            error: errorText || 'Groq API error',
-        };
     }
+    if (!previous || getLastFmStreamTrackKey(previous.tracks[0]) !== getLastFmStreamTrackKey(next.tracks[0])) {
+        events.push({ event: 'recent-updated', data: { user, tracks: next.tracks } });
+    }
+    return events;
+}
+
+function createLastFmStreamSubscriber(user, limit) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    const now = Date.now();
 
     return {
-        response: null,
-        model: null,
-        status: 503,
-        error: `Summary models unavailable after ${attempts} attempt(s). Try again shortly.`,
+        user,
+        limit,
+        readable,
+        writer,
+        startedAt: now,
+        lastSentAt: now,
+        previous: null,
+        pending: null,
+        send: (chunk) => writer.write(encoder.encode(chunk)),
     };
 }
 
-async function fetchReccoJson(path, searchParams = {}, cacheKeySuffix = '', ttlSeconds = METADATA_CACHE_TTL_SECONDS) {
-    const query = new URLSearchParams(
-        Object.entries(searchParams)
-            .filter(([, value]) => value !== null && value !== undefined && value !== '')
-            .map(([key, value]) => [key, String(value)])
-    );
-    const queryString = query.toString();
-    const url = `${RECCOBEATS_BASE_URL}${path}${queryString ? `?${queryString}` : ''}`;
-    const cachePath = buildCachePath('recco', path, cacheKeySuffix || queryString || 'none');
+// Writes whatever changed since the subscriber's last snapshot, or a keep-alive comment so
+// proxies along the way don't close an idle connection. Rejects once the visitor has gone.
+async function publishLastFmStreamSnapshot(subscriber, snapshot) {
+    const next = { ...snapshot, tracks: snapshot.tracks.slice(0, subscriber.limit) };
+    const events = diffLastFmStreamSnapshots(subscriber.previous, next, subscriber.user);
+    subscriber.previous = next;
 
-    return await getCachedJson(cachePath, ttlSeconds, async () => {
-        const response = await fetch(url);
-        if (!response.ok) {
-            console.warn(`ReccoBeats request failed (${response.status}) for ${path}`);
-            return null;
-        }
-        return await response.json();
-    });
+    for (const { event, data } of events) {
+        await subscriber.send(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+    if (events.length) {
+        subscriber.lastSentAt = Date.now();
+    } else if (Date.now() - subscriber.lastSentAt >= LASTFM_STREAM_HEARTBEAT_MS) {
+        await subscriber.send(': keep-alive\n\n');
+        subscriber.lastSentAt = Date.now();
+    }
 }
 
-async function fetchSpotifyOEmbed(spotifyUrl) {
-    if (!spotifyUrl) return null;
-    const oembedUrl = `https://open.spotify.com/oembed?url=${encodeURIComponent(spotifyUrl)}`;
-    const cachePath = buildCachePath('oembed', spotifyUrl);
-
-    return await getCachedJson(cachePath, METADATA_CACHE_TTL_SECONDS, async () => {
-        const response = await fetch(oembedUrl);
-        if (!response.ok) {
-            console.warn(`Spotify oEmbed failed (${response.status}) for ${spotifyUrl}`);
-            return null;
+function buildLastFmStreamResponse(body, corsHeaders = {}) {
+    return new Response(body, {
+        headers: {
+            ...corsHeaders,
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
         }
-        return await response.json();
     });
 }
 
-function pickBestArtistMatch(candidates, artistName) {
-    if (!Array.isArray(candidates) || !candidates.length) return null;
-    const normalizedTarget = normalizeForMatch(artistName);
-    let best = null;
-    let bestScore = -1;
+async function handleLastFmStream(url, env, ctx, corsHeaders) {
+    if (!env.LASTFM_API_KEY) {
+        return new Response(
+            JSON.stringify({ error: 'Configuration Error: LASTFM_API_KEY is missing' }),
+            { status: 503, headers: corsHeaders }
+        );
+    }
 
-    for (const candidate of candidates) {
-        const normalizedCandidate = normalizeForMatch(candidate?.name);
-        let score = 0;
+    const { params, error, status } = validateLastFmParams(LASTFM_STREAM_SCHEMA, url.searchParams, env);
+    if (error) {
+        return new Response(JSON.stringify({ error }), { status, headers: corsHeaders });
+    }
+    const user = params.get('user');
+
+    if (env.NOWPLAYING_CHANNEL) {
+        const channelUrl = new URL('/v1/lastfm/stream', url.origin);
+        channelUrl.search = params.toString();
+        const channel = env.NOWPLAYING_CHANNEL.get(env.NOWPLAYING_CHANNEL.idFromName(user));
+        const response = await channel.fetch(channelUrl.toString());
+        return response.ok
+            ? buildLastFmStreamResponse(response.body, corsHeaders)
+            : lastFmUnavailable(corsHeaders);
+    }
 
-        if (normalizedCandidate === normalizedTarget) score += 100;
-        if (normalizedCandidate.includes(normalizedTarget)) score += 30;
-        if (normalizedTarget.includes(normalizedCandidate)) score += 15;
+    const { pollMs, maxMs } = getLastFmStreamTiming(env);
+    const subscriber = createLastFmStreamSubscriber(user, Number(params.get('limit')));
+    const channel = joinLastFmStreamChannel(user);
+
+    const pump = (async () => {
+        try {
+            await subscriber.send(`retry: ${LASTFM_STREAM_RETRY_MS}\n\n`);
+            while (Date.now() - subscriber.startedAt < maxMs) {
+                let snapshot = null;
+                try {
+                    snapshot = await readLastFmStreamSnapshot(channel, user, pollMs, env);
+                } catch (pollError) {
+                    // Keep the stream open; the next poll may well succeed.
+                    console.warn('Last.fm stream poll failed:', pollError);
+                }
+                if (snapshot) await publishLastFmStreamSnapshot(subscriber, snapshot);
 
-        if (score > bestScore) {
-            best = candidate;
-            bestScore = score;
+                // `closed` rejects as soon as the visitor goes away, which ends the loop early.
+                await Promise.race([
+                    new Promise(resolve => setTimeout(resolve, pollMs)),
+                    subscriber.writer.closed,
+                ]);
+            }
+            await subscriber.writer.close();
+        } catch {
+            // The visitor disconnected; there is nobody left to write to.
+        } finally {
+            leaveLastFmStreamChannel(user, channel);
         }
+    })();
+
+    if (typeof ctx?.waitUntil === 'function') {
+        ctx.waitUntil(pump);
     }
 
-    return best || candidates[0];
+    return buildLastFmStreamResponse(subscriber.readable, corsHeaders);
 }
 
-function pickBestTrackMatch(candidates, trackName, artistName) {
-    if (!Array.isArray(candidates) || !candidates.length) return null;
+// Durable Object behind NOWPLAYING_CHANNEL, one instance per user (idFromName). Requests come
+// from handleLastFmStream with params that are already validated. An object may write to any of
+// its own responses, so one loop serves every subscriber.
+export class NowPlayingChannel {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        this.subscribers = new Set();
+        this.snapshot = null;
+        this.loop = null;
+    }
 
-    const targetRaw = normalizeForMatch(trackName);
-    const targetClean = normalizeForMatch(cleanTrackNameForMatch(trackName));
-    const targetArtist = normalizeForMatch(artistName);
-    let best = null;
-    let bestScore = -1;
+    async fetch(request) {
+        const url = new URL(request.url);
+        bindLayeredCache(this.env, url.origin);
 
-    for (const candidate of candidates) {
-        const titleRaw = normalizeForMatch(candidate?.trackTitle);
-        const titleClean = normalizeForMatch(cleanTrackNameForMatch(candidate?.trackTitle));
-        const artists = Array.isArray(candidate?.artists) ? candidate.artists : [];
-        const hasArtistMatch = artists.some(artist => normalizeForMatch(artist?.name) === targetArtist);
+        const subscriber = createLastFmStreamSubscriber(
+            url.searchParams.get('user'),
+            Number(url.searchParams.get('limit')) || LASTFM_STREAM_TRACK_LIMIT
+        );
+        this.subscribers.add(subscriber);
+        subscriber.writer.closed.catch(() => this.subscribers.delete(subscriber));
+
+        subscriber.send(`retry: ${LASTFM_STREAM_RETRY_MS}\n\n`).catch(() => {});
+        // Late joiners get the current state straight away rather than on the next poll.
+        if (this.snapshot) {
+            const snapshot = this.snapshot;
+            this.deliver(subscriber, () => publishLastFmStreamSnapshot(subscriber, snapshot));
+        }
+        if (!this.loop) {
+            this.loop = this.run(subscriber.user).finally(() => {
+                this.loop = null;
+            });
+        }
 
-        let score = 0;
-        if (titleRaw === targetRaw) score += 100;
-        if (titleClean === targetClean) score += 80;
-        if (titleRaw.includes(targetClean) || targetClean.includes(titleRaw)) score += 25;
-        if (titleClean.includes(targetClean) || targetClean.includes(titleClean)) score += 20;
-        if (hasArtistMatch) score += 20;
-        score += Number(candidate?.popularity || 0) / 10;
+        return buildLastFmStreamResponse(subscriber.readable);
+    }
 
-        if (score > bestScore) {
-            best = candidate;
-            bestScore = score;
-        }
+    // Writes are not awaited by the loop, so one slow visitor never holds up the others. A
+    // subscriber still flushing is skipped and catches up from its own last snapshot next round.
+    deliver(subscriber, write) {
+        subscriber.pending = write()
+            .catch(() => this.subscribers.delete(subscriber))
+            .finally(() => {
+                subscriber.pending = null;
+            });
     }
 
-    if (bestScore <= 0 || !best) return null;
-    return { candidate: best, score: bestScore };
-}
+    async run(user) {
+        const { pollMs, maxMs } = getLastFmStreamTiming(this.env);
 
-async function searchReccoArtist(artistName) {
-    const normalized = normalizeForMatch(artistName);
-    if (!normalized) return null;
+        while (this.subscribers.size) {
+            const now = Date.now();
+            for (const subscriber of this.subscribers) {
+                if (now - subscriber.startedAt < maxMs) continue;
+                this.subscribers.delete(subscriber);
+                // abort() also ends a stream whose visitor stopped reading mid-write.
+                (subscriber.pending ? subscriber.writer.abort() : subscriber.writer.close()).catch(() => {});
+            }
+            if (!this.subscribers.size) break;
 
-    const data = await fetchReccoJson(
-        '/v1/artist/search',
-        { searchText: artistName, size: 15 },
-        buildCachePath(normalized, 'search'),
-        METADATA_CACHE_TTL_SECONDS
-    );
+            try {
+                this.snapshot = await pollLastFmStream(user, this.env);
+            } catch (pollError) {
+                console.warn('Last.fm stream poll failed:', pollError);
+            }
+            const snapshot = this.snapshot;
+            for (const subscriber of this.subscribers) {
+                if (snapshot && !subscriber.pending) {
+                    this.deliver(subscriber, () => publishLastFmStreamSnapshot(subscriber, snapshot));
+                }
+            }
 
-    return pickBestArtistMatch(data?.content, artistName);
+            await new Promise(resolve => setTimeout(resolve, pollMs));
+        }
+        // Nobody is listening; the next subscriber starts from a fresh poll.
+        this.snapshot = null;
+    }
 }
 
-async function getReccoArtistTracks(artistId, size = 50, page = 0) {
-    if (!artistId) return [];
-    const data = await fetchReccoJson(
-        `/v1/artist/${artistId}/track`,
-        { size, page },
-        buildCachePath(artistId, 'tracks', size, page),
-        METADATA_CACHE_TTL_SECONDS
-    );
-    return Array.isArray(data?.content) ? data.content : [];
+// ==========================================
+// RECAPS
+// ==========================================
+// Weekly (ISO weeks from Monday 00:00 UTC) and monthly (UTC calendar months) recaps. A period's
+// charts come from the weekly chart methods with an explicit from/to range, are compared with
+// the previous period and narrated by the `recap` persona. Only finished periods can be
+// recapped, so a stored recap never changes; recaps without a narrative are served but not stored.
+const RECAP_PERIODS = ['week', 'month'];
+const RECAP_WEEK_ID_PATTERN = /^(\d{4})-W(\d{2})$/;
+const RECAP_MONTH_ID_PATTERN = /^(\d{4})-(\d{2})$/;
+const RECAP_CHART_METHODS = {
+    artists: 'user.getweeklyartistchart',
+    tracks: 'user.getweeklytrackchart',
+    albums: 'user.getweeklyalbumchart',
+};
+const RECAP_PROMPT_TEMPLATE = 'recap';
+const RECAP_MAX_TOKENS = 220;
+const RECAP_LIST_LIMIT = 5;
+// Weekly charts carry no durations: the most played tracks are looked up with track.getInfo and
+// the rest are assumed to be as long as those, or RECAP_DEFAULT_TRACK_SECONDS when none are known.
+const RECAP_DURATION_LOOKUPS = 25;
+const RECAP_DURATION_CONCURRENCY = 5;
+const RECAP_DEFAULT_TRACK_SECONDS = 210;
+const RECAP_ARCHIVE_LIMIT = 52;
+const MS_PER_DAY = SECONDS_PER_DAY * 1000;
+const recapInFlight = new Map();
+
+function getIsoWeekStart(year, week) {
+    const jan4 = Date.UTC(year, 0, 4);
+    const jan4Weekday = (new Date(jan4).getUTCDay() + 6) % 7;
+    return jan4 - jan4Weekday * MS_PER_DAY + (week - 1) * 7 * MS_PER_DAY;
 }
 
-async function getReccoTrackAlbumInfo(reccoTrackId) {
-    if (!reccoTrackId) return { year: 'unknown', albumName: null };
-
-    const data = await fetchReccoJson(
-        `/v1/track/${reccoTrackId}/album`,
-        { size: 5 },
-        buildCachePath(reccoTrackId, 'album'),
-        METADATA_CACHE_TTL_SECONDS
-    );
-    const albums = Array.isArray(data?.content) ? data.content : [];
-
-    const withYear = albums
-        .map(album => ({
-            name: album?.title || null,
-            year: Number(String(album?.releaseDate || '').slice(0, 4)),
-        }))
-        .filter(a => Number.isFinite(a.year) && a.year > 1800);
-
-    if (!withYear.length) return { year: 'unknown', albumName: null };
-
-    const earliest = withYear.reduce((a, b) => a.year <= b.year ? a : b);
-    return { year: String(earliest.year), albumName: earliest.name };
+// ISO weeks belong to the year their Thursday falls in.
+function formatIsoWeekId(weekStartMs) {
+    const thursday = new Date(weekStartMs + 3 * MS_PER_DAY);
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / MS_PER_DAY / 7) + 1;
+    return `${year}-W${String(week).padStart(2, '0')}`;
 }
 
-async function getReccoTrackBySpotifyId(spotifyId) {
-    if (!spotifyId) return null;
-    const data = await fetchReccoJson(
-        '/v1/track',
-        { ids: spotifyId },
-        buildCachePath('track', spotifyId),
-        METADATA_CACHE_TTL_SECONDS
-    );
-    const content = Array.isArray(data?.content) ? data.content : [];
-    return content[0] || null;
+function formatMonthId(monthStartMs) {
+    const date = new Date(monthStartMs);
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
 }
 
-async function findReccoTrackByNameAndArtist(trackName, artistName, options = {}) {
-    const includeAlbumInfo = options.includeAlbumInfo !== false;
-    const artist = await searchReccoArtist(artistName);
-    if (!artist?.id) return null;
+// Returns { period, id, label, from, to } with from/to in Unix seconds (`to` exclusive), or null
+// for an id that doesn't name a real week or month.
+function resolveRecapRange(period, id) {
+    const value = String(id || '');
+    if (period === 'week') {
+        const match = RECAP_WEEK_ID_PATTERN.exec(value);
+        if (!match) return null;
+        const start = getIsoWeekStart(Number(match[1]), Number(match[2]));
+        if (formatIsoWeekId(start) !== value) return null;
+
+        const end = start + 7 * MS_PER_DAY;
+        const day = ms => new Date(ms).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' });
+        const label = `${day(start)} – ${day(end - MS_PER_DAY)}, ${new Date(end - MS_PER_DAY).getUTCFullYear()}`;
+        return { period, id: value, label, from: start / 1000, to: end / 1000 };
+    }
 
-    const pageSize = 50;
-    const maxPages = 3;
-    let allCandidates = [];
-    let bestTrack = null;
-    let bestScore = -1;
+    const match = RECAP_MONTH_ID_PATTERN.exec(value);
+    const month = Number(match?.[2]);
+    if (!match || month < 1 || month > 12) return null;
 
-    for (let page = 0; page < maxPages; page += 1) {
-        const artistTracks = await getReccoArtistTracks(artist.id, pageSize, page);
-        if (!artistTracks.length) break;
+    const start = Date.UTC(Number(match[1]), month - 1, 1);
+    const end = Date.UTC(Number(match[1]), month, 1);
+    const label = new Date(start).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'long', year: 'numeric' });
+    return { period, id: value, label, from: start / 1000, to: end / 1000 };
+}
 
-        allCandidates = allCandidates.concat(artistTracks);
-        const bestResult = pickBestTrackMatch(allCandidates, trackName, artistName);
-        bestTrack = bestResult?.candidate || null;
-        bestScore = bestResult?.score ?? -1;
+function getPreviousRecapRange(range) {
+    if (range.period === 'week') {
+        return resolveRecapRange('week', formatIsoWeekId(range.from * 1000 - 7 * MS_PER_DAY));
+    }
+    const start = new Date(range.from * 1000);
+    return resolveRecapRange('month', formatMonthId(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - 1, 1)));
+}
 
-        // Exact-ish match reached (title + clean title + artist signals), no need to fetch more pages.
-        if (bestScore >= 100) break;
+// The most recent period that has fully ended.
+function getLatestRecapId(period, now = Date.now()) {
+    const today = Math.floor(now / MS_PER_DAY) * MS_PER_DAY;
+    if (period === 'week') {
+        const weekday = (new Date(today).getUTCDay() + 6) % 7;
+        return formatIsoWeekId(today - (weekday + 7) * MS_PER_DAY);
     }
+    const date = new Date(today);
+    return formatMonthId(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1));
+}
 
-    if (!bestTrack) return null;
+// Shared by the JSON and image routes: returns { user, range } or { error, status }.
+function parseRecapRequest(url, env) {
+    const user = resolveLastFmUser(url.searchParams.get('user'), env);
+    if (!user) return { error: 'User not allowed', status: 403 };
 
-    const spotifyId = extractSpotifyIdFromUrl(bestTrack.href) || null;
+    const period = url.searchParams.get('period') || 'week';
+    if (!RECAP_PERIODS.includes(period)) {
+        return { error: `Invalid period: expected one of ${RECAP_PERIODS.join(', ')}`, status: 400 };
+    }
 
-    let year = 'unknown';
-    let albumName = null;
-    if (includeAlbumInfo) {
-        const albumInfo = await getReccoTrackAlbumInfo(bestTrack.id);
-        year = albumInfo.year;
-        albumName = albumInfo.albumName;
+    const range = resolveRecapRange(period, url.searchParams.get('id') || getLatestRecapId(period));
+    if (!range) {
+        return { error: `Invalid id: expected ${period === 'week' ? 'YYYY-Www' : 'YYYY-MM'}`, status: 400 };
+    }
+    if (range.to * 1000 > Date.now()) {
+        return { error: 'Recaps are only available for finished periods', status: 400 };
     }
-    const artistSpotifyUrl = artist.href || bestTrack.artists?.[0]?.href || null;
 
-    return {
-        spotifyId,
-        reccoTrackId: bestTrack.id,
-        year,
-        albumName,
-        trackHref: bestTrack.href || null,
-        artistHref: artistSpotifyUrl,
-        trackTitle: bestTrack.trackTitle || trackName,
-        artistTitle: artist.name || artistName,
-    };
+    return { user, range };
 }
 
-async function resolveTrackIds(tracks, concurrency = 5) {
-    if (!Array.isArray(tracks) || !tracks.length) return [];
-
-    const results = new Array(tracks.length);
-    let cursor = 0;
-    const workerCount = Math.min(concurrency, tracks.length);
-
-    async function runWorker() {
-        while (true) {
-            const index = cursor;
-            cursor += 1;
-            if (index >= tracks.length) break;
-
-            const track = tracks[index];
-            results[index] = await searchTrackId(track.name, track.artist, track.spotifyUrl);
-        }
-    }
+async function loadRecapCharts(username, range, env) {
+    const params = new URLSearchParams({ user: username, from: String(range.from), to: String(range.to) });
+    const results = await Promise.all(
+        Object.values(RECAP_CHART_METHODS).map(method => callLastFm(method, params, env))
+    );
 
-    await Promise.all(Array.from({ length: workerCount }, () => runWorker()));
-    return results;
+    const charts = {};
+    Object.entries(RECAP_CHART_METHODS).forEach(([key, method], index) => {
+        const { data } = results[index];
+        if (!data || data.error) {
+            throw new Error(`Last.fm ${method} failed: ${data?.message || 'no data'}`);
+        }
+        charts[key] = LASTFM_METHODS[method].normalize(data, params).items
+            .map((item, itemIndex) => ({ ...item, rank: item.rank ?? itemIndex + 1 }));
+    });
+    return charts;
 }
 
-async function searchTrackId(trackName, artistName, spotifyUrl = null) {
-    try {
-        const spotifyIdFromInput = extractSpotifyIdFromUrl(spotifyUrl);
-        if (spotifyIdFromInput) {
-            const reccoTrack = await getReccoTrackBySpotifyId(spotifyIdFromInput);
-            if (reccoTrack?.id) {
-                const { year } = await getReccoTrackAlbumInfo(reccoTrack.id);
-                return {
-                    id: spotifyIdFromInput,
-                    year,
-                    reccoId: reccoTrack.id,
-                    href: reccoTrack.href || spotifyUrl,
-                };
+async function estimateListeningMinutes(tracks, env) {
+    const durations = await mapWithConcurrency(
+        tracks.slice(0, RECAP_DURATION_LOOKUPS),
+        RECAP_DURATION_CONCURRENCY,
+        async (track) => {
+            try {
+                const { data } = await callLastFm('track.getinfo', new URLSearchParams({
+                    track: track.name || '',
+                    artist: track.artist || '',
+                }), env);
+                const milliseconds = Number(data?.track?.duration);
+                return milliseconds > 0 ? milliseconds / 1000 : null;
+            } catch (error) {
+                console.warn(`Duration lookup failed for ${track.name}`, error);
+                return null;
             }
         }
+    );
 
-        const track = await findReccoTrackByNameAndArtist(trackName, artistName);
-        if (!track) return null;
-
-        return {
-            id: track.spotifyId,
-            year: track.year,
-            reccoId: track.reccoTrackId,
-            href: track.trackHref,
-        };
-    } catch (error) {
-        console.error('Track search error:', error);
-        return null;
-    }
+    const known = durations.filter(Boolean);
+    const fallback = known.length
+        ? known.reduce((sum, seconds) => sum + seconds, 0) / known.length
+        : RECAP_DEFAULT_TRACK_SECONDS;
+    const seconds = tracks.reduce((sum, track, index) => sum + track.playcount * (durations[index] || fallback), 0);
+    return Math.round(seconds / 60);
 }
 
-async function getAudioFeatures(trackIds) {
-    const uniqueIds = [...new Set(trackIds.filter(Boolean))].slice(0, 100);
-    if (!uniqueIds.length) return [];
-    return await getReccoBeatsAudioFeatures(uniqueIds);
+function summarizeRecapTotals(charts, minutes) {
+    return {
+        scrobbles: charts.tracks.reduce((sum, track) => sum + track.playcount, 0),
+        minutes,
+        artists: charts.artists.length,
+        tracks: charts.tracks.length,
+        albums: charts.albums.length,
+    };
 }
 
-async function getReccoBeatsAudioFeatures(trackIds) {
-    const ids = trackIds.slice(0, 100).join(',');
-    if (!ids) return [];
+function toRecapListItem(item) {
+    return item.artist
+        ? { rank: item.rank, name: item.name, artist: item.artist, playcount: item.playcount }
+        : { rank: item.rank, name: item.name, playcount: item.playcount };
+}
 
-    const data = await fetchReccoJson(
-        '/v1/audio-features',
-        { ids },
-        buildCachePath('audio-features', ids),
-        METADATA_CACHE_TTL_SECONDS
-    );
-    const content = Array.isArray(data?.content) ? data.content : [];
-    return content
+// Entries that gained the most places since the previous period; newcomers are reported separately.
+function findRecapClimbers(current, previous, keyOf) {
+    const previousByKey = new Map(previous.map(item => [keyOf(item), item]));
+    return current
         .map(item => {
-            const spotifyId = extractSpotifyIdFromUrl(item?.href);
-            if (!spotifyId) return null;
-
-            return {
-                id: spotifyId,
-                danceability: item?.danceability ?? null,
-                energy: item?.energy ?? null,
-                valence: item?.valence ?? null,
-                acousticness: item?.acousticness ?? null,
-                tempo: item?.tempo ?? null,
-            };
+            const before = previousByKey.get(keyOf(item));
+            return before ? { ...toRecapListItem(item), previousRank: before.rank, climb: before.rank - item.rank } : null;
         })
-        .filter(Boolean);
+        .filter(item => item && item.climb > 0)
+        .sort((a, b) => b.climb - a.climb || a.rank - b.rank)
+        .slice(0, RECAP_LIST_LIMIT);
 }
 
-function classifyMood(features) {
-    if (!features.length) {
-        return { label: 'unknown', description: 'mixed vibes' };
-    }
+function percentChange(current, previous) {
+    return previous > 0 ? Math.round(((current - previous) / previous) * 100) : null;
+}
 
-    const avg = (key) => features.reduce((sum, item) => sum + (item[key] ?? 0), 0) / features.length;
-    const valence = avg('valence');
-    const energy = avg('energy');
-    const danceability = avg('danceability');
-    const acousticness = avg('acousticness');
+function formatRecapList(items, describe) {
+    return items.length ? items.map(describe).join('\n') : 'none';
+}
 
-    if (valence < 0.35 && energy < 0.5) {
-        return { label: 'melancholic-calm', description: 'sad and slow' };
-    }
-    if (valence < 0.35 && energy >= 0.5) {
-        return { label: 'melancholic-intense', description: 'sad but intense' };
-    }
-    if (energy > 0.75 && danceability > 0.7) {
-        return { label: 'high-energy-dance', description: 'dance floor vibes' };
+async function generateRecapNarrative(recap, displayName, env) {
+    if (!getLlmProviders(env).length) return null;
+    const template = await getPromptTemplate(RECAP_PROMPT_TEMPLATE, env, 'recap');
+    if (!template) return null;
+
+    const { totals, changes } = recap;
+    const minutesChange = changes.minutesPercent == null ? 'no previous data' : `${changes.minutesPercent >= 0 ? '+' : ''}${changes.minutesPercent}% vs previous ${recap.period}`;
+    const variables = {
+        ...template.variables,
+        subject: displayName,
+        period: recap.label,
+        periodType: recap.period,
+        totals: `${totals.scrobbles} scrobbles, about ${totals.minutes} minutes (${minutesChange}), ${totals.artists} artists`,
+        topArtists: formatRecapList(recap.topArtists, item => `${item.rank}. ${item.name} (${item.playcount} plays)`),
+        topTracks: formatRecapList(recap.topTracks, item => `${item.rank}. ${item.name} - ${item.artist} (${item.playcount} plays)`),
+        newArtists: recap.newArtists.map(item => item.name).join(', ') || 'none',
+        climbers: recap.climbers.artists.map(item => `${item.name} (#${item.previousRank} → #${item.rank})`).join(', ') || 'none',
+    };
+    const messages = [
+        { role: 'system', content: renderPromptTemplate(template.system, variables) },
+        { role: 'user', content: renderPromptTemplate(template.user, variables) },
+    ];
+
+    for (let attempt = 0; attempt < SUMMARY_GENERATION_RETRIES; attempt += 1) {
+        const llmResult = await callLlmStream(messages, env, { max_tokens: RECAP_MAX_TOKENS });
+        if (!llmResult.response) continue;
+
+        const narrative = await readSummaryFromLlmStream(llmResult.response, template.validation);
+        if (isValidSummaryOutput(narrative, template.validation)) {
+            return { narrative, model: llmResult.model };
+        }
     }
-    if (energy > 0.7 && acousticness < 0.3) {
-        return { label: 'rock-aggressive', description: 'rock and punchy' };
+    return null;
+}
+
+async function buildRecap(user, range, env) {
+    const previousRange = getPreviousRecapRange(range);
+    const [charts, previousCharts] = await Promise.all([
+        loadRecapCharts(user.username, range, env),
+        loadRecapCharts(user.username, previousRange, env),
+    ]);
+    const storedPrevious = await readCachedJson(buildCachePath('recap', user.username, previousRange.period, previousRange.id));
+    const [minutes, previousMinutes] = await Promise.all([
+        estimateListeningMinutes(charts.tracks, env),
+        storedPrevious?.totals?.minutes ?? estimateListeningMinutes(previousCharts.tracks, env),
+    ]);
+
+    const totals = summarizeRecapTotals(charts, minutes);
+    const previousTotals = summarizeRecapTotals(previousCharts, previousMinutes);
+    const artistKey = item => normalizeForMatch(item.name);
+    const trackKey = item => `${normalizeForMatch(item.name)}|${normalizeForMatch(item.artist)}`;
+    const previousArtists = new Set(previousCharts.artists.map(artistKey));
+
+    const recap = {
+        user: user.username,
+        period: range.period,
+        id: range.id,
+        label: range.label,
+        from: new Date(range.from * 1000).toISOString(),
+        to: new Date(range.to * 1000).toISOString(),
+        previous: { id: previousRange.id, label: previousRange.label },
+        totals,
+        previousTotals,
+        changes: {
+            scrobbles: totals.scrobbles - previousTotals.scrobbles,
+            minutes: totals.minutes - previousTotals.minutes,
+            minutesPercent: percentChange(totals.minutes, previousTotals.minutes),
+        },
+        topArtists: charts.artists.slice(0, RECAP_LIST_LIMIT).map(toRecapListItem),
+        topTracks: charts.tracks.slice(0, RECAP_LIST_LIMIT).map(toRecapListItem),
+        topAlbums: charts.albums.slice(0, RECAP_LIST_LIMIT).map(toRecapListItem),
+        newArtists: charts.artists
+            .filter(item => !previousArtists.has(artistKey(item)))
+            .slice(0, RECAP_LIST_LIMIT)
+            .map(toRecapListItem),
+        climbers: {
+            artists: findRecapClimbers(charts.artists, previousCharts.artists, artistKey),
+            tracks: findRecapClimbers(charts.tracks, previousCharts.tracks, trackKey),
+        },
+        narrative: null,
+        model: null,
+        generatedAt: new Date().toISOString(),
+    };
+
+    // An empty period has nothing to narrate; it is still a complete (storable) recap.
+    if (totals.scrobbles > 0) {
+        const generated = await generateRecapNarrative(recap, user.displayName, env);
+        recap.narrative = generated?.narrative ?? null;
+        recap.model = generated?.model ?? null;
     }
-    if (acousticness > 0.6) {
-        return { label: 'acoustic-chill', description: 'mellow and organic' };
+    return recap;
+}
+
+// Returns { recap, cacheStatus }. Concurrent requests for one recap in this isolate share a build.
+async function loadRecap(user, range, env) {
+    const cachePath = buildCachePath('recap', user.username, range.period, range.id);
+    const cached = await readCachedJson(cachePath);
+    if (cached) return { recap: cached, cacheStatus: 'HIT' };
+
+    if (recapInFlight.has(cachePath)) return await recapInFlight.get(cachePath);
+
+    const pending = (async () => {
+        const recap = await buildRecap(user, range, env);
+        if (recap.narrative || recap.totals.scrobbles === 0) {
+            await writeCachedJson(cachePath, recap);
+        }
+        return { recap, cacheStatus: 'MISS' };
+    })();
+    recapInFlight.set(cachePath, pending);
+    try {
+        return await pending;
+    } finally {
+        recapInFlight.delete(cachePath);
     }
-    if (valence > 0.7) {
-        return { label: 'upbeat-happy', description: 'cheerful and bright' };
+}
+
+function escapeMarkup(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+    })[char]);
+}
+
+// Greedy word wrap for SVG text, which has no line breaking of its own.
+function wrapRecapText(text, maxChars, maxLines) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+        if (line && `${line} ${word}`.length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
     }
+    if (line) lines.push(line);
+    if (lines.length <= maxLines) return lines;
 
-    return { label: 'eclectic', description: 'genre-spanning' };
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].replace(/[\s.,;:!?]*$/, '')}…`;
+    return kept;
 }
 
-function extractSpotifyIdFromUrl(url) {
-    if (!url || typeof url !== 'string') return null;
+function formatRecapChange(change, unit) {
+    if (change == null) return '';
+    return `${change >= 0 ? '+' : '−'}${Math.abs(change).toLocaleString('en-US')}${unit}`;
+}
 
-    const trimmed = url.trim();
-    const uriMatch = trimmed.match(/^spotify:track:([a-zA-Z0-9]+)$/i);
-    if (uriMatch?.[1]) return uriMatch[1];
+function buildRecapUrls(requestUrl, recap) {
+    const params = new URLSearchParams({ user: recap.user, period: recap.period, id: recap.id });
+    return {
+        json: `${requestUrl.origin}/v1/recap?${params}`,
+        image: `${requestUrl.origin}/v1/recap/image?${params}`,
+    };
+}
 
-    const webMatch = trimmed.match(/open\.spotify\.com\/(?:intl-[^/]+\/)?track\/([a-zA-Z0-9]+)/i);
-    if (webMatch?.[1]) return webMatch[1];
+// A 1200×630 card to download or embed. Social unfurlers don't render SVG, so the archive page
+// doesn't advertise it as an og:image.
+function renderRecapSvg(recap, displayName) {
+    const stats = [
+        { value: recap.totals.scrobbles.toLocaleString('en-US'), label: 'scrobbles' },
+        { value: recap.totals.minutes.toLocaleString('en-US'), label: `minutes ${formatRecapChange(recap.changes.minutesPercent, '%')}`.trim() },
+        { value: String(recap.newArtists.length), label: 'new artists' },
+    ];
+    const statsMarkup = stats.map((stat, index) => `
+    <text x="${72 + index * 230}" y="290" font-size="64" font-weight="700" fill="#ffffff">${escapeMarkup(stat.value)}</text>
+    <text x="${72 + index * 230}" y="326" font-size="22" fill="#9ca3af">${escapeMarkup(stat.label)}</text>`).join('');
+    const artistsMarkup = recap.topArtists.map((artist, index) => `
+    <text x="800" y="${250 + index * 46}" font-size="26" fill="#e5e7eb"><tspan fill="#f59e0b" font-weight="700">${artist.rank}</tspan>  ${escapeMarkup(wrapRecapText(artist.name, 22, 1)[0])}</text>`).join('');
+    const narrativeMarkup = wrapRecapText(recap.narrative || 'no narrative this time, just the numbers.', 64, 4)
+        .map((line, index) => `
+    <text x="72" y="${430 + index * 38}" font-size="28" fill="#d1d5db">${escapeMarkup(line)}</text>`).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630" font-family="Inter, 'Helvetica Neue', Arial, sans-serif">
+    <defs>
+        <radialGradient id="glow-a" cx="15%" cy="0%" r="70%"><stop offset="0" stop-color="#f59e0b" stop-opacity="0.35"/><stop offset="1" stop-color="#f59e0b" stop-opacity="0"/></radialGradient>
+        <radialGradient id="glow-b" cx="90%" cy="100%" r="70%"><stop offset="0" stop-color="#06b6d4" stop-opacity="0.3"/><stop offset="1" stop-color="#06b6d4" stop-opacity="0"/></radialGradient>
+    </defs>
+    <rect width="1200" height="630" fill="#0b0f19"/>
+    <rect width="1200" height="630" fill="url(#glow-a)"/>
+    <rect width="1200" height="630" fill="url(#glow-b)"/>
+    <text x="72" y="100" font-size="24" font-weight="600" letter-spacing="3" fill="#f59e0b">${escapeMarkup(`${displayName}'s ${recap.period}ly recap`.toUpperCase())}</text>
+    <text x="72" y="170" font-size="52" font-weight="700" fill="#ffffff">${escapeMarkup(recap.label)}</text>${statsMarkup}
+    <text x="800" y="200" font-size="20" font-weight="600" letter-spacing="2" fill="#9ca3af">TOP ARTISTS</text>${artistsMarkup}${narrativeMarkup}
+</svg>
+`;
+}
 
-    return null;
+function renderRecapArchiveHtml(recaps, displayName, requestUrl) {
+    const articles = recaps.map(recap => {
+        const urls = buildRecapUrls(requestUrl, recap);
+        const minutesChange = formatRecapChange(recap.changes.minutesPercent, '%');
+        const list = (items, describe) => items.length
+            ? `<ol>${items.map(item => `<li>${escapeMarkup(describe(item))}</li>`).join('')}</ol>`
+            : '<p class="muted">none</p>';
+        return `
+        <article id="${escapeMarkup(`${recap.period}-${recap.id}`)}">
+            <h2>${escapeMarkup(recap.label)} <span class="badge">${escapeMarkup(recap.period)}</span></h2>
+            ${recap.narrative ? `<p class="narrative">${escapeMarkup(recap.narrative)}</p>` : ''}
+            <p class="muted">${recap.totals.scrobbles.toLocaleString('en-US')} scrobbles · ~${recap.totals.minutes.toLocaleString('en-US')} minutes${minutesChange ? ` (${escapeMarkup(minutesChange)} vs ${escapeMarkup(recap.previous.label)})` : ''}</p>
+            <div class="columns">
+                <section><h3>Top artists</h3>${list(recap.topArtists, item => `${item.name} · ${item.playcount}`)}</section>
+                <section><h3>New artists</h3>${list(recap.newArtists, item => `${item.name} · ${item.playcount}`)}</section>
+                <section><h3>Climbers</h3>${list(recap.climbers.artists, item => `${item.name} · #${item.previousRank} → #${item.rank}`)}</section>
+            </div>
+            <p class="links"><a href="${escapeMarkup(urls.image)}" download>Download card (SVG)</a> · <a href="${escapeMarkup(urls.json)}">JSON</a></p>
+        </article>`;
+    }).join('');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeMarkup(displayName)}'s listening recaps</title>
+    <style>
+        body { margin: 0; padding: 3rem 1.25rem; background: #0b0f19; color: #e5e7eb; font: 16px/1.6 Inter, 'Helvetica Neue', Arial, sans-serif; }
+        main { max-width: 860px; margin: 0 auto; }
+        h1 { font-size: 1.1rem; letter-spacing: 2px; text-transform: uppercase; color: #f59e0b; }
+        article { margin: 1.5rem 0; padding: 1.5rem; border: 1px solid rgba(245, 158, 11, 0.25); border-radius: 20px; background: rgba(255, 255, 255, 0.03); }
+        h2 { margin: 0 0 0.5rem; font-size: 1.4rem; color: #fff; }
+        h3 { margin: 0 0 0.25rem; font-size: 0.75rem; letter-spacing: 1px; text-transform: uppercase; color: #9ca3af; }
+        .badge { font-size: 0.65rem; letter-spacing: 1px; text-transform: uppercase; padding: 2px 8px; border-radius: 999px; border: 1px solid rgba(6, 182, 212, 0.4); color: #06b6d4; vertical-align: middle; }
+        .narrative { font-size: 1.05rem; color: #f3f4f6; }
+        .muted { color: #9ca3af; font-size: 0.9rem; }
+        .columns { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; }
+        ol { margin: 0; padding-left: 1.25rem; font-size: 0.9rem; }
+        a { color: #06b6d4; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>${escapeMarkup(displayName)}'s listening recaps</h1>
+        ${articles || '<p class="muted">No recaps yet.</p>'}
+    </main>
+</body>
+</html>
+`;
 }
 
-// ==========================================
-// LAST.FM HANDLER
-// ==========================================
-async function handleLastFm(url, env, corsHeaders) {
+async function handleRecap(url, env, corsHeaders) {
     if (!env.LASTFM_API_KEY) {
         return new Response(
             JSON.stringify({ error: 'Configuration Error: LASTFM_API_KEY is missing' }),
@@ -919,57 +4244,88 @@ async function handleLastFm(url, env, corsHeaders) {
         );
     }
 
-    const user = url.searchParams.get('user');
-    const method = url.searchParams.get('method') || 'user.getrecenttracks';
-    const limit = url.searchParams.get('limit') || '10';
-
-    if (!user) {
-        return new Response(
-            JSON.stringify({ error: 'Missing user parameter' }),
-            { status: 400, headers: corsHeaders }
-        );
+    const { user, range, error, status } = parseRecapRequest(url, env);
+    if (error) {
+        return new Response(JSON.stringify({ error }), { status, headers: corsHeaders });
     }
 
-    const lastfmUrl = `https://ws.audioscrobbler.com/2.0/?method=${method}&user=${encodeURIComponent(user)}&api_key=${env.LASTFM_API_KEY}&format=json&limit=${limit}`;
-    const cacheTtl = method === 'user.getrecenttracks'
-        ? LASTFM_NOWPLAYING_CACHE_TTL_SECONDS
-        : LASTFM_DEFAULT_CACHE_TTL_SECONDS;
-
     try {
-        const data = await getCachedJson(
-            buildCachePath('lastfm', method, user, limit),
-            cacheTtl,
-            async () => {
-                const response = await fetch(lastfmUrl);
-                if (!response.ok) {
-                    throw new Error(`Last.fm request failed: ${response.status}`);
-                }
-                return await response.json();
+        const { recap, cacheStatus } = await loadRecap(user, range, env);
+        return new Response(JSON.stringify(recap), {
+            headers: {
+                ...corsHeaders,
+                'Cache-Control': recap.narrative ? 'public, max-age=86400' : 'no-store',
+                'X-Cache': cacheStatus,
             }
+        });
+    } catch (loadError) {
+        console.error('Recap build failed:', loadError);
+        return lastFmUnavailable(corsHeaders);
+    }
+}
+
+async function handleRecapImage(url, env, corsHeaders) {
+    if (!env.LASTFM_API_KEY) {
+        return new Response(
+            JSON.stringify({ error: 'Configuration Error: LASTFM_API_KEY is missing' }),
+            { status: 503, headers: corsHeaders }
         );
+    }
 
-        // Check if Last.fm returned an error in the JSON
-        if (data.error) {
-            console.error('Last.fm API internal error:', data);
-            return new Response(JSON.stringify(data), {
-                status: 200, // Still return 200 so frontend can parse the error message
-                headers: corsHeaders
-            });
-        }
+    const { user, range, error, status } = parseRecapRequest(url, env);
+    if (error) {
+        return new Response(JSON.stringify({ error }), { status, headers: corsHeaders });
+    }
 
-        return new Response(JSON.stringify(data), {
+    try {
+        const { recap } = await loadRecap(user, range, env);
+        return new Response(renderRecapSvg(recap, user.displayName), {
             headers: {
                 ...corsHeaders,
-                'Cache-Control': `public, max-age=${cacheTtl}, stale-while-revalidate=30`,
+                'Content-Type': 'image/svg+xml; charset=utf-8',
+                'Cache-Control': recap.narrative ? 'public, max-age=86400' : 'no-store',
             }
         });
-    } catch (error) {
-        console.error('Last.fm fetch error:', error);
+    } catch (loadError) {
+        console.error('Recap image failed:', loadError);
+        return lastFmUnavailable(corsHeaders);
+    }
+}
+
+// Lists stored recaps only; it never triggers a build.
+async function handleRecapArchive(url, env, corsHeaders) {
+    const user = resolveLastFmUser(url.searchParams.get('user'), env);
+    if (!user) {
+        return new Response(JSON.stringify({ error: 'User not allowed' }), { status: 403, headers: corsHeaders });
+    }
+    const period = url.searchParams.get('period');
+    if (period && !RECAP_PERIODS.includes(period)) {
         return new Response(
-            JSON.stringify({ error: 'Failed to fetch from Last.fm' }),
-            { status: 502, headers: corsHeaders }
+            JSON.stringify({ error: `Invalid period: expected one of ${RECAP_PERIODS.join(', ')}` }),
+            { status: 400, headers: corsHeaders }
         );
     }
+
+    // Keys are `<user>/<period>/<id>`, so the listing can be ordered and trimmed from the ids
+    // alone and only the recaps on the page are read.
+    const prefix = `${period ? buildCachePath(user.username, period) : buildCachePath(user.username)}/`;
+    const entries = (await listCachedJson('recap', CACHE_LIST_SCAN_LIMIT, prefix))
+        .map(entry => {
+            const [, entryPeriod, id] = entry.key.split('/').map(decodeURIComponent);
+            return { ...entry, range: RECAP_PERIODS.includes(entryPeriod) ? resolveRecapRange(entryPeriod, id) : null };
+        })
+        .filter(entry => entry.range)
+        .sort((a, b) => b.range.from - a.range.from || a.range.period.localeCompare(b.range.period))
+        .slice(0, RECAP_ARCHIVE_LIMIT);
+    const recaps = (await Promise.all(entries.map(entry => readCachedJson(entry.path)))).filter(Boolean);
+
+    return new Response(renderRecapArchiveHtml(recaps, user.displayName, url), {
+        headers: {
+            ...corsHeaders,
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'public, max-age=600',
+        }
+    });
 }
 
 // ==========================================
@@ -986,27 +4342,202 @@ async function handleSpotify(url, env, corsHeaders) {
         );
     }
 
-    const result = await getCachedJson(
+    const { result, degraded } = await getCachedMetadataLookup(
         buildCachePath('spotify-proxy', artist || 'none', track || 'none'),
-        180,
-        async () => {
-            if (track && artist) {
-                return await searchTrack(track, artist);
-            }
-            return await searchArtist(artist);
-        }
+        () => track && artist ? searchTrack(track, artist) : searchArtist(artist)
     );
 
     return new Response(JSON.stringify(result || { albumImage: null, artistImage: null }), {
         headers: {
             ...corsHeaders,
-            'Cache-Control': 'public, max-age=180, stale-while-revalidate=120',
+            'Cache-Control': degraded
+                ? 'no-store'
+                : `public, max-age=${SPOTIFY_PROXY_CACHE_TTL_SECONDS}, stale-while-revalidate=120`,
+        }
+    });
+}
+
+// Degraded lookups (an upstream was failing) are answered but never cached.
+async function getCachedMetadataLookup(cachePath, lookup) {
+    let degraded = null;
+    const result = await getCachedJson(cachePath, SPOTIFY_PROXY_CACHE_TTL_SECONDS, async () => {
+        const value = await lookup();
+        if (value?.degraded) {
+            degraded = value;
+            return null;
+        }
+        return value;
+    });
+    return { result: result || degraded, degraded: Boolean(degraded) };
+}
+
+const METADATA_BATCH_MAX_TRACKS = 50;
+const METADATA_BATCH_CONCURRENCY = 5;
+
+async function handleMetadataBatch(request, corsHeaders) {
+    let payload;
+    try {
+        payload = await request.json();
+    } catch (error) {
+        return new Response(
+            JSON.stringify({ error: 'Invalid JSON body' }),
+            { status: 400, headers: corsHeaders }
+        );
+    }
+
+    const rawTracks = Array.isArray(payload?.tracks) ? payload.tracks : [];
+    if (!rawTracks.length) {
+        return new Response(
+            JSON.stringify({ error: 'Missing tracks payload' }),
+            { status: 400, headers: corsHeaders }
+        );
+    }
+    if (rawTracks.length > METADATA_BATCH_MAX_TRACKS) {
+        return new Response(
+            JSON.stringify({ error: `At most ${METADATA_BATCH_MAX_TRACKS} tracks per batch` }),
+            { status: 400, headers: corsHeaders }
+        );
+    }
+
+    let degradedCount = 0;
+    const results = await mapWithConcurrency(rawTracks, METADATA_BATCH_CONCURRENCY, async (rawTrack) => {
+        const name = String(rawTrack?.name || '').trim();
+        const artist = String(rawTrack?.artist || '').trim();
+        if (!name || !artist) {
+            return { name, artist, error: 'Missing name or artist' };
+        }
+
+        const spotifyUrl = String(rawTrack?.spotifyUrl || '').trim() || null;
+        const { result, degraded } = await getCachedMetadataLookup(
+            buildCachePath('spotify-proxy', 'batch', artist, name, extractSpotifyIdFromUrl(spotifyUrl) || 'none'),
+            () => searchTrack(name, artist, { includeAlbumInfo: true, spotifyUrl })
+        );
+        if (degraded) degradedCount += 1;
+
+        return {
+            name,
+            artist,
+            albumImage: result?.albumImage || null,
+            artistImage: result?.artistImage || null,
+            spotifyUrl: result?.spotifyUrl || null,
+            year: result?.year ?? null,
+            albumName: result?.albumName || null,
+            matchConfidence: result?.matchConfidence ?? null,
+        };
+    });
+
+    return new Response(JSON.stringify({ tracks: results }), {
+        headers: {
+            ...corsHeaders,
+            'Cache-Control': 'no-store',
+            ...(degradedCount ? { 'X-Metadata-Degraded': String(degradedCount) } : {}),
+        },
+    });
+}
+
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+function formatMusicalKey(key, mode) {
+    if (!Number.isInteger(key) || !PITCH_CLASS_NAMES[key]) return null;
+    if (mode === 1) return `${PITCH_CLASS_NAMES[key]} major`;
+    if (mode === 0) return `${PITCH_CLASS_NAMES[key]} minor`;
+    return PITCH_CLASS_NAMES[key];
+}
+
+async function handleAudioFeatures(request, url, corsHeaders) {
+    let rawTracks;
+    if (request.method === 'POST') {
+        let payload;
+        try {
+            payload = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ error: 'Invalid JSON body' }),
+                { status: 400, headers: corsHeaders }
+            );
         }
+        rawTracks = Array.isArray(payload?.tracks) ? payload.tracks : [];
+    } else {
+        const spotifyUrl = url.searchParams.get('spotifyUrl');
+        const track = url.searchParams.get('track');
+        const artist = url.searchParams.get('artist');
+        rawTracks = spotifyUrl || (track && artist) ? [{ name: track, artist, spotifyUrl }] : [];
+    }
+
+    if (!rawTracks.length) {
+        return new Response(
+            JSON.stringify({ error: 'Missing spotifyUrl, or track and artist' }),
+            { status: 400, headers: corsHeaders }
+        );
+    }
+    if (rawTracks.length > METADATA_BATCH_MAX_TRACKS) {
+        return new Response(
+            JSON.stringify({ error: `At most ${METADATA_BATCH_MAX_TRACKS} tracks per request` }),
+            { status: 400, headers: corsHeaders }
+        );
+    }
+
+    const tracks = rawTracks.map(track => ({
+        name: String(track?.name || '').trim() || null,
+        artist: String(track?.artist || '').trim() || null,
+        spotifyUrl: String(track?.spotifyUrl || '').trim() || null,
+    }));
+    // A Spotify URL needs no name; everything else is resolved the same way the summary does.
+    const resolved = await mapWithConcurrency(tracks, METADATA_BATCH_CONCURRENCY, async (track) => {
+        const spotifyId = extractSpotifyIdFromUrl(track.spotifyUrl);
+        if (spotifyId && !(track.name && track.artist)) return { id: spotifyId };
+        if (!track.name || !track.artist) return null;
+        return searchTrackId(track.name, track.artist, track.spotifyUrl);
+    });
+
+    let features;
+    try {
+        const ids = [...new Set(resolved.map(item => item?.id).filter(Boolean))];
+        features = ids.length ? await getReccoBeatsAudioFeatures(ids) : [];
+    } catch (error) {
+        console.error('Audio features error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Audio features unavailable' }),
+            { status: 502, headers: { ...corsHeaders, 'Cache-Control': 'no-store' } }
+        );
+    }
+
+    const featuresById = new Map(features.map(({ id, ...vector }) => [id, vector]));
+    const vectors = tracks.map((track, index) => featuresById.get(resolved[index]?.id) || null);
+    const moodAnalysis = analyzeMood(vectors);
+    const results = tracks.map((track, index) => ({
+        name: track.name,
+        artist: track.artist,
+        spotifyId: resolved[index]?.id || null,
+        features: vectors[index],
+        keyName: vectors[index] ? formatMusicalKey(vectors[index].key, vectors[index].mode) : null,
+        mood: moodAnalysis.tracks[index],
+    }));
+
+    return new Response(JSON.stringify({ tracks: results, mood: moodAnalysis }), {
+        headers: {
+            ...corsHeaders,
+            'Cache-Control': request.method === 'GET'
+                ? `public, max-age=${SPOTIFY_PROXY_CACHE_TTL_SECONDS}`
+                : 'no-store',
+        },
     });
 }
 
 async function searchArtist(artistName) {
     try {
+        const override = await getMatchOverride('artist', null, artistName);
+        if (override) {
+            const embed = await fetchSpotifyOEmbed(override.spotifyUrl);
+            return {
+                artistImage: embed?.thumbnail_url || null,
+                artistName: embed?.title || artistName,
+                spotifyUrl: override.spotifyUrl,
+                matchConfidence: 1,
+                override: true,
+            };
+        }
+
         const artist = await searchReccoArtist(artistName);
         if (!artist?.id) return { artistImage: null };
 
@@ -1017,19 +4548,84 @@ async function searchArtist(artistName) {
             artistName: artist.name || artistName,
             spotifyUrl,
             reccoArtistId: artist.id,
+            matchConfidence: artist.matchConfidence ?? null,
         };
     } catch (error) {
         console.error('Artist search error:', error);
-        return { artistImage: null };
+        return { artistImage: null, degraded: true };
     }
 }
 
-async function searchTrack(trackName, artistName) {
+async function searchTrackOverride(override, trackName, artistName) {
+    const [trackEmbed, artistResult] = await Promise.all([
+        fetchSpotifyOEmbed(override.spotifyUrl),
+        override.artistSpotifyUrl
+            ? fetchSpotifyOEmbed(override.artistSpotifyUrl).then(embed => ({ artistImage: embed?.thumbnail_url || null }))
+            : searchArtist(artistName),
+    ]);
+
+    return {
+        albumImage: trackEmbed?.thumbnail_url || null,
+        artistImage: artistResult?.artistImage || null,
+        spotifyUrl: override.spotifyUrl,
+        spotifyId: override.spotifyId,
+        trackName: trackEmbed?.title || trackName,
+        artistName,
+        albumName: null,
+        matchConfidence: 1,
+        override: true,
+    };
+}
+
+async function searchTrackBySpotifyId(spotifyId, trackName, artistName, includeAlbumInfo) {
+    const spotifyUrl = `https://open.spotify.com/track/${spotifyId}`;
+    const [trackEmbed, artistResult, reccoTrack] = await Promise.all([
+        fetchSpotifyOEmbed(spotifyUrl),
+        searchArtist(artistName),
+        includeAlbumInfo ? getReccoTrackBySpotifyId(spotifyId) : Promise.resolve(null),
+    ]);
+    const albumInfo = reccoTrack?.id ? await getReccoTrackAlbumInfo(reccoTrack.id) : null;
+
+    return {
+        albumImage: trackEmbed?.thumbnail_url || null,
+        artistImage: artistResult?.artistImage || null,
+        spotifyUrl,
+        spotifyId,
+        trackName: trackEmbed?.title || trackName,
+        artistName,
+        albumName: albumInfo?.albumName || null,
+        ...(includeAlbumInfo ? { year: Number.parseInt(albumInfo?.year, 10) || null } : {}),
+        matchConfidence: 1,
+        ...(artistResult?.degraded ? { degraded: true } : {}),
+    };
+}
+
+// `includeAlbumInfo` adds the release year (and album name) at the cost of an extra upstream
+// call per track; a client-supplied `spotifyUrl` skips the fuzzy search entirely.
+async function searchTrack(trackName, artistName, options = {}) {
+    const includeAlbumInfo = options.includeAlbumInfo === true;
     try {
-        const track = await findReccoTrackByNameAndArtist(trackName, artistName, { includeAlbumInfo: false });
+        const override = await getMatchOverride('track', trackName, artistName);
+        if (override) {
+            return await searchTrackOverride(override, trackName, artistName);
+        }
+
+        const spotifyId = extractSpotifyIdFromUrl(options.spotifyUrl);
+        if (spotifyId) {
+            return await searchTrackBySpotifyId(spotifyId, trackName, artistName, includeAlbumInfo);
+        }
+
+        const track = await findReccoTrackByNameAndArtist(trackName, artistName, { includeAlbumInfo });
         if (!track) {
             const artistResult = await searchArtist(artistName);
-            return { albumImage: null, artistImage: artistResult.artistImage };
+            return {
+                albumImage: null,
+                artistImage: artistResult.artistImage,
+                // No track matched, so there is no track confidence to report; the artwork's is separate.
+                matchConfidence: null,
+                artistMatchConfidence: artistResult.matchConfidence ?? null,
+                ...(artistResult.degraded ? { degraded: true } : {}),
+            };
         }
 
         const [trackEmbed, artistEmbed] = await Promise.all([
@@ -1045,9 +4641,13 @@ async function searchTrack(trackName, artistName) {
             trackName: track.trackTitle || trackName,
             artistName: track.artistTitle || artistName,
             albumName: track.albumName || null,
+            ...(includeAlbumInfo ? { year: Number.parseInt(track.year, 10) || null } : {}),
+            matchConfidence: track.matchConfidence ?? null,
         };
     } catch (error) {
         console.error('Track search error:', error);
-        return { albumImage: null, artistImage: null };
+        // The artist search is often still cached, so keep whatever artwork it can offer.
+        const artistResult = await searchArtist(artistName);
+        return { albumImage: null, artistImage: artistResult.artistImage, degraded: true };
     }
 }
@@ -10,16 +10,38 @@
 // ==========================================
 // Configuration 
 // ==========================================
+const SITE_LASTFM_USERNAME = window.MUSIC_CONFIG?.lastfm?.username || 'glenfire';
+const SITE_DISPLAY_NAME = window.MUSIC_CONFIG?.lastfm?.displayName || 'Glen';
+
+// Another Last.fm profile can be shown with ?user=<name>.
+// The worker decides which usernames it will actually serve.
+function getRequestedLastFmUser() {
+    const candidate = (new URLSearchParams(window.location.search).get('user') || '').trim();
+    return /^[a-z][a-z0-9_-]{1,14}$/i.test(candidate) ? candidate : null;
+}
+
+const REQUESTED_LASTFM_USER = getRequestedLastFmUser();
+const IS_SITE_USER = !REQUESTED_LASTFM_USER || REQUESTED_LASTFM_USER.toLowerCase() === SITE_LASTFM_USERNAME.toLowerCase();
+
 const CONFIG = {
     lastfm: {
         enabled: true,
         apiKey: window.MUSIC_CONFIG?.lastfm?.apiKey || '',
-        username: window.MUSIC_CONFIG?.lastfm?.username || 'glenfire',
+        username: IS_SITE_USER ? SITE_LASTFM_USERNAME : REQUESTED_LASTFM_USER,
+        displayName: IS_SITE_USER ? SITE_DISPLAY_NAME : REQUESTED_LASTFM_USER,
         pollInterval: 5000,
+        // Backoff for reconnecting the now-playing stream after the worker refuses it.
+        streamRetryMs: 5000,
+        streamMaxRetryMs: 120000,
     },
     spotify: {
         enabled: window.MUSIC_CONFIG?.spotify?.enabled ?? true,
         workerUrl: window.MUSIC_CONFIG?.spotify?.workerUrl || '',
+        // Worker matches below this confidence are treated as "no artwork" rather than risking a wrong cover.
+        minMatchConfidence: 0.85,
+        // Track lookups requested within this window are sent together to the worker's batch route.
+        batchWindowMs: 30,
+        batchMaxTracks: 50,
     },
     aiSummary: {
         enabled: window.MUSIC_CONFIG?.aiSummary?.enabled ?? true,
@@ -28,6 +50,12 @@ const CONFIG = {
         sessionLimit: 16,
         sessionGapMinutes: 90,
     },
+    stats: {
+        defaultPeriod: '1month',
+        limit: 5,
+        // 13 full weeks fill the heat map grid.
+        activityDays: 91,
+    },
     maxRecentTracks: 8, // Increased for desktop view
 };
 
@@ -107,7 +135,14 @@ const state = {
     artistCache: new LRUCache(50), // Cache artist images
     trackCache: new LRUCache(100), // Cache album/artist art by track+artist key
     pendingTrackRequests: new Map(),
+    featureCache: new LRUCache(100), // BPM + key by track+artist key (null when unknown)
+    pendingFeatureKeys: new Set(),
     currentColors: null, // Extracted colors from current track
+    stats: {
+        period: null,
+        charts: new Map(), // Top charts by Last.fm period
+        activity: null,
+    },
     aiSummary: {
         lastSignature: '',
         lastTopTrack: '',
@@ -130,6 +165,7 @@ const elements = {
     trackName: document.getElementById('track-name'),
     artistName: document.getElementById('artist-name'),
     albumName: document.getElementById('album-name'),
+    trackFeatures: document.getElementById('track-features'),
     listeningStatus: document.getElementById('listening-status'),
     spotifyCodeLink: document.getElementById('spotify-code-link'),
     playingIndicator: document.getElementById('playing-indicator'),
@@ -147,6 +183,21 @@ const elements = {
     aiBackdrop: document.getElementById('ai-backdrop'),
     aiSummaryText: document.getElementById('ai-summary-text'),
     aiSummaryLoading: document.getElementById('ai-summary-loading'),
+    aiSummarySignals: document.getElementById('ai-summary-signals'),
+    aiMoodChip: document.getElementById('ai-mood-chip'),
+    aiEraBadge: document.getElementById('ai-era-badge'),
+    aiEnergyMeter: document.getElementById('ai-energy-meter'),
+    aiValenceMeter: document.getElementById('ai-valence-meter'),
+    statsCard: document.getElementById('stats-card'),
+    statsBackdrop: document.getElementById('stats-backdrop'),
+    statsPeriods: document.getElementById('stats-periods'),
+    statsTopArtists: document.getElementById('stats-top-artists'),
+    statsTopTracks: document.getElementById('stats-top-tracks'),
+    statsTopAlbums: document.getElementById('stats-top-albums'),
+    statsHeatmap: document.getElementById('stats-heatmap'),
+    statsHeatmapCaption: document.getElementById('stats-heatmap-caption'),
+    statsHours: document.getElementById('stats-hours'),
+    statsRecapLink: document.getElementById('stats-recap-link'),
 };
 
 async function readJsonSafely(response, label) {
@@ -167,6 +218,11 @@ async function readJsonSafely(response, label) {
 // ==========================================
 // Spotify API (via Cloudflare Worker Proxy)
 // ==========================================
+// Older worker responses carry no confidence; those are trusted as before.
+function isConfidentMatch(data) {
+    return typeof data?.matchConfidence !== 'number' || data.matchConfidence >= CONFIG.spotify.minMatchConfidence;
+}
+
 async function getSpotifyArtistImage(artistName) {
     // Check cache first
     if (state.artistCache.has(artistName)) {
@@ -191,7 +247,7 @@ async function getSpotifyArtistImage(artistName) {
         }
         state.sources.spotify.connected = true;
 
-        if (data.artistImage) {
+        if (data.artistImage && isConfidentMatch(data)) {
             state.artistCache.set(artistName, data.artistImage);
             return data.artistImage;
         }
@@ -205,6 +261,23 @@ async function getSpotifyArtistImage(artistName) {
     }
 }
 
+const spotifyTrackQueue = {
+    items: [],
+    timer: null,
+};
+
+function toSpotifyTrackData(data) {
+    if (!isConfidentMatch(data)) {
+        return { albumImage: null, artistImage: null, spotifyUrl: null };
+    }
+
+    return {
+        albumImage: data.albumImage || null,
+        artistImage: data.artistImage || null,
+        spotifyUrl: data.spotifyUrl || null,
+    };
+}
+
 async function getSpotifyTrackData(trackName, artistName) {
     if (!CONFIG.spotify.workerUrl) {
         return null;
@@ -219,41 +292,157 @@ async function getSpotifyTrackData(trackName, artistName) {
         return state.pendingTrackRequests.get(trackKey);
     }
 
-    const requestPromise = (async () => {
-        try {
-            const response = await limitedFetch(
-                `${CONFIG.spotify.workerUrl}?type=spotify&track=${encodeURIComponent(trackName)}&artist=${encodeURIComponent(artistName)}`
-            );
+    // Queue the lookup so tracks requested together (now playing + recent list) share one request.
+    const requestPromise = new Promise(resolve => {
+        spotifyTrackQueue.items.push({ trackName, artistName, resolve });
+        if (!spotifyTrackQueue.timer) {
+            spotifyTrackQueue.timer = setTimeout(flushSpotifyTrackQueue, CONFIG.spotify.batchWindowMs);
+        }
+    });
 
-            if (!response.ok) throw new Error('Worker request failed');
+    state.pendingTrackRequests.set(trackKey, requestPromise);
+    try {
+        return await requestPromise;
+    } finally {
+        state.pendingTrackRequests.delete(trackKey);
+    }
+}
 
-            const data = await readJsonSafely(response, 'Spotify track');
-            if (!data) {
-                state.sources.spotify.connected = false;
-                return null;
-            }
-            state.sources.spotify.connected = true;
+function flushSpotifyTrackQueue() {
+    const items = spotifyTrackQueue.items.splice(0, CONFIG.spotify.batchMaxTracks);
+    spotifyTrackQueue.timer = spotifyTrackQueue.items.length ? setTimeout(flushSpotifyTrackQueue, 0) : null;
 
-            return {
-                albumImage: data.albumImage || null,
-                artistImage: data.artistImage || null,
-                spotifyUrl: data.spotifyUrl || null,
-            };
-        } catch (error) {
-            console.warn('Spotify track fetch failed:', error);
+    const lookup = items.length > 1
+        ? fetchSpotifyTrackDataBatch(items)
+        : Promise.all(items.map(item => fetchSpotifyTrackData(item.trackName, item.artistName)));
+
+    lookup.then(results => {
+        items.forEach((item, index) => item.resolve(results[index] ?? null));
+    });
+}
+
+async function fetchSpotifyTrackData(trackName, artistName) {
+    try {
+        const response = await limitedFetch(
+            `${CONFIG.spotify.workerUrl}?type=spotify&track=${encodeURIComponent(trackName)}&artist=${encodeURIComponent(artistName)}`
+        );
+
+        if (!response.ok) throw new Error('Worker request failed');
+
+        const data = await readJsonSafely(response, 'Spotify track');
+        if (!data) {
             state.sources.spotify.connected = false;
             return null;
         }
-    })();
+        state.sources.spotify.connected = true;
 
-    state.pendingTrackRequests.set(trackKey, requestPromise);
+        return toSpotifyTrackData(data);
+    } catch (error) {
+        console.warn('Spotify track fetch failed:', error);
+        state.sources.spotify.connected = false;
+        return null;
+    }
+}
+
+async function fetchSpotifyTrackDataBatch(items) {
     try {
-        return await requestPromise;
+        const response = await limitedFetch(`${CONFIG.spotify.workerUrl.replace(/\/+$/, '')}/v1/metadata/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                tracks: items.map(item => ({ name: item.trackName, artist: item.artistName })),
+            }),
+        });
+
+        if (!response.ok) throw new Error(`Worker batch request failed (${response.status})`);
+
+        const data = await readJsonSafely(response, 'Spotify batch');
+        if (!Array.isArray(data?.tracks)) throw new Error('Worker batch returned no tracks');
+        state.sources.spotify.connected = true;
+
+        return items.map((item, index) => {
+            const result = data.tracks[index];
+            return result && !result.error ? toSpotifyTrackData(result) : null;
+        });
+    } catch (error) {
+        // Older workers have no batch route; resolve the tracks one by one instead.
+        console.warn('Spotify batch fetch failed, falling back to single lookups:', error);
+        return Promise.all(items.map(item => fetchSpotifyTrackData(item.trackName, item.artistName)));
+    }
+}
+
+// Looks up BPM and key for tracks not seen yet; one request covers the whole list.
+async function fetchAudioFeatures(tracks) {
+    if (!CONFIG.spotify.workerUrl) return;
+
+    const missing = tracks.filter(track => {
+        const key = getTrackCacheKey(track.name, track.artist);
+        return !state.featureCache.has(key) && !state.pendingFeatureKeys.has(key);
+    }).slice(0, CONFIG.spotify.batchMaxTracks);
+    if (!missing.length) return;
+
+    const keys = missing.map(track => getTrackCacheKey(track.name, track.artist));
+    keys.forEach(key => state.pendingFeatureKeys.add(key));
+
+    try {
+        const response = await limitedFetch(`${CONFIG.spotify.workerUrl.replace(/\/+$/, '')}/v1/metadata/audio-features`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                tracks: missing.map(track => ({
+                    name: track.name,
+                    artist: track.artist,
+                    spotifyUrl: track.spotifyUrl || undefined,
+                })),
+            }),
+        });
+        if (!response.ok) throw new Error(`Audio features request failed (${response.status})`);
+
+        const data = await readJsonSafely(response, 'Audio features');
+        if (!Array.isArray(data?.tracks)) return;
+
+        keys.forEach((key, index) => {
+            const result = data.tracks[index];
+            const tempo = Number(result?.features?.tempo);
+            state.featureCache.set(key, result?.features ? {
+                bpm: Number.isFinite(tempo) && tempo > 0 ? Math.round(tempo) : null,
+                keyName: result.keyName || null,
+            } : null);
+        });
+    } catch (error) {
+        // Features are decoration only; don't retry them on every poll.
+        console.warn('Audio features fetch failed:', error);
+        keys.forEach(key => state.featureCache.set(key, null));
     } finally {
-        state.pendingTrackRequests.delete(trackKey);
+        keys.forEach(key => state.pendingFeatureKeys.delete(key));
     }
 }
 
+function formatTrackFeatures(features) {
+    if (!features) return '';
+    return [features.bpm ? `${features.bpm} BPM` : null, features.keyName].filter(Boolean).join(' · ');
+}
+
+function updateTrackFeatures(track) {
+    if (!elements.trackFeatures) return;
+
+    const render = () => {
+        const text = track ? formatTrackFeatures(state.featureCache.get(getTrackCacheKey(track.name, track.artist))) : '';
+        elements.trackFeatures.textContent = text;
+        elements.trackFeatures.hidden = !text;
+    };
+
+    render();
+    if (!track || !CONFIG.spotify.enabled) return;
+
+    const key = getTrackCacheKey(track.name, track.artist);
+    if (state.featureCache.has(key)) return;
+    fetchAudioFeatures([track]).then(() => {
+        // Only paint if the card still shows this track.
+        if (elements.trackName.textContent === track.name) render();
+    });
+}
+
 // ==========================================
 // Last.fm Integration
 // ==========================================
@@ -268,10 +457,10 @@ async function fetchLastFmNowPlaying() {
     let url;
     if (workerUrl) {
         // Use secure worker proxy (production)
-        url = `${workerUrl}?type=lastfm&user=${CONFIG.lastfm.username}&method=user.getrecenttracks&limit=${CONFIG.maxRecentTracks + 1}`;
+        url = `${workerUrl}?type=lastfm&user=${encodeURIComponent(CONFIG.lastfm.username)}&method=user.getrecenttracks&limit=${CONFIG.maxRecentTracks + 1}&normalized=1`;
     } else if (CONFIG.lastfm.apiKey) {
         // Direct API call (local development only)
-        url = `https://ws.audioscrobbler.com/2.0/?method=user.getrecenttracks&user=${CONFIG.lastfm.username}&api_key=${CONFIG.lastfm.apiKey}&format=json&limit=${CONFIG.maxRecentTracks + 1}`;
+        url = `https://ws.audioscrobbler.com/2.0/?method=user.getrecenttracks&user=${encodeURIComponent(CONFIG.lastfm.username)}&api_key=${CONFIG.lastfm.apiKey}&format=json&limit=${CONFIG.maxRecentTracks + 1}`;
     } else {
         state.sources.lastfm.connected = false;
         return null;
@@ -300,183 +489,246 @@ async function fetchLastFmNowPlaying() {
             return null;
         }
 
-        const tracks = data.recenttracks?.track;
-        if (!tracks) {
-            console.warn('Last.fm returned no tracks property');
-            state.sources.lastfm.connected = true; // Still connected, just no tracks
-            state.sources.lastfm.playing = false;
-            return null;
-        }
+        return applyLastFmRecentTracks(readLastFmRecentTracks(data));
+    } catch (error) {
+        console.error('Last.fm fetch error:', error);
+        state.sources.lastfm.connected = false;
+        return null;
+    }
+}
 
-        if (tracks.length === 0) {
-            state.sources.lastfm.connected = true;
-            state.sources.lastfm.playing = false;
-            return null;
-        }
+// Applies normalized recent tracks (from a poll or the now-playing stream) to the Last.fm source
+// and the recent list. Returns the playing track, or null.
+function applyLastFmRecentTracks({ nowPlaying, tracks }) {
+    if (!nowPlaying && tracks.length === 0) {
+        state.sources.lastfm.connected = true; // Still connected, just no tracks
+        state.sources.lastfm.playing = false;
+        return null;
+    }
 
-        state.sources.lastfm.connected = true;
+    state.sources.lastfm.connected = true;
 
-        const nowPlaying = tracks[0];
-        const isPlaying = nowPlaying['@attr']?.nowplaying === 'true';
+    const latest = nowPlaying || tracks[0];
+    const isPlaying = Boolean(nowPlaying);
 
-        // Get basic track info from Last.fm
-        const trackInfo = {
-            name: nowPlaying.name,
-            artist: nowPlaying.artist['#text'] || nowPlaying.artist.name,
-            album: nowPlaying.album['#text'],
-            image: getLastFmImage(nowPlaying.image),
-            artistImage: null,
-            url: nowPlaying.url,
-            source: 'lastfm',
-        };
-        const trackKey = getTrackCacheKey(trackInfo.name, trackInfo.artist);
-
-        // Check cache immediately for Spotify enrichment
-        if (state.trackCache.has(trackKey)) {
-            const cached = state.trackCache.get(trackKey);
-            trackInfo.image = cached.albumImage || trackInfo.image;
-            trackInfo.artistImage = cached.artistImage;
-            trackInfo.spotifyUrl = cached.spotifyUrl;
-        }
+    // Get basic track info from Last.fm
+    const trackInfo = {
+        name: latest.name,
+        artist: latest.artist,
+        album: latest.album,
+        image: getLastFmImage(latest.images),
+        artistImage: null,
+        url: latest.url,
+        source: 'lastfm',
+    };
+    const trackKey = getTrackCacheKey(trackInfo.name, trackInfo.artist);
 
-        const isSameTrack = state.sources.lastfm.track && state.sources.lastfm.track.name === trackInfo.name;
+    // Check cache immediately for Spotify enrichment
+    if (state.trackCache.has(trackKey)) {
+        const cached = state.trackCache.get(trackKey);
+        trackInfo.image = cached.albumImage || trackInfo.image;
+        trackInfo.artistImage = cached.artistImage;
+        trackInfo.spotifyUrl = cached.spotifyUrl;
+    }
 
-        // PRESERVE EXISTING IMAGE if track hasn't changed
-        // This prevents the "flash" of low-res Last.fm image overwriting the high-res Spotify image
-        if (isSameTrack && state.sources.lastfm.track.image) {
-            trackInfo.image = state.sources.lastfm.track.image;
-            trackInfo.artistImage = state.sources.lastfm.track.artistImage;
-            trackInfo.spotifyUrl = state.sources.lastfm.track.spotifyUrl;
+    const isSameTrack = state.sources.lastfm.track && state.sources.lastfm.track.name === trackInfo.name;
 
-            // FIX: If colors are missing (e.g. first load failed), retry extraction
-            if (!state.currentColors && trackInfo.image) {
-                extractColors(trackInfo.image).then(colors => {
-                    applyDynamicColors(colors || getDefaultColors());
-                });
-            }
+    // PRESERVE EXISTING IMAGE if track hasn't changed
+    // This prevents the "flash" of low-res Last.fm image overwriting the high-res Spotify image
+    if (isSameTrack && state.sources.lastfm.track.image) {
+        trackInfo.image = state.sources.lastfm.track.image;
+        trackInfo.artistImage = state.sources.lastfm.track.artistImage;
+        trackInfo.spotifyUrl = state.sources.lastfm.track.spotifyUrl;
 
-            // Still fetch in background to check for updates (silent)
-            if (CONFIG.spotify.enabled) {
-                getSpotifyTrackData(trackInfo.name, trackInfo.artist).then(spotifyData => {
-                    if (!spotifyData) return;
-                    if (spotifyData.albumImage || spotifyData.artistImage || spotifyData.spotifyUrl) {
-                        state.trackCache.set(trackKey, {
-                            albumImage: spotifyData.albumImage || trackInfo.image || null,
-                            artistImage: spotifyData.artistImage || null,
-                            spotifyUrl: spotifyData.spotifyUrl || null,
-                        });
-                        trackInfo.spotifyUrl = spotifyData.spotifyUrl;
-                    }
-                    if (spotifyData.artistImage && !trackInfo.artistImage) {
-                        state.sources.lastfm.track.artistImage = spotifyData.artistImage;
-                        if (state.activeSource === 'lastfm') updateNowPlayingCard(state.sources.lastfm.track, true);
-                    }
-                }).catch(() => { });
-            }
+        // FIX: If colors are missing (e.g. first load failed), retry extraction
+        if (!state.currentColors && trackInfo.image) {
+            extractColors(trackInfo.image).then(colors => {
+                applyDynamicColors(colors || getDefaultColors());
+            });
         }
-        // NEW TRACK: fetch Spotify enrichment in the background to keep UI updates immediate.
-        else if (CONFIG.spotify.enabled) {
+
+        // Still fetch in background to check for updates (silent)
+        if (CONFIG.spotify.enabled) {
             getSpotifyTrackData(trackInfo.name, trackInfo.artist).then(spotifyData => {
                 if (!spotifyData) return;
-
                 if (spotifyData.albumImage || spotifyData.artistImage || spotifyData.spotifyUrl) {
                     state.trackCache.set(trackKey, {
                         albumImage: spotifyData.albumImage || trackInfo.image || null,
                         artistImage: spotifyData.artistImage || null,
                         spotifyUrl: spotifyData.spotifyUrl || null,
                     });
+                    trackInfo.spotifyUrl = spotifyData.spotifyUrl;
                 }
-
-                // Only apply delayed enrichment if this exact track is still the active one.
-                if (
-                    !state.sources.lastfm.playing ||
-                    !state.sources.lastfm.track ||
-                    state.sources.lastfm.track.name !== trackInfo.name ||
-                    state.sources.lastfm.track.artist !== trackInfo.artist
-                ) {
-                    return;
+                if (spotifyData.artistImage && !trackInfo.artistImage) {
+                    state.sources.lastfm.track.artistImage = spotifyData.artistImage;
+                    if (state.activeSource === 'lastfm') updateNowPlayingCard(state.sources.lastfm.track, true);
                 }
+            }).catch(() => { });
+        }
+    }
+    // NEW TRACK: fetch Spotify enrichment in the background to keep UI updates immediate.
+    else if (CONFIG.spotify.enabled) {
+        getSpotifyTrackData(trackInfo.name, trackInfo.artist).then(spotifyData => {
+            if (!spotifyData) return;
+
+            if (spotifyData.albumImage || spotifyData.artistImage || spotifyData.spotifyUrl) {
+                state.trackCache.set(trackKey, {
+                    albumImage: spotifyData.albumImage || trackInfo.image || null,
+                    artistImage: spotifyData.artistImage || null,
+                    spotifyUrl: spotifyData.spotifyUrl || null,
+                });
+            }
 
-                if (spotifyData.albumImage) state.sources.lastfm.track.image = spotifyData.albumImage;
-                if (spotifyData.artistImage) state.sources.lastfm.track.artistImage = spotifyData.artistImage;
-                if (spotifyData.spotifyUrl) state.sources.lastfm.track.spotifyUrl = spotifyData.spotifyUrl;
+            // Only apply delayed enrichment if this exact track is still the active one.
+            if (
+                !state.sources.lastfm.playing ||
+                !state.sources.lastfm.track ||
+                state.sources.lastfm.track.name !== trackInfo.name ||
+                state.sources.lastfm.track.artist !== trackInfo.artist
+            ) {
+                return;
+            }
 
-                if (spotifyData.albumImage) {
-                    extractColors(spotifyData.albumImage).then(colors => {
-                        applyDynamicColors(colors || getDefaultColors());
-                    });
-                }
+            if (spotifyData.albumImage) state.sources.lastfm.track.image = spotifyData.albumImage;
+            if (spotifyData.artistImage) state.sources.lastfm.track.artistImage = spotifyData.artistImage;
+            if (spotifyData.spotifyUrl) state.sources.lastfm.track.spotifyUrl = spotifyData.spotifyUrl;
 
-                if (state.activeSource === 'lastfm') {
-                    updateNowPlayingCard(state.sources.lastfm.track, true);
-                    updateSourceIndicators();
-                }
-            }).catch(console.warn);
-        }
+            if (spotifyData.albumImage) {
+                extractColors(spotifyData.albumImage).then(colors => {
+                    applyDynamicColors(colors || getDefaultColors());
+                });
+            }
 
-        if (isPlaying) {
-            state.sources.lastfm.playing = true;
-            state.sources.lastfm.track = trackInfo;
-
-            state.recentTracks = tracks.slice(1, CONFIG.maxRecentTracks + 1).map(track => {
-                const name = track.name;
-                const artist = track.artist['#text'] || track.artist.name;
-                const key = getTrackCacheKey(name, artist);
-                const cached = state.trackCache.get(key);
-                return {
-                    name,
-                    artist,
-                    image: cached?.albumImage || getLastFmImage(track.image, 'large'),
-                    artistImage: cached?.artistImage || null,
-                    spotifyUrl: cached?.spotifyUrl || null,
-                    date: track.date?.uts ? new Date(track.date.uts * 1000) : null,
-                    enriched: !!cached,
-                };
-            });
+            if (state.activeSource === 'lastfm') {
+                updateNowPlayingCard(state.sources.lastfm.track, true);
+                updateSourceIndicators();
+            }
+        }).catch(console.warn);
+    }
 
-            return state.sources.lastfm.track;
-        } else {
-            state.sources.lastfm.playing = false;
-
-            state.recentTracks = tracks.slice(0, CONFIG.maxRecentTracks).map(track => {
-                const name = track.name;
-                const artist = track.artist['#text'] || track.artist.name;
-                const key = getTrackCacheKey(name, artist);
-                const cached = state.trackCache.get(key);
-                return {
-                    name,
-                    artist,
-                    image: cached?.albumImage || getLastFmImage(track.image, 'large'),
-                    artistImage: cached?.artistImage || null,
-                    spotifyUrl: cached?.spotifyUrl || null,
-                    date: track.date?.uts ? new Date(track.date.uts * 1000) : null,
-                    enriched: !!cached,
-                };
-            });
+    if (isPlaying) {
+        state.sources.lastfm.playing = true;
+        state.sources.lastfm.track = trackInfo;
+
+        state.recentTracks = buildRecentTrackList(tracks);
+        enrichRecentTracks();
+
+        return state.sources.lastfm.track;
+    } else {
+        state.sources.lastfm.playing = false;
+
+        state.recentTracks = buildRecentTrackList(tracks);
+        enrichRecentTracks();
 
-            return null;
-        }
-    } catch (error) {
-        console.error('Last.fm fetch error:', error);
-        state.sources.lastfm.connected = false;
         return null;
     }
 }
 
-function getLastFmImage(images, size = 'mega') {
-    if (!images || !Array.isArray(images)) return null;
+// Recent tracks are looked up together with the now-playing track, so the worker sees one batch.
+function enrichRecentTracks() {
+    if (!CONFIG.spotify.enabled) return;
+
+    fetchAudioFeatures(state.recentTracks).then(() => scheduleRecentTracksRender());
+
+    state.recentTracks.filter(track => !track.enriched).forEach(track => {
+        track.enriched = true;
+        getSpotifyTrackData(track.name, track.artist).then(spotifyData => {
+            if (!spotifyData) {
+                track.enriched = false;
+                return;
+            }
+
+            // Remember misses too, so a track without artwork isn't looked up on every poll.
+            const key = getTrackCacheKey(track.name, track.artist);
+            state.trackCache.set(key, {
+                albumImage: spotifyData.albumImage || track.image || null,
+                artistImage: spotifyData.artistImage || null,
+                spotifyUrl: spotifyData.spotifyUrl || null,
+            });
 
-    const sizeMap = { small: 0, medium: 1, large: 2, extralarge: 3, mega: 4 };
-    const index = sizeMap[size] ?? 4;
+            if (!spotifyData.albumImage && !spotifyData.spotifyUrl) return;
+            track.image = spotifyData.albumImage || track.image;
+            track.artistImage = spotifyData.artistImage || track.artistImage;
+            track.spotifyUrl = spotifyData.spotifyUrl || track.spotifyUrl;
+            if (state.recentTracks.includes(track)) scheduleRecentTracksRender();
+        }).catch(() => { track.enriched = false; });
+    });
+}
 
-    for (let i = index; i >= 0; i--) {
-        if (images[i]?.['#text']) {
-            return images[i]['#text'];
+let recentTracksRenderPending = false;
+function scheduleRecentTracksRender() {
+    if (recentTracksRenderPending) return;
+    recentTracksRenderPending = true;
+    requestAnimationFrame(() => {
+        recentTracksRenderPending = false;
+        updateRecentTracks();
+    });
+}
+
+// The scrobbles after the now-playing entry, with any Spotify artwork we already have.
+function buildRecentTrackList(tracks) {
+    return tracks.slice(0, CONFIG.maxRecentTracks).map(track => {
+        const key = getTrackCacheKey(track.name, track.artist);
+        const cached = state.trackCache.get(key);
+        return {
+            name: track.name,
+            artist: track.artist,
+            image: cached?.albumImage || getLastFmImage(track.images, 'large'),
+            artistImage: cached?.artistImage || null,
+            spotifyUrl: cached?.spotifyUrl || null,
+            date: track.playedAt ? new Date(track.playedAt) : null,
+            enriched: !!cached,
+        };
+    });
+}
+
+const LASTFM_IMAGE_SIZES = ['small', 'medium', 'large', 'extralarge', 'mega'];
+
+// Falls back to the next smaller size when the requested one is missing.
+function getLastFmImage(images, size = 'mega') {
+    if (!images) return null;
+
+    const index = LASTFM_IMAGE_SIZES.indexOf(size);
+    for (let i = index === -1 ? LASTFM_IMAGE_SIZES.length - 1 : index; i >= 0; i--) {
+        if (images[LASTFM_IMAGE_SIZES[i]]) {
+            return images[LASTFM_IMAGE_SIZES[i]];
         }
     }
     return null;
 }
 
+// The worker answers with its `normalized=1` schema. Direct Last.fm responses (local development
+// without a worker) are reshaped the same way so the rest of the page only sees one format.
+function readLastFmRecentTracks(data) {
+    if (!data?.recenttracks) {
+        return { nowPlaying: data?.nowPlaying || null, tracks: Array.isArray(data?.tracks) ? data.tracks : [] };
+    }
+
+    const rawTracks = data.recenttracks.track;
+    const list = Array.isArray(rawTracks) ? rawTracks : rawTracks ? [rawTracks] : [];
+    const normalize = track => {
+        const images = {};
+        (Array.isArray(track.image) ? track.image : []).forEach(image => {
+            if (image?.size) images[image.size] = image['#text'] || null;
+        });
+        return {
+            name: track.name,
+            artist: track.artist?.['#text'] || track.artist?.name || '',
+            album: track.album?.['#text'] || null,
+            images,
+            playedAt: track.date?.uts ? new Date(track.date.uts * 1000).toISOString() : null,
+            url: track.url || null,
+            mbid: track.mbid || null,
+        };
+    };
+
+    const playing = list.find(track => track?.['@attr']?.nowplaying === 'true');
+    return {
+        nowPlaying: playing ? normalize(playing) : null,
+        tracks: list.filter(track => track !== playing).map(normalize),
+    };
+}
+
 function getTrackCacheKey(name, artist) {
     return `${(name || '').toLowerCase()}||${(artist || '').toLowerCase()}`;
 }
@@ -484,7 +736,7 @@ function getTrackCacheKey(name, artist) {
 // ==========================================
 // AI Summary
 // ==========================================
-const AI_ERROR_FALLBACK = "the recap is syncing with glen's latest tracks.";
+const AI_ERROR_FALLBACK = `the recap is syncing with ${CONFIG.lastfm.displayName.toLowerCase()}'s latest tracks.`;
 
 function getRandomAiError() {
     return AI_ERROR_FALLBACK;
@@ -493,7 +745,7 @@ function getRandomAiError() {
 function setAiSummaryLoading(isLoading) {
     if (!elements.aiSummaryCard || !elements.aiSummaryLoading) return;
     elements.aiSummaryCard.classList.toggle('is-loading', isLoading);
-    elements.aiSummaryLoading.textContent = isLoading ? 'Reading Glen\'s musical mind...' : '';
+    elements.aiSummaryLoading.textContent = isLoading ? `Reading ${CONFIG.lastfm.displayName}'s musical mind...` : '';
 }
 
 function resetAiSummaryText() {
@@ -542,6 +794,53 @@ function rebuildAiSummaryText(text) {
     appendAiSummaryChunk(text);
 }
 
+function setAiSummaryMeter(meter, value) {
+    if (!meter) return;
+    const percent = Math.round(Math.min(1, Math.max(0, value)) * 100);
+    meter.style.setProperty('--meter-value', `${percent}%`);
+    meter.setAttribute('aria-valuenow', String(percent));
+}
+
+// Mood chip, era badge and energy/valence meters from the worker's `summary-signals` event.
+function renderAiSummarySignals(signals) {
+    if (!elements.aiSummarySignals) return;
+
+    const mood = signals?.moodClass;
+    const stats = signals?.audioStats;
+    const era = signals?.dominantEra;
+    const hasMood = mood?.label && mood.label !== 'unknown';
+    const hasEra = era && era !== 'unknown';
+    const hasStats = Number.isFinite(stats?.energy) && Number.isFinite(stats?.valence);
+
+    if (!hasMood && !hasEra && !hasStats) {
+        elements.aiSummarySignals.hidden = true;
+        return;
+    }
+
+    if (elements.aiMoodChip) {
+        elements.aiMoodChip.hidden = !hasMood;
+        elements.aiMoodChip.textContent = hasMood ? mood.label.replace(/-/g, ' ') : '';
+        // The full analysis (secondary moods, transition) rides along in the tooltip.
+        const details = [
+            mood?.description,
+            ...(signals?.mood?.secondary || []).map(entry => `some ${entry.description}`),
+            signals?.mood?.transition?.description,
+        ].filter(Boolean);
+        elements.aiMoodChip.title = hasMood ? details.join(' · ') : '';
+    }
+    if (elements.aiEraBadge) {
+        elements.aiEraBadge.hidden = !hasEra;
+        elements.aiEraBadge.textContent = hasEra ? era : '';
+    }
+    if (hasStats) {
+        setAiSummaryMeter(elements.aiEnergyMeter, stats.energy);
+        setAiSummaryMeter(elements.aiValenceMeter, stats.valence);
+    }
+    elements.aiEnergyMeter?.parentElement?.toggleAttribute('hidden', !hasStats);
+    elements.aiValenceMeter?.parentElement?.toggleAttribute('hidden', !hasStats);
+    elements.aiSummarySignals.hidden = false;
+}
+
 async function fetchLastFmRecentTracks(limit) {
     const workerUrl = CONFIG.spotify.workerUrl;
 
@@ -551,9 +850,9 @@ async function fetchLastFmRecentTracks(limit) {
 
     let url;
     if (workerUrl) {
-        url = `${workerUrl}?type=lastfm&user=${CONFIG.lastfm.username}&method=user.getrecenttracks&limit=${limit}&_cb=${Date.now()}`;
+        url = `${workerUrl}?type=lastfm&user=${encodeURIComponent(CONFIG.lastfm.username)}&method=user.getrecenttracks&limit=${limit}&normalized=1&_cb=${Date.now()}`;
     } else if (CONFIG.lastfm.apiKey) {
-        url = `https://ws.audioscrobbler.com/2.0/?method=user.getrecenttracks&user=${CONFIG.lastfm.username}&api_key=${CONFIG.lastfm.apiKey}&format=json&limit=${limit}&_cb=${Date.now()}`;
+        url = `https://ws.audioscrobbler.com/2.0/?method=user.getrecenttracks&user=${encodeURIComponent(CONFIG.lastfm.username)}&api_key=${CONFIG.lastfm.apiKey}&format=json&limit=${limit}&_cb=${Date.now()}`;
     } else {
         return [];
     }
@@ -563,8 +862,9 @@ async function fetchLastFmRecentTracks(limit) {
         if (!response.ok) throw new Error('Last.fm API error');
 
         const data = await readJsonSafely(response, 'Last.fm summary');
-        const tracks = data?.recenttracks?.track || [];
-        return Array.isArray(tracks) ? tracks : [];
+        const { nowPlaying, tracks } = readLastFmRecentTracks(data);
+        // Most recent first, with the now-playing entry (if any) flagged at the top.
+        return nowPlaying ? [{ ...nowPlaying, nowPlaying: true }, ...tracks] : tracks;
     } catch (error) {
         console.warn('Summary track fetch failed:', error);
         return [];
@@ -582,11 +882,11 @@ function selectSessionTracks(tracks) {
     const gapSeconds = CONFIG.aiSummary.sessionGapMinutes * 60;
 
     for (const track of tracks) {
-        if (track?.['@attr']?.nowplaying === 'true') {
+        if (track?.nowPlaying) {
             continue;
         }
 
-        const uts = track?.date?.uts ? Number(track.date.uts) : null;
+        const uts = track?.playedAt ? Date.parse(track.playedAt) / 1000 : null;
         if (!uts) {
             continue;
         }
@@ -610,13 +910,13 @@ function formatTracksForSummary(tracks) {
     const artistCounts = {};
     
     tracks.forEach(track => {
-        const artist = track.artist?.['#text'] || track.artist?.name || 'Unknown';
+        const artist = track.artist || 'Unknown';
         artistCounts[artist] = (artistCounts[artist] || 0) + 1;
     });
 
     return tracks.map((track, index) => {
-        const artist = track.artist?.['#text'] || track.artist?.name || 'Unknown';
-        const isNowPlaying = track?.['@attr']?.nowplaying === 'true';
+        const artist = track.artist || 'Unknown';
+        const isNowPlaying = track?.nowPlaying === true;
         const trackName = track.name || 'Unknown';
         const trackKey = getTrackCacheKey(trackName, artist);
         const cached = state.trackCache.get(trackKey);
@@ -659,33 +959,42 @@ async function streamAiSummary(tracks, mode) {
     }
 
     // Force a fresh take by sending a dynamic token and explicit personality instructions
+    const requestBody = JSON.stringify({
+        mode,
+        tracks,
+        trackCount: tracks.length,
+        user: CONFIG.lastfm.username,
+        // Anti-repetition seed
+        request_id: `vibe_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+        // Explicit instructions for the LLM weighting tiers
+        weighting: {
+            hero_indices: [0, 1, 2, 3],
+            background_indices: [8, 9, 10, 11, 12, 13, 14, 15]
+        },
+        options: {
+            temperature: 0.9, // Higher for more creative diversity
+            top_p: 0.95,
+            frequency_penalty: 1.2, // Discourage repeating the same hooks/artists
+            presence_penalty: 1.0
+        }
+    });
     const response = await fetchWithTimeout(`${CONFIG.aiSummary.workerUrl}?type=summary`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            mode,
-            tracks,
-            trackCount: tracks.length,
-            // Anti-repetition seed
-            request_id: `vibe_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-            // Explicit instructions for the LLM weighting tiers
-            weighting: {
-                hero_indices: [0, 1, 2, 3],
-                background_indices: [8, 9, 10, 11, 12, 13, 14, 15]
-            },
-            options: {
-                temperature: 0.9, // Higher for more creative diversity
-                top_p: 0.95,
-                frequency_penalty: 1.2, // Discourage repeating the same hooks/artists
-                presence_penalty: 1.0
-            }
-        }),
+        body: requestBody,
     });
 
     if (!response.ok) {
         throw new Error(`Summary request failed: ${response.status}`);
     }
 
+    // The worker answered with the previous summary while it regenerates; forget the signature so
+    // the next poll (after the usual cooldown) picks up the fresh text.
+    const isRevalidating = response.headers.get('X-Summary-Cache') === 'STALE-REVALIDATING';
+    if (isRevalidating) {
+        state.aiSummary.lastSignature = '';
+    }
+
     if (!response.body) {
         const data = await readJsonSafely(response, 'AI summary');
         if (data?.summary) {
@@ -701,6 +1010,9 @@ async function streamAiSummary(tracks, mode) {
     const decoder = new TextDecoder();
     let buffer = '';
     let fullText = '';
+    let eventName = 'message';
+    let streamFailed = false;
+    let signals = null;
 
     while (true) {
         const { value, done } = await reader.read();
@@ -711,12 +1023,38 @@ async function streamAiSummary(tracks, mode) {
         buffer = lines.pop() || '';
 
         for (const line of lines) {
+            // A blank line ends an SSE event; named events only apply to their own data lines.
+            if (!line.trim()) {
+                eventName = 'message';
+                continue;
+            }
+            if (line.startsWith('event:')) {
+                eventName = line.replace(/^event:\s*/, '').trim();
+                continue;
+            }
             if (!line.startsWith('data:')) continue;
             const payload = line.replace(/^data:\s*/, '').trim();
             if (!payload || payload === '[DONE]') continue;
 
             try {
                 const json = JSON.parse(payload);
+
+                // The worker streams tokens live, so a summary that fails validation at the end
+                // arrives as a replacement (retry or stale copy) or an error.
+                if (eventName === 'summary-replace') {
+                    fullText = json.summary || '';
+                    rebuildAiSummaryText(normalizeAiSummary(fullText) || fullText);
+                    continue;
+                }
+                if (eventName === 'summary-error') {
+                    streamFailed = true;
+                    continue;
+                }
+                if (eventName === 'summary-signals') {
+                    signals = json;
+                    continue;
+                }
+
                 const delta = json.choices?.[0]?.delta?.content;
                 if (delta) {
                     fullText += delta;
@@ -728,11 +1066,22 @@ async function streamAiSummary(tracks, mode) {
         }
     }
 
+    if (streamFailed) {
+        setAiSummaryMessage(getRandomAiError());
+        return;
+    }
+
     const normalized = normalizeAiSummary(fullText);
     if (normalized && normalized !== fullText.trim()) {
         rebuildAiSummaryText(normalized);
     } else if (!normalized) {
         setAiSummaryMessage(getRandomAiError());
+        return;
+    }
+
+    // The worker closes the stream with the signals the summary was built from.
+    if (signals) {
+        renderAiSummarySignals(signals);
     }
 }
 
@@ -751,7 +1100,7 @@ async function updateAiSummary() {
 
     const recentTracks = await fetchLastFmRecentTracks(trackLimit);
     if (!recentTracks.length) {
-        setAiSummaryMessage("Glen's music history is a clean slate.");
+        setAiSummaryMessage(`${CONFIG.lastfm.displayName}'s music history is a clean slate.`);
         return;
     }
 
@@ -760,7 +1109,7 @@ async function updateAiSummary() {
         : selectSessionTracks(recentTracks);
 
     if (!selectedTracks.length) {
-        setAiSummaryMessage("Waiting for Glen to press play on a new session.");
+        setAiSummaryMessage(`Waiting for ${CONFIG.lastfm.displayName} to press play on a new session.`);
         return;
     }
 
@@ -801,6 +1150,200 @@ async function updateAiSummary() {
 
 
 
+// ==========================================
+// Listening Stats
+// ==========================================
+// Top charts, the scrobbles-per-day heat map and the time-of-day histogram all come from the
+// worker (`/v1/lastfm/stats` and `/v1/lastfm/activity`), so the view needs a worker URL.
+async function fetchStatsCharts(period) {
+    if (state.stats.charts.has(period)) {
+        return state.stats.charts.get(period);
+    }
+
+    const params = new URLSearchParams({
+        user: CONFIG.lastfm.username,
+        period,
+        limit: String(CONFIG.stats.limit),
+    });
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.spotify.workerUrl}/v1/lastfm/stats?${params}`);
+        if (!response.ok) throw new Error(`Stats request failed (${response.status})`);
+
+        const data = await readJsonSafely(response, 'Last.fm stats');
+        if (!data) return null;
+        state.stats.charts.set(period, data);
+        return data;
+    } catch (error) {
+        console.warn('Stats fetch failed:', error);
+        return null;
+    }
+}
+
+async function fetchStatsActivity() {
+    const params = new URLSearchParams({
+        user: CONFIG.lastfm.username,
+        days: String(CONFIG.stats.activityDays),
+        tzOffset: String(new Date().getTimezoneOffset()),
+    });
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.spotify.workerUrl}/v1/lastfm/activity?${params}`, {}, 30000);
+        if (!response.ok) throw new Error(`Activity request failed (${response.status})`);
+        return await readJsonSafely(response, 'Last.fm activity');
+    } catch (error) {
+        console.warn('Activity fetch failed:', error);
+        return null;
+    }
+}
+
+function formatPlays(count) {
+    return `${count.toLocaleString()} ${count === 1 ? 'play' : 'plays'}`;
+}
+
+// Last.fm's own artist images are placeholders, so artists only get Spotify artwork.
+function getStatsItemImage(kind, item) {
+    if (kind === 'artists') return state.artistCache.get(item.name) || null;
+    if (kind === 'tracks') {
+        const cached = state.trackCache.get(getTrackCacheKey(item.name, item.artist));
+        return cached?.albumImage || getLastFmImage(item.images, 'large');
+    }
+    return getLastFmImage(item.images, 'large');
+}
+
+function renderStatsList(listEl, kind, items) {
+    if (!listEl) return;
+
+    if (!items?.length) {
+        listEl.innerHTML = '<li class="stats-empty">Nothing scrobbled yet.</li>';
+        return;
+    }
+
+    listEl.innerHTML = items.map(item => {
+        const image = getStatsItemImage(kind, item);
+        const link = kind === 'tracks'
+            ? getSongLink({ ...item, spotifyUrl: state.trackCache.get(getTrackCacheKey(item.name, item.artist))?.spotifyUrl })
+            : item.url || '#';
+        const meta = item.artist ? `${item.artist} · ${formatPlays(item.playcount)}` : formatPlays(item.playcount);
+        return `
+            <li>
+                <a href="${escapeHtml(link)}" target="_blank" rel="noopener noreferrer">
+                    <span class="stats-rank">${item.rank ?? ''}</span>
+                    <img class="stats-thumb${kind === 'artists' ? ' is-artist' : ''}" src="${escapeHtml(image || '')}" alt="" style="${image ? '' : 'visibility:hidden;'}">
+                    <span class="stats-item-details">
+                        <span class="stats-item-name">${escapeHtml(item.name || '')}</span>
+                        <span class="stats-item-meta">${escapeHtml(meta)}</span>
+                    </span>
+                </a>
+            </li>
+        `;
+    }).join('');
+}
+
+function renderStatsCharts(charts) {
+    renderStatsList(elements.statsTopArtists, 'artists', charts?.artists);
+    renderStatsList(elements.statsTopTracks, 'tracks', charts?.tracks);
+    renderStatsList(elements.statsTopAlbums, 'albums', charts?.albums);
+}
+
+// Artist and track artwork arrives after the lists render; the lists are redrawn once it has.
+async function enrichStatsCharts(period, charts) {
+    if (!CONFIG.spotify.enabled) return;
+
+    const artistLookups = (charts.artists || []).map(item => getSpotifyArtistImage(item.name));
+    const trackLookups = (charts.tracks || []).map(async item => {
+        const key = getTrackCacheKey(item.name, item.artist);
+        if (state.trackCache.has(key)) return;
+
+        const spotifyData = await getSpotifyTrackData(item.name, item.artist);
+        if (!spotifyData) return;
+        state.trackCache.set(key, {
+            albumImage: spotifyData.albumImage || getLastFmImage(item.images, 'large'),
+            artistImage: spotifyData.artistImage || null,
+            spotifyUrl: spotifyData.spotifyUrl || null,
+        });
+    });
+    await Promise.all([...artistLookups, ...trackLookups]);
+
+    if (state.stats.period === period) {
+        renderStatsCharts(charts);
+    }
+}
+
+async function selectStatsPeriod(period) {
+    state.stats.period = period;
+    elements.statsPeriods?.querySelectorAll('.stats-period').forEach(button => {
+        const selected = button.dataset.period === period;
+        button.classList.toggle('active', selected);
+        button.setAttribute('aria-selected', String(selected));
+    });
+
+    elements.statsCard.classList.add('is-loading');
+    const charts = await fetchStatsCharts(period);
+    if (state.stats.period !== period) return;
+
+    elements.statsCard.classList.remove('is-loading');
+    renderStatsCharts(charts);
+    if (charts) {
+        enrichStatsCharts(period, charts);
+    }
+}
+
+// Monday-first week columns; each cell's level is its count relative to the busiest day.
+function renderStatsHeatmap(activity) {
+    if (!elements.statsHeatmap) return;
+
+    const days = activity?.daily || [];
+    const max = Math.max(0, ...days.map(day => day.count));
+    const firstWeekday = days.length ? (new Date(`${days[0].date}T00:00:00Z`).getUTCDay() + 6) % 7 : 0;
+    const padding = '<span class="stats-heatmap-cell is-padding"></span>'.repeat(firstWeekday);
+
+    elements.statsHeatmap.innerHTML = padding + days.map(day => {
+        const level = day.count && max ? Math.ceil((day.count / max) * 4) : 0;
+        const label = `${day.date}: ${formatPlays(day.count)}`;
+        return `<span class="stats-heatmap-cell" data-level="${level}" title="${label}"></span>`;
+    }).join('');
+
+    if (elements.statsHeatmapCaption) {
+        elements.statsHeatmapCaption.textContent = activity
+            ? `${activity.total.toLocaleString()}${activity.truncated ? '+' : ''} scrobbles in the last ${days.length} days`
+            : 'Activity is unavailable right now.';
+    }
+}
+
+function renderStatsHours(activity) {
+    if (!elements.statsHours) return;
+
+    const hourly = activity?.hourly || new Array(24).fill(0);
+    const max = Math.max(0, ...hourly);
+    elements.statsHours.innerHTML = hourly.map((count, hour) => {
+        const height = max ? Math.round((count / max) * 100) : 0;
+        const label = `${String(hour).padStart(2, '0')}:00 · ${formatPlays(count)}`;
+        return `<span class="stats-hour" style="--bar-height: ${height}%" title="${label}"></span>`;
+    }).join('');
+}
+
+async function initStatsView() {
+    if (!elements.statsCard || !CONFIG.spotify.workerUrl) return;
+
+    elements.statsCard.hidden = false;
+    if (elements.statsRecapLink) {
+        // The worker renders the recap archive itself (see /v1/recap/archive).
+        elements.statsRecapLink.href = `${CONFIG.spotify.workerUrl}/v1/recap/archive?user=${encodeURIComponent(CONFIG.lastfm.username)}`;
+        elements.statsRecapLink.hidden = false;
+    }
+    elements.statsPeriods?.addEventListener('click', (event) => {
+        const button = event.target.closest('.stats-period');
+        if (button && button.dataset.period !== state.stats.period) {
+            selectStatsPeriod(button.dataset.period);
+        }
+    });
+
+    selectStatsPeriod(CONFIG.stats.defaultPeriod);
+
+    state.stats.activity = await fetchStatsActivity();
+    renderStatsHeatmap(state.stats.activity);
+    renderStatsHours(state.stats.activity);
+}
+
 // ==========================================
 // UI Updates
 // ==========================================
@@ -887,7 +1430,7 @@ function buildDynamicBackdrop(colors = state.currentColors || getDefaultColors()
 }
 
 function applyColorBackdrops(colors = state.currentColors || getDefaultColors()) {
-    const backdrops = [elements.artistBackdrop, elements.recentBackdrop, elements.aiBackdrop, elements.immersiveBg];
+    const backdrops = [elements.artistBackdrop, elements.recentBackdrop, elements.aiBackdrop, elements.statsBackdrop, elements.immersiveBg];
     const gradient = buildDynamicBackdrop(colors);
 
     backdrops.forEach(bg => {
@@ -898,7 +1441,7 @@ function applyColorBackdrops(colors = state.currentColors || getDefaultColors())
 }
 
 function updateBackdrops(imageUrl, options = {}) {
-    const backdrops = [elements.artistBackdrop, elements.recentBackdrop, elements.aiBackdrop, elements.immersiveBg];
+    const backdrops = [elements.artistBackdrop, elements.recentBackdrop, elements.aiBackdrop, elements.statsBackdrop, elements.immersiveBg];
     backdrops.forEach(bg => {
         if (!bg) return;
         if (imageUrl) {
@@ -934,6 +1477,7 @@ function updateNowPlayingCard(track, isPlaying) {
         elements.trackName.textContent = track.name;
         elements.artistName.textContent = track.artist;
         elements.albumName.textContent = track.album || '';
+        updateTrackFeatures(track);
 
         // Add clickable link to the card
         const songLink = getSongLink(track);
@@ -989,6 +1533,7 @@ function updateNowPlayingCard(track, isPlaying) {
             elements.trackName.textContent = lastTrack.name;
             elements.artistName.textContent = lastTrack.artist;
             elements.albumName.textContent = '';
+            updateTrackFeatures(lastTrack);
 
             // Add clickable link for last played track
             const songLink = getSongLink(lastTrack);
@@ -1073,9 +1618,10 @@ function updateNowPlayingCard(track, isPlaying) {
                 });
             }
         } else {
-            elements.trackName.textContent = 'Glen is taking a break';
+            elements.trackName.textContent = `${CONFIG.lastfm.displayName} is taking a break`;
             elements.artistName.textContent = '—';
             elements.albumName.textContent = '';
+            updateTrackFeatures(null);
             setImageIfChanged(elements.albumArt, '', () => {
                 elements.albumArt.classList.remove('loaded');
             }, () => {
@@ -1105,7 +1651,7 @@ function updateRecentTracks() {
     }
 
     if (state.recentTracks.length === 0) {
-        elements.recentTracksList.innerHTML = '<li class="no-recent-tracks">No recent scrobbles found. Glen is living in the moment.</li>';
+        elements.recentTracksList.innerHTML = `<li class="no-recent-tracks">No recent scrobbles found. ${escapeHtml(CONFIG.lastfm.displayName)} is living in the moment.</li>`;
         return;
     }
 
@@ -1116,6 +1662,7 @@ function updateRecentTracks() {
     tracksToShow.forEach(track => {
         const li = document.createElement('li');
         const trackLink = getSongLink(track);
+        const features = formatTrackFeatures(state.featureCache.get(getTrackCacheKey(track.name, track.artist)));
         
         li.innerHTML = `
             <a href="${trackLink}" target="_blank" rel="noopener noreferrer" class="track-link">
@@ -1123,6 +1670,7 @@ function updateRecentTracks() {
                 <div class="track-details">
                     <div class="name">${escapeHtml(track.name)}</div>
                     <div class="artist">${escapeHtml(track.artist)}</div>
+                    ${features ? `<div class="artist track-features">${escapeHtml(features)}</div>` : ''}
                 </div>
                 <span class="track-time">${track.date ? getTimeAgo(track.date) : ''}</span>
             </a>
@@ -1264,7 +1812,7 @@ function applyDynamicColors(colors) {
     const boostedBlended = boostColor({ r: blendedR, g: blendedG, b: blendedB }, 70);
 
     // Apply accent colors to card with enhanced glow
-    const cards = [elements.card, elements.recentTracksCard, elements.aiSummaryCard].filter(Boolean);
+    const cards = [elements.card, elements.recentTracksCard, elements.aiSummaryCard, elements.statsCard].filter(Boolean);
     const borderColor = `rgba(${boostedPrimary.r}, ${boostedPrimary.g}, ${boostedPrimary.b}, 0.35)`;
     const glowColor = `rgba(${boostedBlended.r}, ${boostedBlended.g}, ${boostedBlended.b}, 0.35)`;
     const iconGlow = `rgba(${boostedBlended.r}, ${boostedBlended.g}, ${boostedBlended.b}, 0.35)`;
@@ -1344,7 +1892,7 @@ function resetDynamicColors() {
     if (!elements.card) return;
 
     // Reset all cards
-    const cards = [elements.card, elements.recentTracksCard, elements.aiSummaryCard].filter(Boolean);
+    const cards = [elements.card, elements.recentTracksCard, elements.aiSummaryCard, elements.statsCard].filter(Boolean);
     cards.forEach(card => {
         card.style.removeProperty('--dynamic-primary');
         card.style.removeProperty('--dynamic-secondary');
@@ -1452,6 +2000,19 @@ function getTimeAgo(date) {
 // ==========================================
 // Polling / Main Loop
 // ==========================================
+let pollTimer = null;
+
+function finishSourceUpdate() {
+    // Clear initial loading state before updating UI
+    // to ensure updateNowPlayingCard doesn't return early
+    if (state.isLoading) {
+        console.log('Clearing initial loading state');
+        setLoadingState(false);
+    }
+
+    updateUI();
+}
+
 async function pollAllSources() {
     try {
         await Promise.all([
@@ -1460,25 +2021,99 @@ async function pollAllSources() {
     } catch (error) {
         console.error('Failed to poll music sources:', error);
     } finally {
-        // Clear initial loading state before updating UI
-        // to ensure updateNowPlayingCard doesn't return early
-        if (state.isLoading) {
-            console.log('Clearing initial loading state');
-            setLoadingState(false);
-        }
-        
-        updateUI();
+        finishSourceUpdate();
     }
 }
 
 function startPolling() {
+    if (pollTimer) return;
     pollAllSources();
 
     const intervals = [];
     if (CONFIG.lastfm.enabled) intervals.push(CONFIG.lastfm.pollInterval);
 
     const pollInterval = Math.min(...intervals, 10000);
-    setInterval(pollAllSources, pollInterval);
+    pollTimer = setInterval(pollAllSources, pollInterval);
+}
+
+function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+// ==========================================
+// Now Playing Stream
+// ==========================================
+// The worker pushes now-playing changes over server-sent events, so an open tab doesn't need to
+// poll. Polling takes over whenever the stream is down and stops again once it reconnects.
+const nowPlayingStream = {
+    source: null,
+    // undefined until the stream has reported each half, so a fresh connection never renders an empty list.
+    nowPlaying: undefined,
+    tracks: undefined,
+    failures: 0,
+    retryTimer: null,
+};
+
+function applyNowPlayingStreamEvent(event, field) {
+    let data;
+    try {
+        data = JSON.parse(event.data);
+    } catch {
+        console.warn('Ignoring malformed now-playing event');
+        return;
+    }
+
+    nowPlayingStream[field] = data[field];
+    if (nowPlayingStream.nowPlaying === undefined || nowPlayingStream.tracks === undefined) return;
+
+    // Polling may still be winding down; the stream is the fresher source.
+    stopPolling();
+    applyLastFmRecentTracks({ nowPlaying: nowPlayingStream.nowPlaying, tracks: nowPlayingStream.tracks });
+    finishSourceUpdate();
+}
+
+function connectNowPlayingStream() {
+    const workerUrl = CONFIG.spotify.workerUrl;
+    if (!CONFIG.lastfm.enabled || !workerUrl || typeof EventSource === 'undefined') return false;
+
+    const params = new URLSearchParams({
+        user: CONFIG.lastfm.username,
+        limit: String(CONFIG.maxRecentTracks + 1),
+    });
+    const source = new EventSource(`${workerUrl}/v1/lastfm/stream?${params}`);
+    nowPlayingStream.source = source;
+    nowPlayingStream.nowPlaying = undefined;
+    nowPlayingStream.tracks = undefined;
+
+    source.addEventListener('open', () => {
+        nowPlayingStream.failures = 0;
+    });
+    source.addEventListener('nowplaying', event => applyNowPlayingStreamEvent(event, 'nowPlaying'));
+    source.addEventListener('recent-updated', event => applyNowPlayingStreamEvent(event, 'tracks'));
+    source.addEventListener('error', () => {
+        // EventSource reconnects by itself after a dropped connection (the worker also ends each
+        // stream after a few minutes); poll meanwhile so the page never goes stale.
+        startPolling();
+        if (source.readyState !== EventSource.CLOSED) return;
+
+        // The worker refused the stream outright: retry it with backoff and keep polling until then.
+        source.close();
+        nowPlayingStream.source = null;
+        nowPlayingStream.failures += 1;
+        const delay = Math.min(
+            CONFIG.lastfm.streamRetryMs * 2 ** (nowPlayingStream.failures - 1),
+            CONFIG.lastfm.streamMaxRetryMs
+        );
+        clearTimeout(nowPlayingStream.retryTimer);
+        nowPlayingStream.retryTimer = setTimeout(connectNowPlayingStream, delay);
+    });
+    return true;
+}
+
+// Subscribes to the worker's now-playing stream, or polls where there is no worker or EventSource.
+function startNowPlayingUpdates() {
+    if (!connectNowPlayingStream()) startPolling();
 }
 
 // ==========================================
@@ -1492,15 +2127,21 @@ document.addEventListener('DOMContentLoaded', () => {
     // Detects layout changes (900px) and applies seamless transition
     initResponsiveMusicMorph();
 
+    // Point the Last.fm pill at whichever profile is being shown
+    if (elements.indicators.lastfm) {
+        elements.indicators.lastfm.href = `https://www.last.fm/user/${encodeURIComponent(CONFIG.lastfm.username)}`;
+    }
+
     // 3. API Key Check & Initial Load
     setLoadingState(true);
     // Allow loading if we have EITHER a direct API key OR a worker URL
     if (!CONFIG.lastfm.apiKey && !CONFIG.spotify.workerUrl) {
         setLoadingState(false);
-        elements.listeningStatus.textContent = "Seems like glen didn't pay the API bills";
+        elements.listeningStatus.textContent = `Seems like ${CONFIG.lastfm.displayName.toLowerCase()} didn't pay the API bills`;
         setAiSummaryMessage("The robots are on a coffee break until a valid key is provided.");
     } else {
-        startPolling();
+        startNowPlayingUpdates();
+        initStatsView();
     }
 
     // Fade source indicators when scrolling behind the fixed header
@@ -1544,7 +2185,8 @@ function initResponsiveMusicMorph() {
         const morphElements = [
             elements.card, 
             elements.recentTracksCard, 
-            elements.aiSummaryCard
+            elements.aiSummaryCard,
+            elements.statsCard
         ].filter(el => el);
 
         // 1. Set elements to 'setup-morph' to lock them for a frame